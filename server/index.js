@@ -9,7 +9,116 @@ import Razorpay from 'razorpay';
 import crypto from 'crypto';
 import bcrypt from 'bcryptjs';
 import nodemailer from 'nodemailer';
-import { sendOTP, sendNotification, sendBookingStatusUpdate, setNotificationModel } from './services/notifications.js';
+import {
+  sendOTP,
+  sendNotification,
+  sendBookingStatusUpdate,
+  sendSiteContactUpdate,
+  setNotificationModel,
+} from './services/notifications.js';
+import { setSessionModels, issueSession, rotateRefreshToken, revokeRefreshToken, revokeAllSessions } from './services/session.js';
+import { authenticate, requireAuth, hasPermission, STAFF_ROLES, ROLE_PERMISSIONS } from './middleware/auth.js';
+import { idempotency, setIdempotencyModel } from './middleware/idempotency.js';
+import {
+  QUOTE_LINE_TYPES,
+  buildQuote,
+  getPendingQuote,
+  respondToQuote,
+  getAmountDue,
+  hashQuoteToken,
+  serializeQuote,
+} from './services/revisedQuotes.js';
+import {
+  JOB_CODE_STAGES,
+  JOB_CODE_STATUS,
+  issueJobCode,
+  setJobCodeModels,
+  verifyJobCode,
+  overrideJobCode,
+  getResendWaitSeconds,
+  sendJobCode,
+} from './services/jobCodes.js';
+import {
+  setRecurringModels,
+  materializeSeries,
+  runRecurringScheduler,
+  startRecurringScheduler,
+  isOccurrenceDate,
+  dayKey,
+  RECURRENCE_FREQUENCIES,
+} from './services/recurringBookings.js';
+import { transitionError, STATUS_TIMESTAMP_FIELDS, BOOKING_STATUSES } from './services/bookingStateMachine.js';
+import { setBookingEventModel, recordBookingEvent, getBookingTimeline } from './services/bookingEvents.js';
+import { parsePagination, parseSort, listFilter, dateRangeFilter, searchRegex, findPage } from './services/listQuery.js';
+import { streamExport, EXPORT_FORMATS } from './services/exports.js';
+import { setPricingModels, calculateBookingPrice, calculateOrderPrice, validatePromoCode } from './services/pricing.js';
+import {
+  setCheckoutModels,
+  createBookingWithReservations,
+  createOrderWithReservations,
+  findSlot,
+  reserveSlot,
+  releaseSlot,
+  runTransaction,
+  resolveTimeSlot,
+  TIME_SLOT_WINDOWS,
+} from './services/bookingCheckout.js';
+import {
+  setCancellationPolicyModel,
+  getCancellationRules,
+  calculateCancellationRefund,
+  DEFAULT_CANCELLATION_RULES,
+  getSlotStart,
+} from './services/cancellationPolicy.js';
+import {
+  setReschedulePolicyModel,
+  getReschedulePolicy,
+  checkReschedule,
+  applyRescheduleFee,
+  DEFAULT_RESCHEDULE_POLICY,
+} from './services/reschedulePolicy.js';
+import {
+  getPaymentHoldUntil,
+  expiredUnpaidBookingsFilter,
+  missingPaymentHoldFilter,
+  startPaymentExpirySweeper,
+} from './services/paymentExpiry.js';
+import { ADDRESS_FIELDS, resolveBookingAddress } from './services/addresses.js';
+import {
+  setSlotTemplateModels,
+  generateSlots,
+  closeBlackoutSlots,
+  reopenBlackoutSlots,
+  startSlotGenerator,
+  findBookableSlot,
+  startOfDay,
+  SLOT_GENERATION_DAYS,
+} from './services/slotTemplates.js';
+import { DEFAULT_WARRANTY_DAYS, OPEN_CLAIM_STATUSES, getWarrantyEndsAt, checkWarrantyClaim } from './services/warranty.js';
+import {
+  setWorkerScheduleModels,
+  checkWorkerSchedule,
+  planJobs,
+  LEAVE_STATUSES,
+  UNAVAILABLE_REASONS,
+  WORKER_BUSY_STATUSES,
+} from './services/workerSchedule.js';
+import {
+  setAvailabilityModels,
+  getAvailability,
+  DEFAULT_AVAILABILITY_DAYS,
+  MAX_AVAILABILITY_DAYS,
+} from './services/availability.js';
+import {
+  setWaitlistModels,
+  offerNextInLine,
+  closeOffer,
+  acceptOffer,
+  hashWaitlistToken,
+  startWaitlistSweeper,
+  OPEN_WAITLIST_STATUSES,
+  WAITLIST_OFFER_MINUTES,
+} from './services/waitlist.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -74,7 +183,8 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PATCH', 'DELETE', 'PUT', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-admin-key']
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-admin-key', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed', 'Content-Disposition']
 }));
 
 // Request logging middleware
@@ -88,16 +198,28 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use(express.json({ limit: '10mb' }));
+app.use(
+  express.json({
+    limit: '10mb',
+    // Keep the raw bytes for webhook signature checks
+    verify: (req, _res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 // Add cache headers for GET requests (except health and analytics)
 app.use((req, res, next) => {
   if (req.method === 'GET' && !req.path.includes('/health') && !req.path.includes('/analytics')) {
-    res.set('Cache-Control', 'public, max-age=60'); // Cache for 60 seconds
+    // Authenticated responses must not be stored by shared caches
+    res.set('Cache-Control', req.headers.authorization ? 'private, max-age=60' : 'public, max-age=60'); // Cache for 60 seconds
   }
   next();
 });
 
+// Attach req.user from the Bearer access token (if present)
+app.use(authenticate);
+
 // Define apiBase before using it
 const apiBase = '/api';
 const adminKey = process.env.ADMIN_KEY || '';
@@ -162,11 +284,15 @@ app.use(`${apiBase}/auth/request-otp`, otpLimiter);
 app.use(`${apiBase}/auth/verify-otp`, otpLimiter);
 // Use strict limiter for other auth endpoints
 app.use(`${apiBase}/auth/`, strictLimiter);
-// Apply strict limiter only to POST/PATCH/DELETE bookings, lenient for GET
-app.use(`${apiBase}/bookings`, (req, res, next) => {
+// Apply strict limiter only to POST/PATCH/DELETE bookings, orders and series, lenient for GET
+app.use([`${apiBase}/bookings`, `${apiBase}/orders`, `${apiBase}/booking-series`], (req, res, next) => {
   if (req.method === 'GET') {
     return readLimiter(req, res, next);
   }
+  // Quotes are read-only previews requested on every cart change; the general API limiter still applies
+  if (req.path === '/quote') {
+    return next();
+  }
   return strictLimiter(req, res, next);
 });
 // Apply lenient limiter for profile GET requests (frequently accessed)
@@ -186,6 +312,14 @@ const validate = (req, res, next) => {
   next();
 };
 
+// Query checks shared by list endpoints (conventions in services/listQuery.js)
+const listQueryValidators = [
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be 1 or more'),
+  query('limit').optional().isInt({ min: 1 }).withMessage('limit must be 1 or more'),
+  query('from').optional().isISO8601().withMessage('Invalid from date'),
+  query('to').optional().isISO8601().withMessage('Invalid to date'),
+];
+
 // Sanitization helper
 const sanitizeInput = (str) => {
   if (typeof str !== 'string') return str;
@@ -198,7 +332,7 @@ const sanitizeInput = (str) => {
 // Environment variable validation
 const requiredEnvVars = {
   MONGODB_URI: process.env.MONGODB_URI,
-  ADMIN_KEY: process.env.ADMIN_KEY,
+  SESSION_SECRET: process.env.SESSION_SECRET,
 };
 
 const missingVars = Object.entries(requiredEnvVars)
@@ -216,6 +350,25 @@ const mongoUri = requiredEnvVars.MONGODB_URI;
 
 const baseOptions = { timestamps: { createdAt: 'created_at', updatedAt: 'updated_at' } };
 
+// Customer's saved address (see services/addresses.js)
+const SavedAddressSchema = new mongoose.Schema(
+  {
+    label: { type: String, default: 'Home' }, // Home, Work, ...
+    line1: { type: String, required: true }, // House / flat and street
+    line2: { type: String },
+    landmark: { type: String },
+    city: { type: String },
+    state: { type: String },
+    pincode: { type: String, required: true },
+    location: {
+      lat: { type: Number, min: -90, max: 90 },
+      lng: { type: Number, min: -180, max: 180 },
+    },
+    is_default: { type: Boolean, default: false },
+  },
+  baseOptions
+);
+
 const ProfileSchema = new mongoose.Schema(
   {
     phone: { type: String, unique: true, required: true },
@@ -226,10 +379,12 @@ const ProfileSchema = new mongoose.Schema(
     email_verified: { type: Boolean, default: false },
     email_verification_token: { type: String },
     email_verification_expires_at: { type: Date },
+    session_version: { type: Number, default: 0 }, // Bumped to revoke every issued session
     // Role & profile meta
     role: { type: String, default: 'customer' },
     wallet_balance: { type: Number, default: 0 },
     phone_verified: { type: Boolean, default: false },
+    created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile' }, // Staff who created it while taking a phone booking
     id_verified: { type: Boolean, default: false },
     background_check_status: { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
     background_check_note: { type: String },
@@ -249,6 +404,7 @@ const ProfileSchema = new mongoose.Schema(
     other_skills: { type: String }, // Additional skills not in the services list
     location: { type: String }, // Worker's base location/pincode
     address: { type: String }, // Legacy full address
+    addresses: [SavedAddressSchema], // Customer's saved addresses
     is_available: { type: Boolean, default: true }, // Availability status
     max_capacity: { type: Number, default: 5 }, // Max concurrent jobs
     current_jobs: { type: Number, default: 0 }, // Current active jobs count
@@ -268,7 +424,16 @@ const ProfileSchema = new mongoose.Schema(
     full_address: { type: String },
     alternate_phone: { type: String },
     service_areas: { type: String }, // comma-separated or free text
-    preferred_work_hours: { type: String },
+    preferred_work_hours: { type: String }, // Free text from the application; planning uses `shifts`
+    // Weekly working hours (see services/workerSchedule.js); none means any time
+    shifts: [
+      {
+        _id: false,
+        day_of_week: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+        start: { type: String, required: true }, // "09:00"
+        end: { type: String, required: true }, // "18:00"
+      },
+    ],
     bank_details: { type: String }, // free-text bank info
   },
   baseOptions
@@ -300,6 +465,8 @@ const ServiceSchema = new mongoose.Schema(
     faqs: [{ question: String, answer: String }],
     image_url: { type: String },
     subcategory: { type: String },
+    warranty_days: { type: Number, min: 0, default: DEFAULT_WARRANTY_DAYS }, // Re-service claims allowed this long after completion (0 = none)
+    duration_minutes: { type: Number, min: 1, default: 60 }, // Estimated time on site, for technician scheduling
   },
   baseOptions
 );
@@ -310,6 +477,7 @@ const ServiceAddonSchema = new mongoose.Schema(
     name: String,
     description: String,
     price: Number,
+    duration_minutes: { type: Number, min: 0, default: 0 }, // Extra time on site per unit
     is_active: { type: Boolean, default: true },
   },
   baseOptions
@@ -330,6 +498,68 @@ const ReviewSchema = new mongoose.Schema(
   baseOptions
 );
 
+// Revised quote submitted by the technician on site (see services/revisedQuotes.js)
+const BookingQuoteSchema = new mongoose.Schema(
+  {
+    line_items: [
+      {
+        _id: false,
+        type: { type: String, enum: ['labour', 'part'], required: true },
+        description: { type: String, required: true },
+        quantity: { type: Number, default: 1 },
+        unit_price: { type: Number, required: true },
+        total: { type: Number, required: true },
+      },
+    ],
+    labour_total: { type: Number, default: 0 },
+    parts_total: { type: Number, default: 0 },
+    total: { type: Number, required: true }, // Added to the booking total on approval
+    previous_total: { type: Number },
+    new_total: { type: Number },
+    note: { type: String },
+    status: { type: String, enum: ['pending', 'approved', 'rejected', 'superseded'], default: 'pending' },
+    submitted_by: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile' },
+    submitted_at: { type: Date },
+    expires_at: { type: Date },
+    token_hash: { type: String }, // SHA-256 of the customer's approval link token
+    responded_at: { type: Date },
+    responded_via: { type: String, enum: ['link', 'app', 'staff'] },
+    rejection_reason: { type: String },
+  },
+  {
+    _id: true,
+    // Never send the link token hash back in API responses
+    toJSON: {
+      transform: (_doc, ret) => {
+        delete ret.token_hash;
+        return ret;
+      },
+    },
+  }
+);
+
+// Customer start/completion code for the job workflow (see services/jobCodes.js)
+const JobCodeSchema = new mongoose.Schema(
+  {
+    code_hash: { type: String },
+    attempts: { type: Number, default: 0 },
+    sent_at: { type: Date },
+    verified_at: { type: Date },
+    overridden_by: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile' },
+    override_reason: { type: String },
+    overridden_at: { type: Date },
+  },
+  {
+    _id: false,
+    toJSON: {
+      transform: (_doc, ret) => {
+        delete ret.code_hash;
+        return ret;
+      },
+    },
+  }
+);
+
 const BookingSchema = new mongoose.Schema(
   {
     customer_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile' },
@@ -347,13 +577,43 @@ const BookingSchema = new mongoose.Schema(
     wallet_amount: { type: Number, default: 0 }, // Amount paid from wallet
     payment_status: { type: String, default: 'unpaid' },
     payment_method: { type: String, enum: ['online', 'cod', 'wallet'], default: 'online' },
-    customer_address: { type: Object },
+    payment_id: { type: String }, // Razorpay order ID until paid, then the Razorpay payment ID
+    payment_hold_until: { type: Date }, // Unpaid online bookings are cancelled after this (see services/paymentExpiry.js)
+    amount_paid: { type: Number }, // Collected so far; total_price minus this is still due
+    extra_charges: { type: Number, default: 0 }, // Approved on-site quotes, included in total_price
+    quotes: [BookingQuoteSchema],
+    job_codes: {
+      start: { type: JobCodeSchema }, // Customer shares it to let work start
+      end: { type: JobCodeSchema }, // Customer shares it to confirm completion
+    },
+    order_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' }, // Set when booked as part of a multi-service order
+    series_id: { type: mongoose.Schema.Types.ObjectId, ref: 'BookingSeries' }, // Set for occurrences of a recurring booking
+    address_id: { type: mongoose.Schema.Types.ObjectId }, // Saved address (Profile.addresses) the booking was made for
+    customer_address: { type: Object }, // Snapshot of the address at booking time
     customer_phone: { type: String },
     customer_name: { type: String },
     customer_pincode: { type: String }, // For serviceability check
+    // Person at the address when booking for someone else; gets the arrival updates
+    site_contact: {
+      name: { type: String },
+      phone: { type: String },
+    },
+    booking_channel: { type: String, enum: ['app', 'phone'], default: 'app' }, // 'phone' when staff took it over the phone
+    booked_by: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile' }, // Staff who took a phone booking
+    verification_skipped: { type: Boolean }, // Booked by staff for a customer whose phone is not verified
+    // Set on free re-service bookings raised under a completed booking's warranty (see services/warranty.js)
+    warranty_claim: {
+      parent_booking_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+      original_employee_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile' }, // Technician whose work is redone
+      reason: { type: String },
+    },
     addons: [{ addon_id: String, quantity: Number }],
     notes: String,
     special_instructions: { type: String },
+    estimated_duration_minutes: { type: Number }, // Service plus add-ons, from the catalogue at booking time
+    // When the technician is planned to do the job, travel buffers included (see services/workerSchedule.js)
+    scheduled_start: { type: Date },
+    scheduled_end: { type: Date },
     assigned_at: { type: Date }, // When admin assigned to worker
     accepted_at: { type: Date }, // When employee accepted the job
     reached_at: { type: Date }, // When employee reached the location
@@ -361,8 +621,26 @@ const BookingSchema = new mongoose.Schema(
     completed_at: { type: Date },
     cancelled_at: { type: Date },
     cancellation_reason: { type: String },
-    cancelled_by: { type: String, enum: ['customer', 'admin', 'worker'] },
+    cancelled_by: { type: String, enum: ['customer', 'admin', 'worker', 'system'] },
+    // Refund paid out on cancellation (see services/cancellationPolicy.js)
+    refund: {
+      policy_rule: { type: String }, // Name of the policy rule that set the fee
+      fee_percent: { type: Number },
+      paid_amount: { type: Number },
+      fee_amount: { type: Number },
+      amount: { type: Number }, // Total refunded
+      wallet_amount: { type: Number },
+      online_amount: { type: Number },
+      method: { type: String, enum: ['wallet', 'razorpay', 'mixed', 'none'] },
+      razorpay_refund_id: { type: String },
+      razorpay_status: { type: String },
+      note: { type: String },
+      processed_at: { type: Date },
+    },
     partner_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile' }, // Partner/helper employee
+    reschedule_count: { type: Number, default: 0 },
+    reschedule_fees: { type: Number, default: 0 }, // Reschedule fees charged, included in extra_charges
+    rescheduled_at: { type: Date },
     before_photos: [{ type: String }], // Before work photos
     after_photos: [{ type: String }], // After work photos
     job_photos: [{ type: String }], // Legacy field - kept for backward compatibility
@@ -408,6 +686,70 @@ const SlotSchema = new mongoose.Schema(
     total_capacity: { type: Number, default: 1 }, // Max bookings for this slot
     booked_count: { type: Number, default: 0 }, // Current bookings
     is_available: { type: Boolean, default: true },
+    template_id: { type: mongoose.Schema.Types.ObjectId, ref: 'SlotTemplate' }, // Set on generated slots
+    blackout_id: { type: mongoose.Schema.Types.ObjectId, ref: 'BlackoutDate' }, // Set while a blackout date closes the slot
+  },
+  baseOptions
+);
+
+// Weekly pattern the slot generator rolls forward (see services/slotTemplates.js)
+const SlotTemplateSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    service_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Service' }, // Either one service...
+    category_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Category' }, // ...or every active service of a category
+    days_of_week: [{ type: Number, min: 0, max: 6 }], // 0 = Sunday
+    windows: [
+      {
+        _id: false,
+        time_slot: { type: String, required: true }, // e.g., "09:00-12:00"
+        capacity: { type: Number, required: true, min: 1 },
+      },
+    ],
+    effective_from: { type: Date },
+    effective_until: { type: Date },
+    is_active: { type: Boolean, default: true },
+    updated_by: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile' },
+  },
+  baseOptions
+);
+
+// Holiday: no slots are generated on this date (for all services unless limited)
+const BlackoutDateSchema = new mongoose.Schema(
+  {
+    date: { type: Date, required: true },
+    name: { type: String, required: true },
+    service_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Service' }],
+    category_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+    created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile' },
+  },
+  baseOptions
+);
+
+// Whole days off for a technician, approved by staff
+const LeaveRequestSchema = new mongoose.Schema(
+  {
+    employee_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile', required: true },
+    start_date: { type: Date, required: true }, // First day of leave
+    end_date: { type: Date, required: true }, // Last day of leave
+    reason: { type: String },
+    status: { type: String, enum: ['pending', 'approved', 'rejected', 'cancelled'], default: 'pending' },
+    requested_by: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile' },
+    reviewed_by: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile' },
+    reviewed_at: { type: Date },
+    review_note: { type: String },
+  },
+  baseOptions
+);
+
+// One-off period a technician cannot work (appointment, vehicle repair)
+const UnavailabilityBlockSchema = new mongoose.Schema(
+  {
+    employee_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile', required: true },
+    start: { type: Date, required: true },
+    end: { type: Date, required: true },
+    reason: { type: String },
+    created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile' },
   },
   baseOptions
 );
@@ -431,6 +773,73 @@ const WalletTransactionSchema = new mongoose.Schema(
     transaction_type: { type: String, enum: ['credit', 'debit', 'refund'], required: true },
     description: { type: String, required: true },
     booking_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+    order_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  },
+  baseOptions
+);
+
+// Multi-service order: line-item bookings sharing one address, date and payment.
+// Promo and wallet apply to the whole order; each booking keeps its share of them.
+const OrderSchema = new mongoose.Schema(
+  {
+    customer_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile', required: true },
+    booking_ids: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Booking' }], // Line items
+    booking_date: { type: Date },
+    booking_time: { type: String },
+    address_id: { type: mongoose.Schema.Types.ObjectId }, // Saved address (Profile.addresses)
+    customer_address: { type: Object },
+    customer_phone: { type: String },
+    customer_name: { type: String },
+    customer_pincode: { type: String },
+    site_contact: { name: { type: String }, phone: { type: String } }, // Copied to every line item
+    subtotal: { type: Number, default: 0 },
+    promo_code: { type: String },
+    discount_amount: { type: Number, default: 0 },
+    platform_fee: { type: Number, default: 0 },
+    wallet_amount: { type: Number, default: 0 },
+    total_price: { type: Number, default: 0 },
+    payment_status: { type: String, default: 'unpaid' },
+    payment_method: { type: String, enum: ['online', 'cod', 'wallet'], default: 'online' },
+    payment_id: { type: String }, // Razorpay order ID until paid, then the Razorpay payment ID
+  },
+  baseOptions
+);
+
+// Recurring booking: the scheduler books each occurrence as a normal Booking ahead of time
+const BookingSeriesSchema = new mongoose.Schema(
+  {
+    customer_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile', required: true },
+    service_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Service', required: true },
+    addons: [{ addon_id: String, quantity: Number }],
+    booking_time: { type: String, required: true },
+    address_id: { type: mongoose.Schema.Types.ObjectId }, // Saved address (Profile.addresses)
+    customer_address: { type: Object },
+    customer_phone: { type: String },
+    customer_name: { type: String },
+    customer_pincode: { type: String },
+    site_contact: { name: { type: String }, phone: { type: String } }, // Copied to every visit
+    special_instructions: { type: String },
+    payment_method: { type: String, enum: ['online', 'cod'], default: 'online' }, // Each visit is paid separately
+    recurrence: {
+      frequency: { type: String, enum: ['weekly', 'biweekly', 'monthly', 'every_n_days'], required: true },
+      interval: { type: Number, default: 1 }, // Days for every_n_days, months for monthly
+      start_date: { type: Date, required: true },
+      end_date: { type: Date },
+      count: { type: Number }, // Total number of visits
+    },
+    status: { type: String, enum: ['active', 'paused', 'cancelled', 'completed'], default: 'active' },
+    paused_until: { type: Date }, // Unset while paused indefinitely
+    next_index: { type: Number, default: 0 }, // Next occurrence the scheduler has not handled yet
+    skipped_occurrences: [
+      {
+        _id: false,
+        date: { type: Date },
+        reason: { type: String }, // customer, paused, missed, slot_unavailable, ...
+      },
+    ],
+    last_materialized_at: { type: Date },
+    cancelled_at: { type: Date },
+    cancellation_reason: { type: String },
   },
   baseOptions
 );
@@ -465,6 +874,18 @@ const isServiceable = async (pincode) => {
   }
 };
 
+// Serviceable area (city and its pincodes) a pincode belongs to, or null
+const getServiceArea = async (pincode) => {
+  if (!pincode) return null;
+  const trimmedPincode = pincode.toString().trim();
+  const area = await ServiceabilityArea.findOne({ is_active: true, pincodes: trimmedPincode });
+  if (area) return { city: area.city, pincodes: area.pincodes };
+  if (await ServiceabilityArea.exists({ is_active: true })) return null;
+  return DEFAULT_SERVICEABLE_PINCODES.includes(trimmedPincode)
+    ? { city: DEFAULT_SERVICEABLE_CITY, pincodes: DEFAULT_SERVICEABLE_PINCODES }
+    : null;
+};
+
 // OTP Schema for phone/email verification
 const OTPSchema = new mongoose.Schema(
   {
@@ -478,6 +899,153 @@ const OTPSchema = new mongoose.Schema(
   baseOptions
 );
 
+// Append-only history of changes to a booking (see services/bookingEvents.js)
+const BookingEventSchema = new mongoose.Schema(
+  {
+    booking_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true },
+    type: {
+      type: String,
+      enum: [
+        'created',
+        'assigned',
+        'auto_assigned',
+        'status_changed',
+        'rescheduled',
+        'cancelled',
+        'partner_added',
+        'payment_order_created',
+        'payment_verified',
+        'payment_webhook',
+        'deleted',
+        'restored',
+        'quote_submitted',
+        'quote_approved',
+        'quote_rejected',
+        'job_code_overridden',
+        'refunded',
+      ],
+      required: true,
+    },
+    actor_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile' }, // Empty for system/webhook/admin-key actions
+    actor_role: { type: String },
+    actor_kind: { type: String, enum: ['customer', 'worker', 'staff', 'system'], default: 'system' },
+    old_value: { type: Object },
+    new_value: { type: Object },
+    note: { type: String },
+  },
+  { timestamps: { createdAt: 'created_at', updatedAt: false } }
+);
+
+// Events are never rewritten
+BookingEventSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function (next) {
+    next(new Error('BookingEvent records are append-only'));
+  }
+);
+
+// Refresh tokens for signed sessions (stored hashed, rotated on every refresh)
+const RefreshTokenSchema = new mongoose.Schema(
+  {
+    user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile', required: true },
+    token_hash: { type: String, required: true, unique: true },
+    family_id: { type: String, required: true }, // One family per login; reuse revokes the family
+    expires_at: { type: Date, required: true },
+    revoked_at: { type: Date, default: null },
+    replaced_by: { type: String }, // token_hash of the rotated successor
+    user_agent: { type: String },
+    ip: { type: String },
+  },
+  baseOptions
+);
+
+// Stored responses for requests sent with an Idempotency-Key header (expire after 24 hours)
+const IdempotencyKeySchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true },
+    scope: { type: String, required: true }, // HTTP method + route
+    caller: { type: String, required: true }, // Profile ID, 'admin_key' or client IP
+    request_hash: { type: String, required: true }, // SHA-256 of the request body
+    status: { type: String, enum: ['in_progress', 'completed'], default: 'in_progress' },
+    response_status: { type: Number },
+    response_body: { type: mongoose.Schema.Types.Mixed },
+    expires_at: { type: Date, required: true },
+  },
+  baseOptions
+);
+IdempotencyKeySchema.index({ key: 1, scope: 1, caller: 1 }, { unique: true });
+
+// Admin-editable cancellation fee rules; the first matching rule applies
+const CancellationPolicySchema = new mongoose.Schema(
+  {
+    rules: [
+      {
+        _id: false,
+        name: { type: String, required: true },
+        statuses: [{ type: String }], // Booking statuses the rule applies to (empty = any)
+        hours_before_lt: { type: Number }, // Applies when the slot starts in less than this many hours
+        fee_percent: { type: Number, required: true, min: 0, max: 100 },
+      },
+    ],
+    is_active: { type: Boolean, default: true },
+    updated_by: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile' },
+  },
+  baseOptions
+);
+
+// Admin-editable limits on customer reschedules (see services/reschedulePolicy.js)
+const ReschedulePolicySchema = new mongoose.Schema(
+  {
+    max_reschedules: { type: Number, min: 0 },
+    cutoff_hours: { type: Number, min: 0, default: 0 },
+    free_reschedules: { type: Number, min: 0, default: 0 },
+    fee_amount: { type: Number, min: 0, default: 0 },
+    is_active: { type: Boolean, default: true },
+    updated_by: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile' },
+  },
+  baseOptions
+);
+
+// Customer queued for a fully booked slot (see services/waitlist.js)
+const WaitlistEntrySchema = new mongoose.Schema(
+  {
+    customer_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile', required: true },
+    service_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Service', required: true },
+    slot_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Slot', required: true },
+    date: { type: Date, required: true },
+    booking_time: { type: String, required: true },
+    // Booking details used when the offer is accepted
+    addons: [{ addon_id: String, quantity: Number }],
+    customer_name: { type: String },
+    customer_phone: { type: String },
+    address_id: { type: mongoose.Schema.Types.ObjectId }, // Saved address (Profile.addresses)
+    customer_address: { type: Object },
+    customer_pincode: { type: String },
+    special_instructions: { type: String },
+    payment_method: { type: String, enum: ['online', 'cod'], default: 'online' },
+    status: {
+      type: String,
+      enum: ['waiting', 'offered', 'booking', 'booked', 'expired', 'declined', 'cancelled'],
+      default: 'waiting',
+    },
+    offered_at: { type: Date },
+    offer_expires_at: { type: Date },
+    offer_token_hash: { type: String }, // SHA-256 of the WhatsApp offer link token
+    booking_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking' },
+    closed_at: { type: Date },
+  },
+  {
+    ...baseOptions,
+    // Never send the link token hash back in API responses
+    toJSON: {
+      transform: (_doc, ret) => {
+        delete ret.offer_token_hash;
+        return ret;
+      },
+    },
+  }
+);
+
 // Serviceability Area Schema
 const ServiceabilityAreaSchema = new mongoose.Schema(
   {
@@ -497,13 +1065,50 @@ const Booking = mongoose.model('Booking', BookingSchema);
 const PromoCode = mongoose.model('PromoCode', PromoCodeSchema);
 const NotifyMe = mongoose.model('NotifyMe', NotifyMeSchema);
 const Slot = mongoose.model('Slot', SlotSchema);
+const SlotTemplate = mongoose.model('SlotTemplate', SlotTemplateSchema);
+const BlackoutDate = mongoose.model('BlackoutDate', BlackoutDateSchema);
+const LeaveRequest = mongoose.model('LeaveRequest', LeaveRequestSchema);
+const UnavailabilityBlock = mongoose.model('UnavailabilityBlock', UnavailabilityBlockSchema);
 const Notification = mongoose.model('Notification', NotificationSchema);
 const OTP = mongoose.model('OTP', OTPSchema);
 const ServiceabilityArea = mongoose.model('ServiceabilityArea', ServiceabilityAreaSchema);
 const WalletTransaction = mongoose.model('WalletTransaction', WalletTransactionSchema);
+const RefreshToken = mongoose.model('RefreshToken', RefreshTokenSchema);
+const BookingEvent = mongoose.model('BookingEvent', BookingEventSchema);
+const IdempotencyKey = mongoose.model('IdempotencyKey', IdempotencyKeySchema);
+const Order = mongoose.model('Order', OrderSchema);
+const BookingSeries = mongoose.model('BookingSeries', BookingSeriesSchema);
+const CancellationPolicy = mongoose.model('CancellationPolicy', CancellationPolicySchema);
+const ReschedulePolicy = mongoose.model('ReschedulePolicy', ReschedulePolicySchema);
+const WaitlistEntry = mongoose.model('WaitlistEntry', WaitlistEntrySchema);
 
 // Set Notification model in notification service
 setNotificationModel(Notification);
+// Set models used by the session service
+setSessionModels({ Profile, RefreshToken });
+// Set BookingEvent model in booking event service
+setBookingEventModel(BookingEvent);
+// Set catalogue models used by the pricing service
+setPricingModels({ Service, ServiceAddon, PromoCode });
+// Set models reserved by booking checkout
+setCheckoutModels({ Booking, Slot, Profile, PromoCode, WalletTransaction, Order });
+// Set Booking model used to count job code attempts
+setJobCodeModels({ Booking });
+// Set models used by the recurring booking scheduler
+setRecurringModels({ BookingSeries, Service, Profile });
+// Set CancellationPolicy model in cancellation policy service
+setCancellationPolicyModel(CancellationPolicy);
+// Set ReschedulePolicy model in reschedule policy service
+setReschedulePolicyModel(ReschedulePolicy);
+// Set models used by the waitlist service
+setWaitlistModels({ WaitlistEntry, Service });
+// Set models used by the slot generator
+setSlotTemplateModels({ SlotTemplate, BlackoutDate, Slot, Service });
+setAvailabilityModels({ Slot, Booking });
+// Set models used by the technician schedule service
+setWorkerScheduleModels({ LeaveRequest, UnavailabilityBlock, Booking });
+// Set IdempotencyKey model in idempotency middleware
+setIdempotencyModel(IdempotencyKey);
 
 // Create database indexes for performance
 const createIndexes = async () => {
@@ -540,13 +1145,44 @@ const createIndexes = async () => {
     await Booking.collection.createIndex({ booking_date: 1 });
     await Booking.collection.createIndex({ customer_pincode: 1 });
     await Booking.collection.createIndex({ created_at: -1 }); // For recent bookings
+    await Booking.collection.createIndex({ order_id: 1 });
+    // Admin dashboard list filters and default sort
+    await Booking.collection.createIndex({ status: 1, booking_date: -1 });
+    await Booking.collection.createIndex({ payment_status: 1, booking_date: -1 });
+    // Payment expiry sweeper
+    await Booking.collection.createIndex({ status: 1, payment_method: 1, payment_hold_until: 1 });
+    await Booking.collection.createIndex({ 'quotes.token_hash': 1 }, { sparse: true });
+    // Warranty claims per booking and per technician (analytics)
+    await Booking.collection.createIndex({ 'warranty_claim.parent_booking_id': 1 }, { sparse: true });
+    await Booking.collection.createIndex({ 'warranty_claim.original_employee_id': 1, created_at: -1 }, { sparse: true });
+    // One booking per occurrence, even if two scheduler runs overlap
+    await Booking.collection.createIndex(
+      { series_id: 1, booking_date: 1 },
+      { unique: true, partialFilterExpression: { series_id: { $exists: true } } }
+    );
+
+    // BookingSeries indexes
+    await BookingSeries.collection.createIndex({ customer_id: 1 });
+    await BookingSeries.collection.createIndex({ status: 1 });
+
+    // Order indexes
+    await Order.collection.createIndex({ customer_id: 1, created_at: -1 });
+
+    // WaitlistEntry indexes (queue order per slot, offer links, expiry sweeper)
+    await WaitlistEntry.collection.createIndex({ slot_id: 1, status: 1, created_at: 1 });
+    await WaitlistEntry.collection.createIndex({ customer_id: 1, created_at: -1 });
+    await WaitlistEntry.collection.createIndex({ offer_token_hash: 1 }, { sparse: true });
+    await WaitlistEntry.collection.createIndex({ status: 1, offer_expires_at: 1 });
+
+    // BookingEvent indexes
+    await BookingEvent.collection.createIndex({ booking_id: 1, created_at: 1 });
     
     // Review indexes
     await Review.collection.createIndex({ service_id: 1 });
     await Review.collection.createIndex({ customer_id: 1 });
     await Review.collection.createIndex({ employee_id: 1 });
     await Review.collection.createIndex({ booking_id: 1 });
-    await Review.collection.createIndex({ is_verified: 1 });
+    await Review.collection.createIndex({ is_verified: 1, created_at: -1 });
     
     // PromoCode indexes
     await PromoCode.collection.createIndex({ code: 1 }, { unique: true });
@@ -560,11 +1196,38 @@ const createIndexes = async () => {
     // OTP indexes (expire documents when past expires_at)
     await OTP.collection.createIndex({ phone: 1 });
     await OTP.collection.createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+    // RefreshToken indexes (expire documents when past expires_at)
+    await RefreshToken.collection.createIndex({ token_hash: 1 }, { unique: true });
+    await RefreshToken.collection.createIndex({ user_id: 1 });
+    await RefreshToken.collection.createIndex({ family_id: 1 });
+    await RefreshToken.collection.createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+    // IdempotencyKey indexes (expire documents when past expires_at)
+    await IdempotencyKey.collection.createIndex({ key: 1, scope: 1, caller: 1 }, { unique: true });
+    await IdempotencyKey.collection.createIndex({ expires_at: 1 }, { expireAfterSeconds: 0 });
     
+    // Notification and wallet ledger list indexes
+    await Notification.collection.createIndex({ user_id: 1, created_at: -1 });
+    await Notification.collection.createIndex({ created_at: -1 });
+    await WalletTransaction.collection.createIndex({ user_id: 1, created_at: -1 });
+    await WalletTransaction.collection.createIndex({ created_at: -1 });
+
     // Slot indexes
     await Slot.collection.createIndex({ service_id: 1, date: 1, time_slot: 1 });
     await Slot.collection.createIndex({ date: 1 });
     await Slot.collection.createIndex({ is_available: 1 });
+    await Slot.collection.createIndex({ template_id: 1, date: 1 });
+
+    // SlotTemplate and BlackoutDate indexes
+    await SlotTemplate.collection.createIndex({ is_active: 1, service_id: 1 });
+    await SlotTemplate.collection.createIndex({ is_active: 1, category_id: 1 });
+    await BlackoutDate.collection.createIndex({ date: 1 });
+
+    // Technician leave and unavailability indexes
+    await LeaveRequest.collection.createIndex({ employee_id: 1, status: 1, start_date: 1 });
+    await LeaveRequest.collection.createIndex({ status: 1, start_date: 1 });
+    await UnavailabilityBlock.collection.createIndex({ employee_id: 1, start: 1, end: 1 });
     
     console.log('✅ Database indexes created successfully');
   } catch (err) {
@@ -580,6 +1243,38 @@ mongoose
     console.log(`📦 Database: ${mongoose.connection.db.databaseName}`);
     // Create indexes after connection
     await createIndexes();
+    // Roll slot templates forward before recurring visits look for their slots
+    await generateSlots().catch((err) => console.error('Slot generator error:', err));
+    startSlotGenerator(
+      parseInt(process.env.SLOT_GENERATOR_INTERVAL_MINUTES || '60', 10),
+      () => mongoose.connection.readyState === 1
+    );
+    // Book upcoming occurrences of recurring bookings now and then every interval
+    runRecurringScheduler().catch((err) => console.error('Recurring scheduler error:', err));
+    startRecurringScheduler(
+      parseInt(process.env.RECURRING_SCHEDULER_INTERVAL_MINUTES || '60', 10),
+      () => mongoose.connection.readyState === 1
+    );
+    // Cancel abandoned online checkouts so their slots go back on sale; older unpaid bookings
+    // without a hold get one first
+    try {
+      const { modifiedCount } = await Booking.updateMany(missingPaymentHoldFilter(), {
+        payment_hold_until: getPaymentHoldUntil(),
+      });
+      if (modifiedCount > 0) console.log(`⏳ Gave ${modifiedCount} unpaid online bookings a payment hold`);
+    } catch (err) {
+      console.error('Payment hold backfill error:', err);
+    }
+    startPaymentExpirySweeper(
+      parseInt(process.env.PAYMENT_EXPIRY_SWEEP_INTERVAL_MINUTES || '5', 10),
+      expireUnpaidBookings,
+      () => mongoose.connection.readyState === 1
+    );
+    // Pass unanswered waitlist offers on to the next customer
+    startWaitlistSweeper(
+      parseInt(process.env.WAITLIST_SWEEP_INTERVAL_MINUTES || '5', 10),
+      () => mongoose.connection.readyState === 1
+    );
   })
   .catch((err) => {
     console.error('❌ Mongo connection error', err);
@@ -595,11 +1290,72 @@ mongoose.connection.on('error', (err) => {
   console.error('❌ MongoDB error:', err);
 });
 
-const requireAdmin = (req, res, next) => {
-  if (!adminKey) return res.status(500).json({ error: 'admin_key_not_configured' });
-  const provided = req.headers['x-admin-key'];
-  if (provided !== adminKey) return res.status(401).json({ error: 'unauthorized' });
-  next();
+// Check whether the request may use a staff permission.
+// The shared x-admin-key still works as a full admin (break-glass) when ADMIN_KEY is set,
+// but staff should log in with their own account so actions can be traced to them.
+const isAdminKeyRequest = (req) => !!adminKey && req.headers['x-admin-key'] === adminKey;
+
+const canAccess = (req, permission) =>
+  (req.user && hasPermission(req.user.role, permission)) || isAdminKeyRequest(req);
+
+const requireAdmin = (permission) => (req, res, next) => {
+  if (req.user && hasPermission(req.user.role, permission)) {
+    console.log(`[Admin] ${req.user.role} ${req.user.id} ${req.method} ${req.originalUrl} (${permission})`);
+    return next();
+  }
+  if (isAdminKeyRequest(req)) {
+    console.warn(`[Admin] shared ADMIN_KEY used for ${req.method} ${req.originalUrl} (${permission})`);
+    req.user = req.user || { id: null, role: 'admin', via: 'admin_key' };
+    return next();
+  }
+  if (req.user) {
+    return res.status(403).json({ error: 'forbidden', message: `Missing permission: ${permission}`, permission });
+  }
+  return res.status(401).json({ error: req.authError || 'unauthorized' });
+};
+
+const idEquals = (ref, id) => !!ref && !!id && (ref._id || ref).toString() === id.toString();
+
+// Who the caller is in relation to a booking
+const isBookingCustomer = (req, booking) => !!req.user && idEquals(booking.customer_id, req.user.id);
+const isBookingWorker = (req, booking) =>
+  !!req.user && (idEquals(booking.employee_id, req.user.id) || idEquals(booking.partner_id, req.user.id));
+
+// Actor for the booking state machine ('staff' | 'worker' | 'customer'), or null
+const getBookingActor = (req, booking) => {
+  if (canAccess(req, 'bookings:manage')) return 'staff';
+  if (isBookingWorker(req, booking)) return 'worker';
+  if (isBookingCustomer(req, booking)) return 'customer';
+  return null;
+};
+
+// Actor recorded on booking events
+const eventActor = (req, kind) => ({ id: req.user?.id, role: req.user?.role, kind: kind || 'system' });
+
+/**
+ * Only let the booking's customer and/or assigned workers act on :id.
+ * Staff with the given permission override the ownership check.
+ * @param {Array<'customer'|'worker'>} relations - Allowed relations to the booking
+ * @param {string} permission - Staff permission that overrides ownership
+ */
+const requireBookingAccess = (relations, permission = 'bookings:manage') => async (req, res, next) => {
+  try {
+    if (canAccess(req, permission)) return next();
+    if (!req.user) return res.status(401).json({ error: req.authError || 'unauthorized', message: 'Please login first' });
+
+    const booking = await Booking.findById(req.params.id).select('customer_id employee_id partner_id');
+    if (!booking) return res.status(404).json({ error: 'not_found' });
+
+    const allowed =
+      (relations.includes('customer') && isBookingCustomer(req, booking)) ||
+      (relations.includes('worker') && isBookingWorker(req, booking));
+    if (!allowed) {
+      return res.status(403).json({ error: 'forbidden', message: 'You do not have access to this booking' });
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
 };
 
 // Root route - API information
@@ -1076,7 +1832,7 @@ app.post(
 );
 
 // Admin: create technician directly (approved)
-app.post(`${apiBase}/admin/technicians`, requireAdmin, async (req, res) => {
+app.post(`${apiBase}/admin/technicians`, requireAdmin('technicians:manage'), async (req, res) => {
   try {
     const {
       full_name,
@@ -1192,13 +1948,17 @@ app.post(
       // Email verification requirement disabled so employees/technicians can log in
       // even if SMTP/email verification is not configured.
 
+      const session = await issueSession(profile, { userAgent: req.headers['user-agent'], ip: req.ip });
+
       return res.json({
         user: {
           id: profile._id.toString(),
           phone: profile.phone,
           email: profile.email,
+          role: profile.role,
         },
         profile,
+        ...session,
       });
     } catch (err) {
       console.error('login error:', err);
@@ -1208,7 +1968,7 @@ app.post(
 );
 
 // Admin: reset a user's password (protected by admin key)
-app.post(`${apiBase}/admin/profiles/:id/reset-password`, requireAdmin, async (req, res) => {
+app.post(`${apiBase}/admin/profiles/:id/reset-password`, requireAdmin('staff:manage'), async (req, res) => {
   try {
     const { new_password } = req.body;
     if (!new_password || new_password.length < 6) {
@@ -1263,7 +2023,7 @@ app.get(`${apiBase}/auth/verify-email`, async (req, res) => {
 });
 
 // Admin: list pending technician applications
-app.get(`${apiBase}/admin/technicians/pending`, requireAdmin, async (_req, res) => {
+app.get(`${apiBase}/admin/technicians/pending`, requireAdmin('technicians:manage'), async (_req, res) => {
   try {
     // Find profiles with pending approval_status
     // Include profiles with:
@@ -1301,7 +2061,7 @@ app.get(`${apiBase}/admin/technicians/pending`, requireAdmin, async (_req, res)
 });
 
 // Admin: approve technician
-app.post(`${apiBase}/admin/technicians/:id/approve`, requireAdmin, async (req, res) => {
+app.post(`${apiBase}/admin/technicians/:id/approve`, requireAdmin('technicians:manage'), async (req, res) => {
   try {
     const profile = await Profile.findById(req.params.id);
     if (!profile) return res.status(404).json({ error: 'not_found' });
@@ -1375,7 +2135,7 @@ app.post(`${apiBase}/admin/technicians/:id/approve`, requireAdmin, async (req, r
 });
 
 // Admin: reject technician
-app.post(`${apiBase}/admin/technicians/:id/reject`, requireAdmin, async (req, res) => {
+app.post(`${apiBase}/admin/technicians/:id/reject`, requireAdmin('technicians:manage'), async (req, res) => {
   try {
     const { reason } = req.body;
     const profile = await Profile.findById(req.params.id);
@@ -1547,11 +2307,14 @@ app.post(
 
       console.log(`🔐 OTP verified - User: ${profile.phone}, isNewUser: ${isNewUser}, needsProfileCompletion: ${needsProfileCompletion}`);
 
+      const session = await issueSession(profile, { userAgent: req.headers['user-agent'], ip: req.ip });
+
       res.json({
         success: true,
-        user: { id: profile._id.toString(), phone: profile.phone },
+        user: { id: profile._id.toString(), phone: profile.phone, role: profile.role },
         profile,
         needsProfileCompletion,
+        ...session,
       });
     } catch (err) {
       console.error('verify-otp error:', err);
@@ -1626,7 +2389,75 @@ app.post(
   }
 );
 
-app.post(`${apiBase}/profiles`, requireAdmin, async (req, res) => {
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+app.post(
+  `${apiBase}/auth/refresh`,
+  [body('refresh_token').isString().notEmpty().withMessage('Refresh token is required')],
+  validate,
+  async (req, res) => {
+    try {
+      const { session, error } = await rotateRefreshToken(req.body.refresh_token, {
+        userAgent: req.headers['user-agent'],
+        ip: req.ip,
+      });
+      if (!session) {
+        return res.status(401).json({ error, message: 'Session expired. Please login again.' });
+      }
+      res.json(session);
+    } catch (err) {
+      console.error('refresh error:', err);
+      res.status(500).json({ error: 'refresh_failed' });
+    }
+  }
+);
+
+// Logout: revoke this device's session, or every session with { all: true }
+app.post(`${apiBase}/auth/logout`, async (req, res) => {
+  try {
+    const { refresh_token, all } = req.body;
+    if (all) {
+      if (!req.user) {
+        return res.status(401).json({ error: req.authError || 'unauthorized', message: 'Please login first' });
+      }
+      await revokeAllSessions(req.user.id);
+    } else if (refresh_token) {
+      await revokeRefreshToken(refresh_token);
+    } else {
+      return res.status(400).json({ error: 'refresh_token_required' });
+    }
+    res.json({ success: true });
+  } catch (err) {
+    console.error('logout error:', err);
+    res.status(500).json({ error: 'logout_failed' });
+  }
+});
+
+// Current user with the staff permissions of their role
+app.get(`${apiBase}/auth/me`, requireAuth, async (req, res) => {
+  try {
+    const profile = await Profile.findById(req.user.id);
+    if (!profile) return res.status(404).json({ error: 'not_found' });
+    res.json({ user: req.user, profile, permissions: ROLE_PERMISSIONS[req.user.role] || [] });
+  } catch (err) {
+    console.error('auth/me error:', err);
+    res.status(500).json({ error: 'profile_error' });
+  }
+});
+
+// Admin: revoke every session of a profile (forces re-login on all devices)
+app.post(`${apiBase}/admin/profiles/:id/revoke-sessions`, requireAdmin('staff:manage'), async (req, res) => {
+  try {
+    const profile = await Profile.findById(req.params.id);
+    if (!profile) return res.status(404).json({ error: 'not_found' });
+    await revokeAllSessions(profile._id);
+    res.json({ success: true });
+  } catch (err) {
+    console.error('revoke sessions error:', err);
+    res.status(500).json({ error: 'revoke_sessions_failed' });
+  }
+});
+
+app.post(`${apiBase}/profiles`, requireAdmin('profiles:write'), async (req, res) => {
   try {
     const {
       phone,
@@ -1649,10 +2480,16 @@ app.post(`${apiBase}/profiles`, requireAdmin, async (req, res) => {
       other_skills,
     } = req.body;
     if (!phone || !full_name) return res.status(400).json({ error: 'phone and full_name required' });
+    if (STAFF_ROLES.includes(role) && !canAccess(req, 'staff:manage')) {
+      return res.status(403).json({ error: 'forbidden', message: 'Missing permission: staff:manage', permission: 'staff:manage' });
+    }
     
     // Check if profile already exists
     const existing = await Profile.findOne({ phone });
     if (existing) {
+      if (role && STAFF_ROLES.includes(existing.role) && !canAccess(req, 'staff:manage')) {
+        return res.status(403).json({ error: 'forbidden', message: 'Missing permission: staff:manage', permission: 'staff:manage' });
+      }
       // Update existing profile with new data
       const updateData = {};
       if (full_name) updateData.full_name = full_name;
@@ -1721,6 +2558,12 @@ app.get(`${apiBase}/profiles/:id`, async (req, res) => {
   try {
     const profile = await Profile.findById(req.params.id);
     if (!profile) return res.status(404).json({ error: 'not_found' });
+    // Saved addresses are only shown to their owner and staff
+    const isOwner = req.user && idEquals(profile._id, req.user.id);
+    if (!isOwner && !canAccess(req, 'profiles:read')) {
+      const { addresses, ...publicProfile } = profile.toJSON();
+      return res.json(publicProfile);
+    }
     res.json(profile);
   } catch (err) {
     console.error(err);
@@ -1728,8 +2571,12 @@ app.get(`${apiBase}/profiles/:id`, async (req, res) => {
   }
 });
 
-app.get(`${apiBase}/profiles`, async (req, res) => {
-  const { role } = req.query;
+// Fields clients may sort profile lists by
+const PROFILE_SORT_FIELDS = ['created_at', 'full_name', 'rating', 'current_jobs', 'experience_years'];
+
+// Staff only: lists and searches customers and technicians by name, phone and email
+app.get(`${apiBase}/profiles`, requireAdmin('profiles:read'), listQueryValidators, validate, async (req, res) => {
+  const { role, q, is_available, from, to } = req.query;
   console.log(`[Profiles API] GET /profiles called with role: ${role || 'none'}`);
   let filter = {};
   
@@ -1783,10 +2630,35 @@ app.get(`${apiBase}/profiles`, async (req, res) => {
     }
   } else {
     // If no role specified, exclude admin and customer by default
-    filter.role = { $nin: ['admin', 'customer'] };
+    filter.role = { $nin: [...STAFF_ROLES, 'customer'] };
+  }
+
+  // Dashboard filters, on top of the role filter
+  const extraConditions = [];
+  if (q) {
+    const pattern = searchRegex(q);
+    extraConditions.push({ $or: [{ full_name: pattern }, { phone: pattern }, { email: pattern }] });
+  }
+  if (is_available !== undefined) extraConditions.push({ is_available: is_available === 'true' });
+  if (from || to) extraConditions.push({ created_at: dateRangeFilter(from, to) });
+  if (extraConditions.length) filter = { $and: [filter, ...extraConditions] };
+
+  const sort = parseSort(req.query.sort, PROFILE_SORT_FIELDS, { created_at: -1 });
+  if (!sort) {
+    return res.status(400).json({ error: 'invalid_sort', message: `Sort by one of: ${PROFILE_SORT_FIELDS.join(', ')}` });
+  }
+
+  // Paginated path for dashboards: the role filter already leaves out pending/rejected
+  // applications and non-customers, so the post-filters below are not needed
+  // Saved addresses are only returned by the owner's own endpoints, never in lists
+  const withoutAddresses = (query) => query.select('-addresses');
+
+  const pagination = parsePagination(req.query);
+  if (pagination) {
+    return res.json(await findPage(Profile, filter, { pagination, sort, build: withoutAddresses }));
   }
   
-  let profiles = await Profile.find(filter);
+  let profiles = await withoutAddresses(Profile.find(filter)).sort(sort);
   console.log(`[Profiles API] Found ${profiles.length} profiles matching filter for role: ${role || 'all'}`);
   
   // Post-filter for customers: exclude any profiles that have worker/employee/admin roles
@@ -1807,15 +2679,15 @@ app.get(`${apiBase}/profiles`, async (req, res) => {
       console.log(`[Profiles API] No profiles matched the $or filter. Trying alternative queries...`);
       
       // Try querying just for customer role
-      const customerOnly = await Profile.find({ role: 'customer' });
+      const customerOnly = await withoutAddresses(Profile.find({ role: 'customer' }));
       console.log(`[Profiles API] Query with role='customer' found: ${customerOnly.length} profiles`);
       
       // Try querying for profiles without role
-      const noRole = await Profile.find({ role: { $exists: false } });
+      const noRole = await withoutAddresses(Profile.find({ role: { $exists: false } }));
       console.log(`[Profiles API] Query with no role field found: ${noRole.length} profiles`);
       
       // Try querying for null role
-      const nullRole = await Profile.find({ role: null });
+      const nullRole = await withoutAddresses(Profile.find({ role: null }));
       console.log(`[Profiles API] Query with role=null found: ${nullRole.length} profiles`);
       
       // Combine all results
@@ -1900,7 +2772,7 @@ app.get(`${apiBase}/profiles`, async (req, res) => {
 });
 
 // Diagnostic endpoint to check all profiles and their roles (admin only)
-app.get(`${apiBase}/admin/debug/profiles`, requireAdmin, async (req, res) => {
+app.get(`${apiBase}/admin/debug/profiles`, requireAdmin('debug:read'), async (req, res) => {
   try {
     const allProfiles = await Profile.find({}).select('_id full_name phone email role approval_status').lean();
     const roleStats = {};
@@ -1927,16 +2799,22 @@ app.get(`${apiBase}/admin/debug/profiles`, requireAdmin, async (req, res) => {
   }
 });
 
-app.patch(`${apiBase}/profiles/:id/role`, requireAdmin, async (req, res) => {
+app.patch(`${apiBase}/profiles/:id/role`, requireAdmin('profiles:write'), async (req, res) => {
   const { role } = req.body;
   if (!role) return res.status(400).json({ error: 'role_required' });
+  // Granting or removing a staff role needs staff:manage
+  const existing = await Profile.findById(req.params.id).select('role');
+  if (!existing) return res.status(404).json({ error: 'not_found' });
+  if ((STAFF_ROLES.includes(role) || STAFF_ROLES.includes(existing.role)) && !canAccess(req, 'staff:manage')) {
+    return res.status(403).json({ error: 'forbidden', message: 'Missing permission: staff:manage', permission: 'staff:manage' });
+  }
   const profile = await Profile.findByIdAndUpdate(req.params.id, { role }, { new: true });
   if (!profile) return res.status(404).json({ error: 'not_found' });
   res.json(profile);
 });
 
 // Update verification flags (admin)
-app.patch(`${apiBase}/profiles/:id/verification`, requireAdmin, async (req, res) => {
+app.patch(`${apiBase}/profiles/:id/verification`, requireAdmin('profiles:write'), async (req, res) => {
   const allowedFields = [
     'phone_verified',
     'email_verified',
@@ -1963,38 +2841,12 @@ app.patch(`${apiBase}/profiles/:id/verification`, requireAdmin, async (req, res)
 });
 
 // Complete profile for new users (after OTP verification)
-app.post(`${apiBase}/profiles/complete`, async (req, res) => {
+app.post(`${apiBase}/profiles/complete`, requireAuth, async (req, res) => {
   try {
     const { full_name, email, date_of_birth, gender } = req.body;
     
-    // Get user from session token
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'unauthorized', message: 'Please login first' });
-    }
-    
-    // Extract session from token (format: base64 encoded JSON)
-    let session;
-    try {
-      const token = authHeader.split(' ')[1];
-      if (!token) {
-        console.error('❌ No token found in Authorization header');
-        return res.status(401).json({ error: 'unauthorized', message: 'No token provided' });
-      }
-      session = JSON.parse(Buffer.from(token, 'base64').toString());
-      console.log('🔐 Session decoded for user:', session?.id);
-    } catch (parseErr) {
-      console.error('❌ Session parse error:', parseErr);
-      console.error('Token received:', authHeader.substring(0, 50) + '...');
-      return res.status(401).json({ error: 'unauthorized', message: 'Invalid session token' });
-    }
-    
-    if (!session || !session.id) {
-      console.error('❌ Invalid session structure:', session);
-      return res.status(401).json({ error: 'unauthorized', message: 'Invalid session' });
-    }
-    
-    const profile = await Profile.findById(session.id);
+    // User comes from the verified access token
+    const profile = await Profile.findById(req.user.id);
     if (!profile) {
       return res.status(404).json({ error: 'profile_not_found' });
     }
@@ -2017,12 +2869,48 @@ app.post(`${apiBase}/profiles/complete`, async (req, res) => {
   }
 });
 
-app.patch(`${apiBase}/profiles/:id`, requireAdmin, async (req, res) => {
+// Fields PATCH /profiles/:id may change. Roles, wallets, addresses, credentials, verification,
+// shifts and approval each have their own endpoint and permission.
+const EDITABLE_PROFILE_FIELDS = [
+  'phone',
+  'full_name',
+  'email',
+  'skills',
+  'other_skills',
+  'location',
+  'address',
+  'is_available',
+  'max_capacity',
+  'experience_years',
+  'city',
+  'application_message',
+  'aadhaar_number',
+  'aadhaar_image_url',
+  'full_address',
+  'alternate_phone',
+  'service_areas',
+  'preferred_work_hours',
+  'bank_details',
+];
+
+app.patch(`${apiBase}/profiles/:id`, requireAdmin('profiles:write'), async (req, res) => {
   try {
-    const updateData = { ...req.body };
-    // Remove _id if present
-    delete updateData._id;
-    const profile = await Profile.findByIdAndUpdate(req.params.id, updateData, { new: true });
+    if (Object.keys(req.body || {}).some((key) => key.startsWith('$'))) {
+      return res.status(400).json({ error: 'invalid_update', message: 'Update operators are not allowed' });
+    }
+    const updateData = {};
+    EDITABLE_PROFILE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+
+    // Staff contact details log them in (OTP), so editing a staff profile needs staff:manage
+    const existing = await Profile.findById(req.params.id).select('role');
+    if (!existing) return res.status(404).json({ error: 'not_found' });
+    if (STAFF_ROLES.includes(existing.role) && !canAccess(req, 'staff:manage')) {
+      return res.status(403).json({ error: 'forbidden', message: 'Missing permission: staff:manage', permission: 'staff:manage' });
+    }
+
+    const profile = await Profile.findByIdAndUpdate(req.params.id, { $set: updateData }, { new: true });
     if (!profile) return res.status(404).json({ error: 'not_found' });
     res.json(profile);
   } catch (err) {
@@ -2031,22 +2919,428 @@ app.patch(`${apiBase}/profiles/:id`, requireAdmin, async (req, res) => {
   }
 });
 
-app.delete(`${apiBase}/profiles/:id`, requireAdmin, async (req, res) => {
+app.delete(`${apiBase}/profiles/:id`, requireAdmin('profiles:delete'), async (req, res) => {
   await Profile.findByIdAndDelete(req.params.id);
   res.json({ success: true });
 });
 
-app.get(`${apiBase}/categories`, async (req, res) => {
-  const { is_popular } = req.query;
-  const filter = { is_active: true };
-  if (is_popular === 'true') {
-    filter.is_popular = true;
+// ==================== SAVED ADDRESSES ====================
+// Customer address book (services/addresses.js). Bookings made with an address_id keep a snapshot.
+
+/**
+ * Only let the profile owner act on :id. Staff with the given permission override the check.
+ * @param {string} permission - Staff permission that overrides ownership
+ */
+const requireProfileAccess = (permission) => (req, res, next) => {
+  if (canAccess(req, permission)) return next();
+  if (!req.user) return res.status(401).json({ error: req.authError || 'unauthorized', message: 'Please login first' });
+  if (req.params.id !== req.user.id) {
+    return res.status(403).json({ error: 'forbidden', message: 'You can only manage your own profile' });
   }
-  const categories = await Category.find(filter).sort({ sort_order: 1 });
+  next();
+};
+
+// Saved address fields; `optional` for partial updates
+const savedAddressValidators = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    body('label').optional().trim().isLength({ min: 1, max: 30 }).withMessage('Label must be 1-30 characters'),
+    field('line1').trim().isLength({ min: 3, max: 200 }).withMessage('Address must be 3-200 characters'),
+    body('line2').optional().trim().isLength({ max: 200 }).withMessage('Address line 2 is too long'),
+    body('landmark').optional().trim().isLength({ max: 100 }).withMessage('Landmark is too long'),
+    body('city').optional().trim().isLength({ max: 100 }).withMessage('City is too long'),
+    body('state').optional().trim().isLength({ max: 100 }).withMessage('State is too long'),
+    field('pincode').trim().matches(/^\d{6}$/).withMessage('Pincode must be 6 digits'),
+    body('location.lat').optional().isFloat({ min: -90, max: 90 }).withMessage('Latitude must be between -90 and 90'),
+    body('location.lng').optional().isFloat({ min: -180, max: 180 }).withMessage('Longitude must be between -180 and 180'),
+    body('is_default').optional().isBoolean().withMessage('is_default must be true or false'),
+  ];
+};
+
+// Copy request fields onto a saved address
+const applyAddressFields = (address, data) => {
+  for (const field of ADDRESS_FIELDS) {
+    if (data[field] !== undefined) address[field] = sanitizeInput(data[field]);
+  }
+  if (data.location?.lat !== undefined && data.location?.lng !== undefined) {
+    address.location = { lat: Number(data.location.lat), lng: Number(data.location.lng) };
+  }
+};
+
+// Keep exactly one default address
+const setDefaultAddress = (profile, addressId) => {
+  for (const address of profile.addresses) {
+    address.is_default = address._id.equals(addressId);
+  }
+};
+
+app.get(`${apiBase}/profiles/:id/addresses`, requireProfileAccess('profiles:read'), async (req, res) => {
+  try {
+    const profile = await Profile.findById(req.params.id).select('addresses');
+    if (!profile) return res.status(404).json({ error: 'not_found' });
+    res.json(profile.addresses);
+  } catch (err) {
+    console.error('Get addresses error:', err);
+    res.status(500).json({ error: 'get_addresses_error', message: err.message });
+  }
+});
+
+app.post(
+  `${apiBase}/profiles/:id/addresses`,
+  requireProfileAccess('profiles:write'),
+  savedAddressValidators(),
+  validate,
+  async (req, res) => {
+    try {
+      const profile = await Profile.findById(req.params.id);
+      if (!profile) return res.status(404).json({ error: 'not_found' });
+
+      if (!(await isServiceable(req.body.pincode))) {
+        return res.status(400).json({ error: 'service_not_available', message: 'Services are not available in your area yet.' });
+      }
+
+      profile.addresses.push({});
+      const address = profile.addresses[profile.addresses.length - 1];
+      applyAddressFields(address, req.body);
+      // The first address is the default one
+      if (req.body.is_default === true || profile.addresses.length === 1) {
+        setDefaultAddress(profile, address._id);
+      }
+      await profile.save();
+
+      res.status(201).json(address);
+    } catch (err) {
+      console.error('Add address error:', err);
+      res.status(500).json({ error: 'add_address_error', message: err.message });
+    }
+  }
+);
+
+app.patch(
+  `${apiBase}/profiles/:id/addresses/:addressId`,
+  requireProfileAccess('profiles:write'),
+  savedAddressValidators(true),
+  validate,
+  async (req, res) => {
+    try {
+      const profile = await Profile.findById(req.params.id);
+      const address = profile?.addresses.id(req.params.addressId);
+      if (!address) return res.status(404).json({ error: 'address_not_found' });
+
+      if (req.body.pincode !== undefined && req.body.pincode !== address.pincode && !(await isServiceable(req.body.pincode))) {
+        return res.status(400).json({ error: 'service_not_available', message: 'Services are not available in your area yet.' });
+      }
+
+      // Bookings made with this address keep their own snapshot
+      applyAddressFields(address, req.body);
+      if (req.body.is_default === true) setDefaultAddress(profile, address._id);
+      await profile.save();
+
+      res.json(address);
+    } catch (err) {
+      console.error('Update address error:', err);
+      res.status(500).json({ error: 'update_address_error', message: err.message });
+    }
+  }
+);
+
+app.delete(`${apiBase}/profiles/:id/addresses/:addressId`, requireProfileAccess('profiles:write'), async (req, res) => {
+  try {
+    const profile = await Profile.findById(req.params.id);
+    const address = profile?.addresses.id(req.params.addressId);
+    if (!address) return res.status(404).json({ error: 'address_not_found' });
+
+    const wasDefault = address.is_default;
+    address.deleteOne();
+    if (wasDefault && profile.addresses.length > 0) {
+      setDefaultAddress(profile, profile.addresses[0]._id);
+    }
+    await profile.save();
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Delete address error:', err);
+    res.status(500).json({ error: 'delete_address_error', message: err.message });
+  }
+});
+
+// ==================== TECHNICIAN SHIFTS AND LEAVE ====================
+// Weekly shifts, leave requests and one-off unavailability (see services/workerSchedule.js)
+
+const TECHNICIAN_ROLES = ['employee', 'manager', 'lead'];
+const SHIFT_TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Load the technician a shift/leave route is for
+const findTechnician = async (id) => {
+  const profile = await Profile.findById(id).select('full_name phone role shifts');
+  return profile && TECHNICIAN_ROLES.includes(profile.role) ? profile : null;
+};
+
+// Technician's jobs on the days from `firstDay` to `lastDay` that now clash with their leave or block
+const bookingsDuring = (employeeId, firstDay, lastDay) =>
+  Booking.find({
+    $or: [{ employee_id: employeeId }, { partner_id: employeeId }],
+    status: { $in: ['assigned', 'accepted'] },
+    is_deleted: { $ne: true },
+    booking_date: { $gte: firstDay, $lt: new Date(new Date(lastDay).getTime() + 24 * 60 * 60 * 1000) },
+  }).select('booking_date booking_time status service_id customer_name');
+
+app.get(`${apiBase}/profiles/:id/shifts`, requireProfileAccess('technicians:manage'), async (req, res) => {
+  try {
+    const technician = await findTechnician(req.params.id);
+    if (!technician) return res.status(404).json({ error: 'technician_not_found' });
+    res.json({ shifts: technician.shifts });
+  } catch (err) {
+    console.error('Get shifts error:', err);
+    res.status(500).json({ error: 'get_shifts_error', message: err.message });
+  }
+});
+
+app.put(
+  `${apiBase}/profiles/:id/shifts`,
+  requireAdmin('technicians:manage'),
+  [
+    body('shifts').isArray({ max: 21 }).withMessage('shifts must be an array'),
+    body('shifts.*.day_of_week').isInt({ min: 0, max: 6 }).withMessage('Days of the week are 0 (Sunday) to 6 (Saturday)'),
+    body('shifts.*.start').matches(SHIFT_TIME_PATTERN).withMessage('Shift start must look like "09:00"'),
+    body('shifts.*.end').matches(SHIFT_TIME_PATTERN).withMessage('Shift end must look like "18:00"'),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const technician = await findTechnician(req.params.id);
+      if (!technician) return res.status(404).json({ error: 'technician_not_found' });
+
+      const shifts = req.body.shifts.map(({ day_of_week, start, end }) => ({ day_of_week: Number(day_of_week), start, end }));
+      if (shifts.some((shift) => shift.end <= shift.start)) {
+        return res.status(400).json({ error: 'invalid_shift', message: 'A shift must end after it starts' });
+      }
+
+      // An empty list means no shift calendar: the technician can be booked any time
+      technician.shifts = shifts;
+      await technician.save();
+      res.json({ shifts: technician.shifts });
+    } catch (err) {
+      console.error('Update shifts error:', err);
+      res.status(500).json({ error: 'update_shifts_error', message: err.message });
+    }
+  }
+);
+
+app.get(`${apiBase}/profiles/:id/leave-requests`, requireProfileAccess('technicians:manage'), async (req, res) => {
+  try {
+    const leaveRequests = await LeaveRequest.find({ employee_id: req.params.id }).sort({ start_date: -1 }).limit(100);
+    res.json(leaveRequests);
+  } catch (err) {
+    console.error('Get leave requests error:', err);
+    res.status(500).json({ error: 'get_leave_requests_error', message: err.message });
+  }
+});
+
+app.post(
+  `${apiBase}/profiles/:id/leave-requests`,
+  requireProfileAccess('technicians:manage'),
+  [
+    body('start_date').isISO8601().withMessage('Invalid start date'),
+    body('end_date').isISO8601().withMessage('Invalid end date'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be under 500 characters'),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const technician = await findTechnician(req.params.id);
+      if (!technician) return res.status(404).json({ error: 'technician_not_found' });
+
+      const startDate = startOfDay(req.body.start_date);
+      const endDate = startOfDay(req.body.end_date);
+      if (endDate < startDate) {
+        return res.status(400).json({ error: 'invalid_dates', message: 'Leave must end on or after its first day' });
+      }
+      if (endDate < startOfDay(new Date())) {
+        return res.status(400).json({ error: 'invalid_dates', message: 'Leave cannot be in the past' });
+      }
+
+      // Leave entered by staff is approved right away; technicians' own requests wait for approval
+      const byStaff = canAccess(req, 'technicians:manage') && !idEquals(technician._id, req.user?.id);
+      const leaveRequest = await LeaveRequest.create({
+        employee_id: technician._id,
+        start_date: startDate,
+        end_date: endDate,
+        reason: req.body.reason ? sanitizeInput(req.body.reason) : undefined,
+        status: byStaff ? 'approved' : 'pending',
+        requested_by: req.user?.id,
+        ...(byStaff ? { reviewed_by: req.user?.id, reviewed_at: new Date() } : {}),
+      });
+
+      const conflictingBookings = byStaff ? await bookingsDuring(technician._id, startDate, endDate) : [];
+      console.log(`🌴 Leave ${leaveRequest.status} for ${technician._id}: ${dayKey(startDate)} to ${dayKey(endDate)}`);
+      res.status(201).json({ ...leaveRequest.toObject(), conflicting_bookings: conflictingBookings });
+    } catch (err) {
+      console.error('Create leave request error:', err);
+      res.status(500).json({ error: 'create_leave_request_error', message: err.message });
+    }
+  }
+);
+
+app.post(`${apiBase}/leave-requests/:id/cancel`, requireAuth, async (req, res) => {
+  try {
+    const leaveRequest = await LeaveRequest.findById(req.params.id);
+    if (!leaveRequest) return res.status(404).json({ error: 'not_found' });
+    if (!canAccess(req, 'technicians:manage') && !idEquals(leaveRequest.employee_id, req.user?.id)) {
+      return res.status(403).json({ error: 'forbidden' });
+    }
+    if (!['pending', 'approved'].includes(leaveRequest.status)) {
+      return res.status(409).json({ error: 'leave_not_open', message: `This leave request is ${leaveRequest.status}` });
+    }
+
+    leaveRequest.status = 'cancelled';
+    await leaveRequest.save();
+    res.json(leaveRequest);
+  } catch (err) {
+    console.error('Cancel leave request error:', err);
+    res.status(500).json({ error: 'cancel_leave_request_error', message: err.message });
+  }
+});
+
+app.get(`${apiBase}/admin/leave-requests`, requireAdmin('technicians:manage'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      const statuses = String(req.query.status).split(',').filter((status) => LEAVE_STATUSES.includes(status));
+      filter.status = { $in: statuses };
+    }
+    if (req.query.employeeId) filter.employee_id = req.query.employeeId;
+    const leaveRequests = await LeaveRequest.find(filter)
+      .populate('employee_id', 'full_name phone')
+      .sort({ start_date: 1 })
+      .limit(200);
+    res.json(leaveRequests);
+  } catch (err) {
+    console.error('Get leave requests error:', err);
+    res.status(500).json({ error: 'get_leave_requests_error', message: err.message });
+  }
+});
+
+app.post(
+  `${apiBase}/admin/leave-requests/:id/:decision(approve|reject)`,
+  requireAdmin('technicians:manage'),
+  [body('note').optional().trim().isLength({ max: 500 }).withMessage('Note must be under 500 characters')],
+  validate,
+  async (req, res) => {
+    try {
+      const status = req.params.decision === 'approve' ? 'approved' : 'rejected';
+      const leaveRequest = await LeaveRequest.findOneAndUpdate(
+        { _id: req.params.id, status: 'pending' },
+        {
+          status,
+          reviewed_by: req.user?.id,
+          reviewed_at: new Date(),
+          review_note: req.body.note ? sanitizeInput(req.body.note) : undefined,
+        },
+        { new: true }
+      ).populate('employee_id', 'full_name phone');
+      if (!leaveRequest) {
+        return res.status(409).json({ error: 'leave_not_pending', message: 'Leave request not found or already decided' });
+      }
+
+      const technician = leaveRequest.employee_id;
+      if (technician?.phone) {
+        const period = `${new Date(leaveRequest.start_date).toLocaleDateString('en-IN')} to ${new Date(leaveRequest.end_date).toLocaleDateString('en-IN')}`;
+        await sendNotification({
+          to: technician.phone,
+          type: 'whatsapp',
+          message: `Hello! ${technician.full_name || 'Employee'}\n\nYour leave from ${period} has been ${status}.${leaveRequest.review_note ? `\nNote: ${leaveRequest.review_note}` : ''}\n\nThank you for choosing ACE Home Solutions!`,
+          userId: technician._id,
+          metadata: { type: 'leave_request', leave_request_id: leaveRequest._id.toString(), status },
+        });
+      }
+
+      // Jobs already assigned in the leave period need another technician
+      const conflictingBookings =
+        status === 'approved' && technician
+          ? await bookingsDuring(technician._id, leaveRequest.start_date, leaveRequest.end_date)
+          : [];
+      res.json({ ...leaveRequest.toObject(), conflicting_bookings: conflictingBookings });
+    } catch (err) {
+      console.error('Review leave request error:', err);
+      res.status(500).json({ error: 'review_leave_request_error', message: err.message });
+    }
+  }
+);
+
+app.get(`${apiBase}/profiles/:id/unavailability`, requireProfileAccess('technicians:manage'), async (req, res) => {
+  try {
+    const blocks = await UnavailabilityBlock.find({ employee_id: req.params.id, end: { $gt: new Date() } }).sort({ start: 1 });
+    res.json(blocks);
+  } catch (err) {
+    console.error('Get unavailability error:', err);
+    res.status(500).json({ error: 'get_unavailability_error', message: err.message });
+  }
+});
+
+app.post(
+  `${apiBase}/profiles/:id/unavailability`,
+  requireProfileAccess('technicians:manage'),
+  [
+    body('start').isISO8601().withMessage('Invalid start time'),
+    body('end').isISO8601().withMessage('Invalid end time'),
+    body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason must be under 500 characters'),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const technician = await findTechnician(req.params.id);
+      if (!technician) return res.status(404).json({ error: 'technician_not_found' });
+
+      const start = new Date(req.body.start);
+      const end = new Date(req.body.end);
+      if (end <= start) {
+        return res.status(400).json({ error: 'invalid_period', message: 'The block must end after it starts' });
+      }
+      if (end <= new Date()) {
+        return res.status(400).json({ error: 'invalid_period', message: 'The block cannot be in the past' });
+      }
+
+      const block = await UnavailabilityBlock.create({
+        employee_id: technician._id,
+        start,
+        end,
+        reason: req.body.reason ? sanitizeInput(req.body.reason) : undefined,
+        created_by: req.user?.id,
+      });
+
+      // Whole-day check; staff look at the times of the listed jobs
+      const conflictingBookings = await bookingsDuring(technician._id, startOfDay(start), startOfDay(end));
+      res.status(201).json({ ...block.toObject(), conflicting_bookings: conflictingBookings });
+    } catch (err) {
+      console.error('Create unavailability error:', err);
+      res.status(500).json({ error: 'create_unavailability_error', message: err.message });
+    }
+  }
+);
+
+app.delete(`${apiBase}/profiles/:id/unavailability/:blockId`, requireProfileAccess('technicians:manage'), async (req, res) => {
+  try {
+    const block = await UnavailabilityBlock.findOneAndDelete({ _id: req.params.blockId, employee_id: req.params.id });
+    if (!block) return res.status(404).json({ error: 'not_found' });
+    res.json({ success: true });
+  } catch (err) {
+    console.error('Delete unavailability error:', err);
+    res.status(500).json({ error: 'delete_unavailability_error', message: err.message });
+  }
+});
+
+app.get(`${apiBase}/categories`, async (req, res) => {
+  const { is_popular } = req.query;
+  const filter = { is_active: true };
+  if (is_popular === 'true') {
+    filter.is_popular = true;
+  }
+  const categories = await Category.find(filter).sort({ sort_order: 1 });
   res.json(categories);
 });
 
-app.post(`${apiBase}/categories`, requireAdmin, async (req, res) => {
+app.post(`${apiBase}/categories`, requireAdmin('catalog:write'), async (req, res) => {
   try {
     const category = await Category.create(req.body);
     res.json(category);
@@ -2056,13 +3350,13 @@ app.post(`${apiBase}/categories`, requireAdmin, async (req, res) => {
   }
 });
 
-app.patch(`${apiBase}/categories/:id`, requireAdmin, async (req, res) => {
+app.patch(`${apiBase}/categories/:id`, requireAdmin('catalog:write'), async (req, res) => {
   const category = await Category.findByIdAndUpdate(req.params.id, req.body, { new: true });
   if (!category) return res.status(404).json({ error: 'not_found' });
   res.json(category);
 });
 
-app.delete(`${apiBase}/categories/:id`, requireAdmin, async (req, res) => {
+app.delete(`${apiBase}/categories/:id`, requireAdmin('catalog:delete'), async (req, res) => {
   await Category.findByIdAndDelete(req.params.id);
   res.json({ success: true });
 });
@@ -2134,7 +3428,7 @@ app.get(`${apiBase}/services`, async (req, res) => {
   res.json(services);
 });
 
-app.post(`${apiBase}/services`, requireAdmin, async (req, res) => {
+app.post(`${apiBase}/services`, requireAdmin('catalog:write'), async (req, res) => {
   try {
     const service = await Service.create(req.body);
     res.json(service);
@@ -2144,7 +3438,7 @@ app.post(`${apiBase}/services`, requireAdmin, async (req, res) => {
   }
 });
 
-app.patch(`${apiBase}/services/:id`, requireAdmin, async (req, res) => {
+app.patch(`${apiBase}/services/:id`, requireAdmin('catalog:write'), async (req, res) => {
   try {
     const service = await Service.findByIdAndUpdate(req.params.id, req.body, { new: true });
     if (!service) return res.status(404).json({ error: 'not_found' });
@@ -2155,7 +3449,7 @@ app.patch(`${apiBase}/services/:id`, requireAdmin, async (req, res) => {
   }
 });
 
-app.delete(`${apiBase}/services/:id`, requireAdmin, async (req, res) => {
+app.delete(`${apiBase}/services/:id`, requireAdmin('catalog:delete'), async (req, res) => {
   try {
     await Service.findByIdAndDelete(req.params.id);
     res.json({ success: true });
@@ -2166,7 +3460,7 @@ app.delete(`${apiBase}/services/:id`, requireAdmin, async (req, res) => {
 });
 
 // Service Add-ons CRUD (admin)
-app.get(`${apiBase}/service-addons`, requireAdmin, async (req, res) => {
+app.get(`${apiBase}/service-addons`, requireAdmin('addons:read'), async (req, res) => {
   try {
     const { serviceId } = req.query;
     const filter = {};
@@ -2179,7 +3473,7 @@ app.get(`${apiBase}/service-addons`, requireAdmin, async (req, res) => {
   }
 });
 
-app.post(`${apiBase}/service-addons`, requireAdmin, async (req, res) => {
+app.post(`${apiBase}/service-addons`, requireAdmin('catalog:write'), async (req, res) => {
   try {
     const addon = await ServiceAddon.create(req.body);
     res.json(addon);
@@ -2189,7 +3483,7 @@ app.post(`${apiBase}/service-addons`, requireAdmin, async (req, res) => {
   }
 });
 
-app.patch(`${apiBase}/service-addons/:id`, requireAdmin, async (req, res) => {
+app.patch(`${apiBase}/service-addons/:id`, requireAdmin('catalog:write'), async (req, res) => {
   try {
     const addon = await ServiceAddon.findByIdAndUpdate(req.params.id, req.body, { new: true });
     if (!addon) return res.status(404).json({ error: 'not_found' });
@@ -2200,7 +3494,7 @@ app.patch(`${apiBase}/service-addons/:id`, requireAdmin, async (req, res) => {
   }
 });
 
-app.delete(`${apiBase}/service-addons/:id`, requireAdmin, async (req, res) => {
+app.delete(`${apiBase}/service-addons/:id`, requireAdmin('catalog:delete'), async (req, res) => {
   try {
     await ServiceAddon.findByIdAndDelete(req.params.id);
     res.json({ success: true });
@@ -2240,17 +3534,36 @@ app.get(`${apiBase}/services/:slug`, async (req, res) => {
   res.json({ service, addons, reviews });
 });
 
-app.get(`${apiBase}/reviews`, async (req, res) => {
-  const { limit, serviceId, employeeId, bookingId } = req.query;
+// Fields clients may sort review lists by
+const REVIEW_SORT_FIELDS = ['created_at', 'rating', 'worker_rating'];
+
+app.get(`${apiBase}/reviews`, listQueryValidators, validate, async (req, res) => {
+  const { limit, serviceId, employeeId, bookingId, rating, from, to, q } = req.query;
   const filter = { is_verified: true };
   if (serviceId) filter.service_id = serviceId;
   if (employeeId) filter.employee_id = employeeId;
   if (bookingId) filter.booking_id = bookingId;
-  const query = Review.find(filter)
-    .populate('customer_id', 'full_name')
-    .populate('service_id', 'name')
-    .populate('employee_id', 'full_name')
-    .sort({ created_at: -1 });
+  if (rating) filter.rating = listFilter(rating);
+  if (from || to) filter.created_at = dateRangeFilter(from, to);
+  if (q) filter.comment = searchRegex(q);
+
+  const sort = parseSort(req.query.sort, REVIEW_SORT_FIELDS, { created_at: -1 });
+  if (!sort) {
+    return res.status(400).json({ error: 'invalid_sort', message: `Sort by one of: ${REVIEW_SORT_FIELDS.join(', ')}` });
+  }
+
+  const populateReview = (query) =>
+    query
+      .populate('customer_id', 'full_name')
+      .populate('service_id', 'name')
+      .populate('employee_id', 'full_name');
+
+  const pagination = parsePagination(req.query);
+  if (pagination) {
+    return res.json(await findPage(Review, filter, { pagination, sort, build: populateReview }));
+  }
+
+  const query = populateReview(Review.find(filter)).sort(sort);
   if (limit) query.limit(Number(limit));
   const reviews = await query.exec();
   res.json(reviews);
@@ -2349,6 +3662,108 @@ app.post(`${apiBase}/reviews`, async (req, res) => {
   }
 });
 
+// Send WhatsApp notification to admin for a new booking or order (never fails the request)
+const notifyAdminOfNewBooking = async (id) => {
+  try {
+    const bookingId = id.toString().slice(-8).toUpperCase();
+    const adminPhone = process.env.ADMIN_WHATSAPP_NUMBER || '9794163992'; // Admin WhatsApp number
+
+    // Use dedicated admin notification function (supports MSG91 templates)
+    const { sendAdminBookingNotification } = await import('./services/whatsapp.js');
+    const notifResult = await sendAdminBookingNotification(adminPhone, {
+      bookingId // Optional: only send booking ID if template requires it
+    });
+
+    if (notifResult.success) {
+      console.log(`✅ WhatsApp notification sent to admin (${adminPhone}) for new booking ${bookingId}`);
+    } else {
+      console.error(`⚠️ Failed to send admin notification: ${notifResult.error}`);
+    }
+  } catch (notifError) {
+    // Don't fail booking creation if notification fails
+    console.error('⚠️ Failed to send admin notification for new booking:', notifError);
+  }
+};
+
+// Price preview using the same server-side pricing as booking creation
+app.post(
+  `${apiBase}/bookings/quote`,
+  [
+    body('service_id').isMongoId().withMessage('Service ID required'),
+    body('addons').optional().isArray().withMessage('Add-ons must be an array'),
+    body('wallet_amount').optional().isFloat({ min: 0 }).withMessage('Invalid wallet amount'),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { breakdown, status, ...pricingError } = await calculateBookingPrice({
+        serviceId: req.body.service_id,
+        addons: req.body.addons,
+        promoCode: req.body.promo_code,
+        walletAmount: req.body.wallet_amount,
+      });
+      if (!breakdown) {
+        return res.status(status || 400).json(pricingError);
+      }
+      res.json(breakdown);
+    } catch (err) {
+      console.error('Booking quote error:', err);
+      res.status(500).json({ error: 'quote_error', message: err.message });
+    }
+  }
+);
+
+// On-site contact for bookings made for someone else (optional)
+const siteContactValidators = [
+  body('site_contact').optional().isObject().withMessage('On-site contact must be an object'),
+  body('site_contact.name')
+    .if(body('site_contact').exists())
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('On-site contact name must be 2-100 characters'),
+  body('site_contact.phone')
+    .if(body('site_contact').exists())
+    .trim()
+    .isMobilePhone('en-IN')
+    .withMessage('Invalid on-site contact phone number'),
+];
+
+const siteContactFrom = (data) =>
+  data.site_contact ? { name: sanitizeInput(data.site_contact.name), phone: sanitizeInput(data.site_contact.phone) } : undefined;
+
+/**
+ * Find the customer of a phone booking by phone number, creating the profile if needed.
+ * The phone is not verified; the booking records that verification was skipped.
+ * @param {Object} req - Request (staff member taking the booking)
+ * @param {Object} options
+ * @param {string} options.phone - Customer phone
+ * @param {string} options.name - Customer name for a new profile
+ * @param {string} options.email - Customer email for a new profile (optional)
+ * @returns {Promise<{profile: Object, created: boolean}>}
+ */
+const findOrCreateCustomerByPhone = async (req, { phone, name, email }) => {
+  const digits = String(phone).replace(/\D/g, '').slice(-10);
+  const existing = await Profile.findOne({ phone: { $in: [digits, `91${digits}`, `+91${digits}`] } });
+  if (existing) return { profile: existing, created: false };
+
+  try {
+    const profile = await Profile.create({
+      phone: digits,
+      full_name: sanitizeInput(name) || 'Customer',
+      email: email ? sanitizeInput(email) : undefined,
+      role: 'customer',
+      phone_verified: false,
+      created_by: req.user?.id,
+    });
+    console.log(`☎️ Customer profile ${digits} created by ${req.user?.id || 'admin key'} for a phone booking (phone not verified)`);
+    return { profile, created: true };
+  } catch (err) {
+    // Created by a concurrent request
+    if (err?.code === 11000) return { profile: await Profile.findOne({ phone: digits }), created: false };
+    throw err;
+  }
+};
+
 app.post(
   `${apiBase}/bookings`,
   [
@@ -2357,166 +3772,180 @@ app.post(
     body('booking_time').notEmpty().withMessage('Booking time required'),
     body('customer_name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
     body('customer_phone').trim().isMobilePhone('en-IN').withMessage('Invalid phone number'),
-    body('customer_address').isObject().withMessage('Address must be an object'),
+    body('address_id').optional().isMongoId().withMessage('Invalid address ID'),
+    body('customer_address').if(body('address_id').not().exists()).isObject().withMessage('Address must be an object'),
     body('total_price').isFloat({ min: 0 }).withMessage('Invalid price'),
-    body('customer_id').isMongoId().withMessage('Customer ID required'),
+    body('customer_id').optional().isMongoId().withMessage('Invalid customer ID'),
+    body('customer_email').optional().isEmail().withMessage('Invalid email'),
+    body('payment_method').optional().isIn(['online', 'cod']).withMessage('Invalid payment method'),
+    ...siteContactValidators,
   ],
   validate,
+  idempotency,
   async (req, res) => {
     try {
-      const { customer_pincode, customer_address, booking_date, booking_time, service_id } = req.body;
+      const { booking_date, booking_time, service_id } = req.body;
+      const isStaff = canAccess(req, 'bookings:manage');
 
     // Pincode serviceability check removed - services available for whole Gorakhpur city
-    const pincode = customer_pincode || customer_address?.pincode;
 
     // Validate required fields
     if (!service_id || !booking_date || !booking_time) {
       return res.status(400).json({ error: 'missing_required_fields' });
     }
 
-    // Require verified customer
-    const customerProfile = await Profile.findById(req.body.customer_id);
+    // Customers can only book for themselves
+    if (!isStaff) {
+      if (!req.user) {
+        return res.status(401).json({ error: req.authError || 'unauthorized', message: 'Please login first' });
+      }
+      if (req.body.customer_id !== req.user.id) {
+        return res.status(403).json({ error: 'forbidden', message: 'You can only create bookings for your own account' });
+      }
+    }
+
+    // Staff taking a phone booking may name the customer by phone instead: the profile is linked or created
+    const isPhoneBooking = isStaff && !req.body.customer_id;
+    const customerProfile = isPhoneBooking
+      ? (
+          await findOrCreateCustomerByPhone(req, {
+            phone: req.body.customer_phone,
+            name: req.body.customer_name,
+            email: req.body.customer_email,
+          })
+        ).profile
+      : await Profile.findById(req.body.customer_id);
     if (!customerProfile) {
       return res.status(404).json({ error: 'customer_not_found' });
     }
-    if (!customerProfile.phone_verified) {
+    // Require verified customer; staff may book anyway and the skip is recorded on the booking
+    const verificationSkipped = !customerProfile.phone_verified && isStaff;
+    if (!customerProfile.phone_verified && !isStaff) {
       return res.status(403).json({ error: 'phone_not_verified', message: 'Please verify your phone before booking.' });
     }
 
-    // Check slot availability if slot management is enabled
-    const bookingDate = new Date(booking_date);
-    const timeSlot = booking_time; // e.g., "morning", "afternoon", "evening"
-    
-    // Map time slot to actual time range
-    const timeSlotMap = {
-      morning: '09:00-12:00',
-      afternoon: '12:00-15:00',
-      evening: '15:00-18:00',
-    };
-    const actualTimeSlot = timeSlotMap[timeSlot] || timeSlot;
+    // Saved address (snapshotted onto the booking) or the address sent with the booking
+    const address = resolveBookingAddress(customerProfile, req.body);
+    if (address.error) {
+      const { status: httpStatus, ...addressError } = address;
+      return res.status(httpStatus).json(addressError);
+    }
 
-    // Check if slot is available
-    const slot = await Slot.findOne({
-      service_id,
-      date: { $gte: new Date(bookingDate.setHours(0, 0, 0, 0)), $lt: new Date(bookingDate.setHours(23, 59, 59, 999)) },
-      time_slot: actualTimeSlot,
-    });
+    // Check slot availability if slot management is enabled
+    const bookable = await findBookableSlot(service_id, booking_date, booking_time);
+    if (bookable.error) {
+      const { status: httpStatus, ...bookableError } = bookable;
+      return res.status(httpStatus).json(bookableError);
+    }
+    const { slot } = bookable;
 
     if (slot && slot.booked_count >= slot.total_capacity) {
       return res.status(400).json({ 
         error: 'slot_unavailable', 
-        message: 'This time slot is fully booked. Please choose another time.' 
+        message: 'This time slot is fully booked. Please choose another time or join the waitlist.',
+        waitlist_available: true,
       });
     }
 
-    // Calculate pricing breakdown on the server for consistency and security
-    const basePrice = Number(req.body.base_price) || 0;
-    const addonPrice = Number(req.body.addon_price) || 0;
-    const discountAmount = Number(req.body.discount_amount) || 0;
-    const walletAmount = Number(req.body.wallet_amount) || 0;
-    // Platform fee currently disabled; set to 0.
-    // In future this can be driven by admin-configurable settings.
-    const platformFee = 0;
-    const subtotalAfterDiscount = Math.max(0, basePrice + addonPrice - discountAmount);
-    const computedTotal = Math.max(0, subtotalAfterDiscount - walletAmount);
-
-    // Validate and process wallet payment if used
-    if (walletAmount > 0) {
-      const customerProfile = await Profile.findById(req.body.customer_id);
-      if (!customerProfile) {
-        return res.status(404).json({ error: 'customer_not_found' });
-      }
-      
-      const currentBalance = customerProfile.wallet_balance || 0;
-      if (walletAmount > currentBalance) {
-        return res.status(400).json({ 
-          error: 'insufficient_wallet_balance', 
-          message: 'Insufficient wallet balance' 
-        });
-      }
-      
-      if (walletAmount > subtotalAfterDiscount) {
-        return res.status(400).json({ 
-          error: 'invalid_wallet_amount', 
-          message: 'Wallet amount cannot exceed the total amount after discount' 
-        });
-      }
-    }
-
-    // Create booking with normalized pricing fields
-    const booking = await Booking.create({
-      ...req.body,
-      base_price: basePrice,
-      addon_price: addonPrice,
-      discount_amount: discountAmount,
-      wallet_amount: walletAmount,
-      platform_fee: platformFee,
-      total_price: computedTotal,
-      customer_pincode: pincode,
-      status: 'pending',
+    // Calculate pricing breakdown on the server from the catalogue (client prices are ignored)
+    const pricing = await calculateBookingPrice({
+      serviceId: service_id,
+      addons: req.body.addons,
+      promoCode: req.body.promo_code,
+      walletAmount: req.body.wallet_amount,
     });
+    if (!pricing.breakdown) {
+      const { status: httpStatus, ...pricingError } = pricing;
+      return res.status(httpStatus || 400).json(pricingError);
+    }
+    const { breakdown } = pricing;
+    const walletAmount = breakdown.wallet_amount;
+    const computedTotal = breakdown.total_price;
 
-    // Process wallet payment if used
-    if (walletAmount > 0) {
-      // Deduct wallet balance
-      const customerProfile = await Profile.findById(req.body.customer_id);
-      const newBalance = (customerProfile.wallet_balance || 0) - walletAmount;
-      await Profile.findByIdAndUpdate(req.body.customer_id, { wallet_balance: newBalance });
-      
-      // Create wallet transaction
-      await WalletTransaction.create({
-        user_id: req.body.customer_id,
-        amount: walletAmount,
-        transaction_type: 'debit',
-        description: `Payment for booking ${booking._id}`,
-        booking_id: booking._id,
+    // The client must have shown the customer the same total
+    if (Math.abs(Number(req.body.total_price) - computedTotal) > 0.01) {
+      return res.status(400).json({
+        error: 'price_mismatch',
+        message: 'Prices have changed. Please review your booking and try again.',
+        pricing: breakdown,
       });
-      
-      // Update payment status if fully paid from wallet
-      if (computedTotal === 0) {
-        booking.payment_status = 'paid';
-        booking.payment_method = 'wallet';
-        await booking.save();
-      }
     }
 
-    // Update slot booked count if slot exists
-    if (slot) {
-      slot.booked_count += 1;
-      if (slot.booked_count >= slot.total_capacity) {
-        slot.is_available = false;
-      }
-      await slot.save();
+    // Validate wallet payment if used
+    if (walletAmount > 0 && walletAmount > (customerProfile.wallet_balance || 0)) {
+      return res.status(400).json({ 
+        error: 'insufficient_wallet_balance', 
+        message: 'Insufficient wallet balance' 
+      });
     }
 
-    // Increment promo code usage count if promo code was used
-    if (req.body.promo_code) {
-      const promo = await PromoCode.findOne({ code: String(req.body.promo_code).toUpperCase().trim() });
-      if (promo) {
-        promo.usage_count = (promo.usage_count || 0) + 1;
-        await promo.save();
-      }
+    // Phone bookings are paid on site unless staff choose otherwise
+    const paymentMethod = req.body.payment_method || (isPhoneBooking ? 'cod' : 'online');
+
+    // Create booking with normalized pricing fields, reserving slot, wallet and promo atomically
+    const checkout = await createBookingWithReservations({
+      // Only fields the customer chooses come from the request; prices, payment and status are set here
+      bookingData: {
+        service_id,
+        booking_date,
+        booking_time,
+        customer_name: req.body.customer_name,
+        customer_phone: req.body.customer_phone,
+        notes: req.body.notes,
+        special_instructions: req.body.special_instructions,
+        customer_id: customerProfile._id,
+        payment_method: paymentMethod,
+        site_contact: siteContactFrom(req.body),
+        booking_channel: isPhoneBooking ? 'phone' : 'app',
+        booked_by: isStaff ? req.user?.id : undefined,
+        verification_skipped: verificationSkipped || undefined,
+        addons: breakdown.addons.map(({ addon_id, quantity }) => ({ addon_id, quantity })),
+        base_price: breakdown.base_price,
+        addon_price: breakdown.addon_price,
+        estimated_duration_minutes: breakdown.duration_minutes,
+        discount_amount: breakdown.discount_amount,
+        wallet_amount: walletAmount,
+        platform_fee: breakdown.platform_fee,
+        total_price: computedTotal,
+        address_id: address.address_id,
+        customer_address: address.customer_address,
+        customer_pincode: address.customer_pincode,
+        status: 'pending',
+        // Online bookings hold their slot only until the payment hold runs out
+        ...(paymentMethod === 'online' ? { payment_hold_until: getPaymentHoldUntil() } : {}),
+        // Fully paid from wallet
+        ...(walletAmount > 0 && computedTotal === 0 ? { payment_status: 'paid', payment_method: 'wallet' } : {}),
+      },
+      slotId: slot?._id,
+      promoId: pricing.promo?._id,
+    });
+    if (!checkout.booking) {
+      const { status: httpStatus, ...checkoutError } = checkout;
+      return res.status(httpStatus || 400).json(checkoutError);
     }
+    const { booking } = checkout;
 
     // Send WhatsApp notification to admin for new booking
-    try {
-      const bookingId = booking._id.toString().slice(-8).toUpperCase();
-      const adminPhone = process.env.ADMIN_WHATSAPP_NUMBER || '9794163992'; // Admin WhatsApp number
-      
-      // Use dedicated admin notification function (supports MSG91 templates)
-      const { sendAdminBookingNotification } = await import('./services/whatsapp.js');
-      const notifResult = await sendAdminBookingNotification(adminPhone, {
-        bookingId // Optional: only send booking ID if template requires it
-      });
-      
-      if (notifResult.success) {
-        console.log(`✅ WhatsApp notification sent to admin (${adminPhone}) for new booking ${bookingId}`);
-      } else {
-        console.error(`⚠️ Failed to send admin notification: ${notifResult.error}`);
-      }
-    } catch (notifError) {
-      // Don't fail booking creation if notification fails
-      console.error('⚠️ Failed to send admin notification for new booking:', notifError);
+    await notifyAdminOfNewBooking(booking._id);
+
+    await recordBookingEvent({
+      bookingId: booking._id,
+      type: 'created',
+      actor: eventActor(req, isBookingCustomer(req, booking) ? 'customer' : 'staff'),
+      newValue: {
+        status: booking.status,
+        booking_date: booking.booking_date,
+        booking_time: booking.booking_time,
+        total_price: booking.total_price,
+        payment_method: booking.payment_method,
+        payment_status: booking.payment_status,
+        booking_channel: booking.booking_channel,
+        ...(verificationSkipped ? { verification_skipped: true } : {}),
+      },
+      ...(verificationSkipped ? { note: 'Booked by staff; customer phone verification skipped' } : {}),
+    });
+    if (verificationSkipped) {
+      console.log(`☎️ Booking ${booking._id} created by ${req.user?.id || 'admin key'} without phone verification of ${customerProfile.phone}`);
     }
 
     res.json(booking);
@@ -2526,7 +3955,7 @@ app.post(
   }
 });
 
-app.get(`${apiBase}/bookings/:id`, async (req, res) => {
+app.get(`${apiBase}/bookings/:id`, requireBookingAccess(['customer', 'worker'], 'bookings:read'), async (req, res) => {
   const booking = await Booking.findById(req.params.id)
     // Include base_price so frontend can always show correct base price
     .populate('service_id', 'name slug base_price')
@@ -2536,24 +3965,129 @@ app.get(`${apiBase}/bookings/:id`, async (req, res) => {
   res.json(booking);
 });
 
-app.get(`${apiBase}/bookings`, async (req, res) => {
+// Booking timeline for support (append-only event history)
+app.get(`${apiBase}/bookings/:id/timeline`, requireAdmin('bookings:read'), async (req, res) => {
   try {
-    const { customerId, employeeId, includeDeleted } = req.query;
-    const filter = {};
+    const booking = await Booking.findById(req.params.id).select('_id');
+    if (!booking) return res.status(404).json({ error: 'not_found' });
+    const events = await getBookingTimeline(booking._id);
+    res.json(events);
+  } catch (err) {
+    console.error('Get booking timeline error:', err);
+    res.status(500).json({ error: 'timeline_error', message: err.message });
+  }
+});
+
+/**
+ * Booking list filter from query parameters (shared by GET /bookings and the admin exports).
+ * Customers and workers are limited to their own bookings.
+ * @param {Object} req - Request
+ * @returns {Promise<{filter?: Object, status?: number, error?: string, message?: string}>}
+ */
+const buildBookingListFilter = async (req) => {
+  const {
+    customerId,
+    employeeId,
+    includeDeleted,
+    status,
+    from,
+    to,
+    serviceId,
+    pincode,
+    payment_status,
+    payment_method,
+    q,
+  } = req.query;
+  const filter = {};
+  const conditions = [];
+  const isStaff = canAccess(req, 'bookings:read');
+
+  if (isStaff) {
     if (customerId) filter.customer_id = customerId;
     if (employeeId) filter.employee_id = employeeId;
-    
-    // Exclude deleted bookings by default, unless includeDeleted is true
-    if (includeDeleted !== 'true') {
-      filter.is_deleted = { $ne: true };
+  } else {
+    // Customers and workers only ever see their own bookings
+    if (!req.user) {
+      return { status: 401, error: req.authError || 'unauthorized', message: 'Please login first' };
     }
-    
-      const bookings = await Booking.find(filter)
+    if ((customerId && customerId !== req.user.id) || (employeeId && employeeId !== req.user.id)) {
+      return { status: 403, error: 'forbidden', message: 'You can only view your own bookings' };
+    }
+    if (employeeId) {
+      conditions.push({ $or: [{ employee_id: req.user.id }, { partner_id: req.user.id }] });
+    } else {
+      filter.customer_id = req.user.id;
+    }
+  }
+
+  // Exclude deleted bookings by default, unless includeDeleted is true (staff only)
+  if (includeDeleted !== 'true' || !isStaff) {
+    filter.is_deleted = { $ne: true };
+  }
+
+  // Dashboard filters
+  if (status) filter.status = listFilter(status);
+  if (from || to) filter.booking_date = dateRangeFilter(from, to);
+  if (serviceId) filter.service_id = serviceId;
+  if (payment_status) filter.payment_status = listFilter(payment_status);
+  if (payment_method) filter.payment_method = listFilter(payment_method);
+  if (pincode) {
+    conditions.push({ $or: [{ customer_pincode: pincode }, { 'customer_address.pincode': pincode }] });
+  }
+  if (q) {
+    const pattern = searchRegex(q);
+    const search = [{ customer_name: pattern }, { customer_phone: pattern }];
+    if (isStaff) {
+      // Bookings store a snapshot of the name; also match the customer's current profile
+      const customers = await Profile.find({ $or: [{ full_name: pattern }, { phone: pattern }] })
+        .select('_id')
+        .limit(500);
+      if (customers.length) search.push({ customer_id: { $in: customers.map((c) => c._id) } });
+    }
+    conditions.push({ $or: search });
+  }
+  if (conditions.length) filter.$and = conditions;
+
+  return { filter };
+};
+
+// Fields clients may sort booking lists by
+const BOOKING_SORT_FIELDS = ['booking_date', 'created_at', 'updated_at', 'total_price', 'status', 'payment_status'];
+
+app.get(`${apiBase}/bookings`, listQueryValidators, validate, async (req, res) => {
+  try {
+    const { filter, ...failure } = await buildBookingListFilter(req);
+    if (!filter) return res.status(failure.status).json({ error: failure.error, message: failure.message });
+
+    const sort = parseSort(req.query.sort, BOOKING_SORT_FIELDS, { booking_date: -1, created_at: -1 });
+    if (!sort) {
+      return res.status(400).json({ error: 'invalid_sort', message: `Sort by one of: ${BOOKING_SORT_FIELDS.join(', ')}` });
+    }
+
+    const populateBooking = (query) =>
+      query
         .populate('customer_id', 'full_name phone email')
         // Include base_price for listings as well (used in dashboards, etc.)
         .populate('service_id', 'name slug base_price')
-        .populate('employee_id', 'full_name phone _id')
-        .sort({ booking_date: -1, created_at: -1 });
+        .populate('employee_id', 'full_name phone _id');
+
+    const pagination = parsePagination(req.query);
+    if (pagination) {
+      const countFilter = { ...filter };
+      delete countFilter.status;
+      const [result, statusCounts] = await Promise.all([
+        findPage(Booking, filter, { pagination, sort, build: populateBooking }),
+        Booking.aggregate([
+          { $match: Booking.find().cast(Booking, countFilter) },
+          { $group: { _id: '$status', count: { $sum: 1 } } },
+        ]),
+      ]);
+      // Counts per status ignore the status filter, for dashboard tabs
+      result.status_counts = Object.fromEntries(statusCounts.map((s) => [s._id, s.count]));
+      return res.json(result);
+    }
+
+    const bookings = await populateBooking(Booking.find(filter)).sort(sort);
     
     console.log(`📦 GET /api/bookings - Found ${bookings.length} bookings`, {
       filter,
@@ -2567,9 +4101,14 @@ app.get(`${apiBase}/bookings`, async (req, res) => {
   }
 });
 
-app.patch(`${apiBase}/bookings/:id/status`, async (req, res) => {
+app.patch(`${apiBase}/bookings/:id/status`, requireBookingAccess(['worker']), async (req, res) => {
   try {
     const { status, job_photos, before_photos, after_photos } = req.body;
+    if (!status) return res.status(400).json({ error: 'status_required' });
+    // Cancelling refunds the customer, frees the seat and offers it to the waitlist; only /cancel does that
+    if (status === 'cancelled') {
+      return res.status(409).json({ error: 'use_cancel_endpoint', message: 'Use /cancel to cancel a booking' });
+    }
     const updateData = { status };
     
     // Add job photos if provided (legacy support)
@@ -2585,15 +4124,9 @@ app.patch(`${apiBase}/bookings/:id/status`, async (req, res) => {
       updateData.after_photos = after_photos;
     }
     
-    // Set timestamps based on status
-    if (status === 'accepted') {
-      updateData.accepted_at = new Date();
-    } else if (status === 'reached') {
-      updateData.reached_at = new Date();
-    } else if (status === 'in_progress') {
-      updateData.started_at = new Date();
-    } else if (status === 'completed') {
-      updateData.completed_at = new Date();
+    // Set timestamp for the new status
+    if (STATUS_TIMESTAMP_FIELDS[status]) {
+      updateData[STATUS_TIMESTAMP_FIELDS[status]] = new Date();
     }
 
     const booking = await Booking.findById(req.params.id)
@@ -2603,6 +4136,31 @@ app.patch(`${apiBase}/bookings/:id/status`, async (req, res) => {
       
     if (!booking) return res.status(404).json({ error: 'not_found' });
 
+    const transition = transitionError(booking.status, status, getBookingActor(req, booking));
+    if (transition) return res.status(409).json(transition);
+
+    // Starting and completing need the customer's code (start-work / complete); staff may override here
+    const codeStage = { in_progress: 'start', completed: 'end' }[status];
+    if (codeStage) {
+      const reason = typeof req.body.override_reason === 'string' ? req.body.override_reason.trim() : '';
+      if (getBookingActor(req, booking) !== 'staff' || !reason) {
+        return res.status(409).json({
+          error: 'job_code_required',
+          message: `Use /${codeStage === 'start' ? 'start-work' : 'complete'} with the customer's code, or give an override_reason (staff only)`,
+        });
+      }
+      updateData[`job_codes.${codeStage}.override_reason`] = reason;
+      updateData[`job_codes.${codeStage}.overridden_by`] = req.user?.id;
+      updateData[`job_codes.${codeStage}.overridden_at`] = new Date();
+      await recordBookingEvent({
+        bookingId: booking._id,
+        type: 'job_code_overridden',
+        actor: eventActor(req, 'staff'),
+        newValue: { stage: codeStage },
+        note: reason,
+      });
+    }
+
     // Auto-update payment status for COD bookings when status changes to completed
     if (status === 'completed' && booking.payment_method === 'cod' && booking.payment_status === 'pending') {
       updateData.payment_status = 'paid';
@@ -2614,6 +4172,14 @@ app.patch(`${apiBase}/bookings/:id/status`, async (req, res) => {
       .populate('service_id', 'name')
       .populate('customer_id', 'full_name phone email')
       .populate('employee_id', 'full_name phone');
+
+    await recordBookingEvent({
+      bookingId: booking._id,
+      type: 'status_changed',
+      actor: eventActor(req, getBookingActor(req, booking)),
+      oldValue: { status: oldStatus, payment_status: booking.payment_status },
+      newValue: { status, payment_status: updatedBooking.payment_status },
+    });
     
     // Update worker's current_jobs count when status changes
     if (updatedBooking.employee_id) {
@@ -2671,6 +4237,7 @@ app.patch(`${apiBase}/bookings/:id/status`, async (req, res) => {
         employeeName,
         bookingId: updatedBooking._id,
       });
+      await sendSiteContactUpdate({ booking: updatedBooking, status, serviceName, employeeName });
     }
     
     res.json(updatedBooking);
@@ -2681,7 +4248,28 @@ app.patch(`${apiBase}/bookings/:id/status`, async (req, res) => {
 });
 
 // Get eligible workers for a booking (filtered by skill + location)
-app.get(`${apiBase}/bookings/:id/eligible-workers`, requireAdmin, async (req, res) => {
+/**
+ * Technicians who may take a job of a service (verified, approved and available)
+ * @param {string} serviceId - Service ID
+ * @returns {Object} Profile query filter
+ */
+const eligibleWorkerFilter = (serviceId) => ({
+  role: { $in: TECHNICIAN_ROLES },
+  is_available: true,
+  // Phone verification is optional for assignment; keep other verifications strict
+  // phone_verified: true,
+  id_verified: true,
+  skills_verified: true,
+  background_check_status: 'approved',
+  approval_status: 'approved',
+  $or: [
+    { skills: serviceId },
+    { skills: { $size: 0 } }, // Workers with no skills (can do all)
+  ],
+  // Time is checked against the technician's schedule (planJobs), not a job count
+});
+
+app.get(`${apiBase}/bookings/:id/eligible-workers`, requireAdmin('bookings:assign'), async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id).populate('service_id');
     if (!booking) return res.status(404).json({ error: 'not_found' });
@@ -2689,24 +4277,15 @@ app.get(`${apiBase}/bookings/:id/eligible-workers`, requireAdmin, async (req, re
     const serviceId = booking.service_id?._id;
     const customerLocation = booking.customer_address?.pincode || booking.customer_address?.location || '';
 
-    // Find technicians/employees with matching skill and availability
-    const filter = {
-      role: { $in: ['employee', 'manager', 'lead'] },
-      is_available: true,
-      // Phone verification is optional for assignment; keep other verifications strict
-      // phone_verified: true,
-      id_verified: true,
-      skills_verified: true,
-      background_check_status: 'approved',
-      approval_status: 'approved',
-      $or: [
-        { skills: serviceId },
-        { skills: { $size: 0 } }, // Workers with no skills (can do all)
-      ],
-      $expr: { $lt: ['$current_jobs', '$max_capacity'] }, // Not at capacity
-    };
-
-    const workers = await Profile.find(filter).populate('skills', 'name slug');
+    // Find technicians/employees with matching skill and availability who have time for the job
+    const candidates = await Profile.find(eligibleWorkerFilter(serviceId)).populate('skills', 'name slug');
+    const plans = await planJobs(candidates, {
+      date: booking.booking_date,
+      time: booking.booking_time,
+      durationMinutes: booking.estimated_duration_minutes,
+      excludeBookingId: booking._id,
+    });
+    const workers = candidates.filter((worker) => plans.has(worker._id.toString()));
 
     // Sort by: 1) Location match, 2) Rating, 3) Experience, 4) Current workload
     const workersWithPriority = workers.map((worker) => {
@@ -2718,10 +4297,13 @@ app.get(`${apiBase}/bookings/:id/eligible-workers`, requireAdmin, async (req, re
       
       priority = locationMatch + ratingScore + experienceScore + workloadScore;
 
+      const plan = plans.get(worker._id.toString());
       return {
         ...worker.toObject(),
         priority,
         distance: worker.location === customerLocation ? 'Same area' : 'Different area',
+        planned_start: plan.start,
+        planned_end: plan.end,
       };
     });
 
@@ -2734,94 +4316,140 @@ app.get(`${apiBase}/bookings/:id/eligible-workers`, requireAdmin, async (req, re
   }
 });
 
-// Auto-assign worker to booking (assigns best match automatically)
-app.patch(`${apiBase}/bookings/:id/auto-assign`, requireAdmin, async (req, res) => {
-  try {
-    const booking = await Booking.findById(req.params.id).populate('service_id');
-    if (!booking) return res.status(404).json({ error: 'not_found' });
-    if (booking.employee_id) {
-      return res.status(400).json({ error: 'already_assigned' });
-    }
-
-    const serviceId = booking.service_id?._id;
-    const customerLocation = booking.customer_pincode || booking.customer_address?.pincode || '';
-
-    // Find best matching worker
-    const filter = {
-      role: { $in: ['employee', 'manager', 'lead'] },
-      is_available: true,
-      // Phone verification is optional for auto-assign as well
-      // phone_verified: true,
-      id_verified: true,
-      skills_verified: true,
-      background_check_status: 'approved',
-      approval_status: 'approved',
-      $or: [
-        { skills: serviceId },
-        { skills: { $size: 0 } },
-      ],
-      $expr: { $lt: ['$current_jobs', '$max_capacity'] },
-    };
+/**
+ * When a technician can do a booking's job: on shift, not on leave or blocked, and with travel
+ * time to their other jobs
+ * @param {string} workerId - Profile ID
+ * @param {Object} booking - Booking (duration and ID)
+ * @param {Date|string} date - Booking date (default the booking's)
+ * @param {string} time - Booking time (default the booking's)
+ * @returns {Promise<{start: Date, end: Date}|null>} Planned interval, or null if they have no time
+ */
+const planTechnicianJob = async (workerId, booking, date = booking.booking_date, time = booking.booking_time) => {
+  const worker = await Profile.findById(workerId).select('shifts');
+  if (!worker) return null;
+  const plans = await planJobs([worker], {
+    date,
+    time,
+    durationMinutes: booking.estimated_duration_minutes,
+    excludeBookingId: booking._id,
+  });
+  return plans.get(worker._id.toString()) || null;
+};
 
-    const workers = await Profile.find(filter).populate('skills', 'name slug');
-    
-    if (workers.length === 0) {
-      return res.status(404).json({ error: 'no_eligible_workers' });
-    }
+/**
+ * Assign the best matching free technician to an unassigned booking and notify the customer
+ * and the technician
+ * @param {Object} req - Request (for the actor)
+ * @param {Object} booking - Booking document
+ * @param {Object} options
+ * @param {string} options.actorKind - Actor recorded in the timeline (default 'staff')
+ * @param {string} options.preferredWorkerId - Technician to pick first if eligible and free (optional)
+ * @returns {Promise<Object|null>} Updated booking, or null if no technician is available
+ */
+const autoAssignBooking = async (req, booking, { actorKind = 'staff', preferredWorkerId } = {}) => {
+  const serviceId = booking.service_id?._id || booking.service_id;
+  const customerLocation = booking.customer_pincode || booking.customer_address?.pincode || '';
+
+  // Find best matching worker among those with time for the job
+  const candidates = await Profile.find(eligibleWorkerFilter(serviceId)).populate('skills', 'name slug');
+  const plans = await planJobs(candidates, {
+    date: booking.booking_date,
+    time: booking.booking_time,
+    durationMinutes: booking.estimated_duration_minutes,
+    excludeBookingId: booking._id,
+  });
+  const workers = candidates.filter((worker) => plans.has(worker._id.toString()));
+
+  // Calculate priority scores
+  const workersWithPriority = workers.map((worker) => {
+    let priority = 0;
+    const locationMatch = worker.location === customerLocation ? 100 : 0;
+    const ratingScore = (worker.rating || 0) * 10;
+    const experienceScore = (worker.experience_years || 0) * 5;
+    const workloadScore = (worker.max_capacity - worker.current_jobs) * 2;
+    priority = locationMatch + ratingScore + experienceScore + workloadScore;
+    if (idEquals(worker._id, preferredWorkerId)) priority = Infinity;
+    return { worker, priority };
+  });
 
-    // Calculate priority scores
-    const workersWithPriority = workers.map((worker) => {
-      let priority = 0;
-      const locationMatch = worker.location === customerLocation ? 100 : 0;
-      const ratingScore = (worker.rating || 0) * 10;
-      const experienceScore = (worker.experience_years || 0) * 5;
-      const workloadScore = (worker.max_capacity - worker.current_jobs) * 2;
-      priority = locationMatch + ratingScore + experienceScore + workloadScore;
-      return { worker, priority };
-    });
+  // Sort by priority and take the best match
+  workersWithPriority.sort((a, b) => b.priority - a.priority);
+  const bestWorker = workersWithPriority[0]?.worker;
+  if (!bestWorker) return null;
+  const plan = plans.get(bestWorker._id.toString());
 
-    // Sort by priority and get best match
-    workersWithPriority.sort((a, b) => b.priority - a.priority);
-    const bestWorker = workersWithPriority[0].worker;
+  // Assign worker
+  const updatedBooking = await Booking.findByIdAndUpdate(
+    booking._id,
+    {
+      employee_id: bestWorker._id,
+      status: 'assigned',
+      assigned_at: new Date(),
+      scheduled_start: plan.start,
+      scheduled_end: plan.end,
+    },
+    { new: true }
+  ).populate('service_id', 'name').populate('customer_id', 'full_name phone email').populate('employee_id', 'full_name phone');
+
+  await recordBookingEvent({
+    bookingId: booking._id,
+    type: 'auto_assigned',
+    actor: eventActor(req, actorKind),
+    oldValue: { status: booking.status, employee_id: null },
+    newValue: { status: 'assigned', employee_id: bestWorker._id },
+  });
 
-    // Assign worker
-    const updatedBooking = await Booking.findByIdAndUpdate(
-      req.params.id,
-      { employee_id: bestWorker._id, status: 'assigned', assigned_at: new Date() },
-      { new: true }
-    ).populate('service_id', 'name').populate('customer_id', 'full_name phone email').populate('employee_id', 'full_name phone');
+  // Update worker's current_jobs count
+  const activeBookings = await Booking.countDocuments({
+    employee_id: bestWorker._id,
+    status: { $in: WORKER_BUSY_STATUSES },
+  });
+  await Profile.findByIdAndUpdate(bestWorker._id, { current_jobs: activeBookings });
+
+  // Send notification to customer and employee
+  if (updatedBooking.customer_id) {
+    await sendBookingStatusUpdate({
+      customer: updatedBooking.customer_id,
+      status: 'assigned',
+      serviceName: updatedBooking.service_id?.name || 'Service',
+      employeeName: updatedBooking.employee_id?.full_name || 'Our professional',
+      bookingId: updatedBooking._id,
+    });
+  }
 
-    // Update worker's current_jobs count
-    const activeBookings = await Booking.countDocuments({
-      employee_id: bestWorker._id,
-      status: { $in: ['assigned', 'in_progress'] },
+  // Notify employee about new assignment
+  if (updatedBooking.employee_id && updatedBooking.employee_id.phone) {
+    const serviceName = updatedBooking.service_id?.name || 'Service';
+    const customerName = updatedBooking.customer_id?.full_name || 'Customer';
+    const employeeName = updatedBooking.employee_id.full_name || 'Employee';
+    await sendNotification({
+      to: updatedBooking.employee_id.phone,
+      type: 'whatsapp',
+      message: `Hello! ${employeeName}\n\nNew booking assigned! Service: ${serviceName}, Customer: ${customerName}. Check your portal for details.\n\nThank you for choosing ACE Home Solutions!`,
+      userId: updatedBooking.employee_id._id,
+      bookingId: updatedBooking._id,
+      metadata: { type: 'assignment' },
     });
-    await Profile.findByIdAndUpdate(bestWorker._id, { current_jobs: activeBookings });
+  }
 
-    // Send notification to customer and employee
-    if (updatedBooking.customer_id) {
-      await sendBookingStatusUpdate({
-        customer: updatedBooking.customer_id,
-        status: 'assigned',
-        serviceName: updatedBooking.service_id?.name || 'Service',
-        employeeName: updatedBooking.employee_id?.full_name || 'Our professional',
-        bookingId: updatedBooking._id,
-      });
+  return updatedBooking;
+};
+
+// Auto-assign worker to booking (assigns best match automatically)
+app.patch(`${apiBase}/bookings/:id/auto-assign`, requireAdmin('bookings:assign'), async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).populate('service_id');
+    if (!booking) return res.status(404).json({ error: 'not_found' });
+    if (booking.employee_id) {
+      return res.status(400).json({ error: 'already_assigned' });
     }
+    const transition = transitionError(booking.status, 'assigned', 'staff');
+    if (transition) return res.status(409).json(transition);
 
-    // Notify employee about new assignment
-    if (updatedBooking.employee_id && updatedBooking.employee_id.phone) {
-      const serviceName = updatedBooking.service_id?.name || 'Service';
-      const customerName = updatedBooking.customer_id?.full_name || 'Customer';
-      const employeeName = updatedBooking.employee_id.full_name || 'Employee';
-      await sendNotification({
-        to: updatedBooking.employee_id.phone,
-        type: 'whatsapp',
-        message: `Hello! ${employeeName}\n\nNew booking assigned! Service: ${serviceName}, Customer: ${customerName}. Check your portal for details.\n\nThank you for choosing ACE Home Solutions!`,
-        userId: updatedBooking.employee_id._id,
-        bookingId: updatedBooking._id,
-        metadata: { type: 'assignment' },
-      });
+    const updatedBooking = await autoAssignBooking(req, booking);
+    if (!updatedBooking) {
+      return res.status(404).json({ error: 'no_eligible_workers' });
     }
 
     res.json(updatedBooking);
@@ -2832,7 +4460,7 @@ app.patch(`${apiBase}/bookings/:id/auto-assign`, requireAdmin, async (req, res)
 });
 
 // Assign worker to booking
-app.patch(`${apiBase}/bookings/:id/assign`, requireAdmin, async (req, res) => {
+app.patch(`${apiBase}/bookings/:id/assign`, requireAdmin('bookings:assign'), async (req, res) => {
   try {
     const { employee_id } = req.body;
     if (!employee_id) return res.status(400).json({ error: 'employee_id_required' });
@@ -2851,14 +4479,47 @@ app.patch(`${apiBase}/bookings/:id/assign`, requireAdmin, async (req, res) => {
       return res.status(400).json({ error: 'worker_not_verified' });
     }
 
+    const existingBooking = await Booking.findById(req.params.id).select(
+      'status employee_id booking_date booking_time estimated_duration_minutes'
+    );
+    if (!existingBooking) return res.status(404).json({ error: 'not_found' });
+
+    // Not during leave, a block or outside the technician's shifts
+    const unavailable = await checkWorkerSchedule(worker, existingBooking.booking_date, existingBooking.booking_time);
+    if (unavailable) {
+      return res.status(409).json({
+        error: 'worker_unavailable',
+        reason: unavailable,
+        message: `${worker.full_name || 'This technician'} ${UNAVAILABLE_REASONS[unavailable]}`,
+      });
+    }
+    // The job has to fit between their other jobs, with travel time
+    const plan = await planTechnicianJob(worker._id, existingBooking);
+    if (!plan) {
+      return res.status(409).json({
+        error: 'worker_busy',
+        message: `${worker.full_name || 'This technician'} has no time for this job between their other jobs`,
+      });
+    }
+    const transition = transitionError(existingBooking.status, 'assigned', 'staff');
+    if (transition) return res.status(409).json(transition);
+
     const booking = await Booking.findByIdAndUpdate(
       req.params.id,
-      { employee_id, status: 'assigned', assigned_at: new Date() },
+      { employee_id, status: 'assigned', assigned_at: new Date(), scheduled_start: plan.start, scheduled_end: plan.end },
       { new: true }
     ).populate('service_id', 'name').populate('customer_id', 'full_name phone email').populate('employee_id', 'full_name phone');
 
     if (!booking) return res.status(404).json({ error: 'not_found' });
 
+    await recordBookingEvent({
+      bookingId: booking._id,
+      type: 'assigned',
+      actor: eventActor(req, 'staff'),
+      oldValue: { status: existingBooking.status, employee_id: existingBooking.employee_id || null },
+      newValue: { status: 'assigned', employee_id },
+    });
+
     // Update worker's current_jobs count
     const activeBookings = await Booking.countDocuments({
       employee_id,
@@ -2900,7 +4561,7 @@ app.patch(`${apiBase}/bookings/:id/assign`, requireAdmin, async (req, res) => {
 });
 
 // Soft delete booking (move to trash)
-app.patch(`${apiBase}/bookings/:id/delete`, requireAdmin, async (req, res) => {
+app.patch(`${apiBase}/bookings/:id/delete`, requireAdmin('bookings:delete'), async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id);
     if (!booking) return res.status(404).json({ error: 'not_found' });
@@ -2913,6 +4574,14 @@ app.patch(`${apiBase}/bookings/:id/delete`, requireAdmin, async (req, res) => {
     booking.deleted_at = new Date();
     booking.deleted_by = req.user?.id;
     await booking.save();
+
+    await recordBookingEvent({
+      bookingId: booking._id,
+      type: 'deleted',
+      actor: eventActor(req, 'staff'),
+      oldValue: { is_deleted: false },
+      newValue: { is_deleted: true },
+    });
     
     res.json({ success: true, message: 'Booking moved to trash' });
   } catch (err) {
@@ -2922,7 +4591,7 @@ app.patch(`${apiBase}/bookings/:id/delete`, requireAdmin, async (req, res) => {
 });
 
 // Restore booking from trash
-app.patch(`${apiBase}/bookings/:id/restore`, requireAdmin, async (req, res) => {
+app.patch(`${apiBase}/bookings/:id/restore`, requireAdmin('bookings:delete'), async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id);
     if (!booking) return res.status(404).json({ error: 'not_found' });
@@ -2935,6 +4604,14 @@ app.patch(`${apiBase}/bookings/:id/restore`, requireAdmin, async (req, res) => {
     booking.deleted_at = undefined;
     booking.deleted_by = undefined;
     await booking.save();
+
+    await recordBookingEvent({
+      bookingId: booking._id,
+      type: 'restored',
+      actor: eventActor(req, 'staff'),
+      oldValue: { is_deleted: true },
+      newValue: { is_deleted: false },
+    });
     
     const updatedBooking = await Booking.findById(req.params.id)
       .populate('service_id', 'name slug')
@@ -2949,7 +4626,7 @@ app.patch(`${apiBase}/bookings/:id/restore`, requireAdmin, async (req, res) => {
 });
 
 // Permanent delete booking (admin only)
-app.delete(`${apiBase}/bookings/:id`, requireAdmin, async (req, res) => {
+app.delete(`${apiBase}/bookings/:id`, requireAdmin('bookings:delete'), async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id);
     if (!booking) return res.status(404).json({ error: 'not_found' });
@@ -2970,69 +4647,376 @@ app.delete(`${apiBase}/bookings/:id`, requireAdmin, async (req, res) => {
   }
 });
 
-// Cancel booking
-app.patch(`${apiBase}/bookings/:id/cancel`, async (req, res) => {
+/**
+ * Give back a seat of a slot and offer it to the first customer on its waitlist
+ * @param {string} slotId - Slot ID
+ * @returns {Promise<void>}
+ */
+const releaseSeat = async (slotId) => {
+  await releaseSlot(slotId);
   try {
-    const { reason, cancelled_by } = req.body;
-    const booking = await Booking.findById(req.params.id);
-    
-    if (!booking) return res.status(404).json({ error: 'not_found' });
-    if (booking.status === 'completed') {
-      return res.status(400).json({ error: 'cannot_cancel_completed' });
+    await offerNextInLine(slotId);
+  } catch (err) {
+    // The seat simply stays on sale
+    console.error('Waitlist offer error:', err);
+  }
+};
+
+// ==================== CANCELLATION AND REFUNDS ====================
+// Every cancellation goes through cancelBookingWithRefund: the cancellation policy
+// (services/cancellationPolicy.js) decides the fee, and the refund is paid out automatically.
+
+/**
+ * Pay out a computed refund: wallet part as a wallet credit, online part as a Razorpay refund.
+ * The online part only exists for captured payments (see getPaidAmounts); if Razorpay cannot
+ * refund it, that part is credited to the wallet instead.
+ * @param {Object} booking - Cancelled booking document
+ * @param {Object} refund - Result of calculateCancellationRefund
+ * @returns {Promise<Object>} Refund record stored on the booking
+ */
+const issueBookingRefund = async (booking, refund) => {
+  const record = {
+    policy_rule: refund.rule,
+    fee_percent: refund.fee_percent,
+    paid_amount: refund.paid_amount,
+    fee_amount: refund.fee_amount,
+    amount: refund.refund_amount,
+    wallet_amount: 0,
+    online_amount: 0,
+    processed_at: new Date(),
+  };
+
+  let walletCredit = refund.wallet_refund;
+  if (refund.online_refund > 0) {
+    if (!booking.payment_id?.startsWith('pay_')) {
+      // Never refund a payment that was not captured
+      throw new Error(`Booking ${booking._id} has no captured payment to refund`);
     }
-    if (booking.status === 'cancelled') {
-      return res.status(400).json({ error: 'already_cancelled' });
+    if (razorpay) {
+      try {
+        const razorpayRefund = await razorpay.payments.refund(booking.payment_id, {
+          amount: Math.round(refund.online_refund * 100), // Convert to paise
+          notes: { booking_id: booking._id.toString() },
+        });
+        record.online_amount = refund.online_refund;
+        record.razorpay_refund_id = razorpayRefund.id;
+        record.razorpay_status = razorpayRefund.status;
+      } catch (err) {
+        console.error('Razorpay refund error, crediting wallet instead:', err);
+        walletCredit += refund.online_refund;
+        record.note = 'Razorpay refund failed; credited to wallet';
+      }
+    } else {
+      walletCredit += refund.online_refund;
+      record.note = 'Razorpay not configured; credited to wallet';
     }
+  }
 
-    // Update booking
-    booking.status = 'cancelled';
-    booking.cancelled_at = new Date();
-    booking.cancellation_reason = reason || 'No reason provided';
-    booking.cancelled_by = cancelled_by || 'customer';
-    
-    // If slot exists, decrease booked count
-    if (booking.booking_date && booking.booking_time) {
-      const bookingDate = new Date(booking.booking_date);
-      const timeSlotMap = {
-        morning: '09:00-12:00',
-        afternoon: '12:00-15:00',
-        evening: '15:00-18:00',
-      };
-      const actualTimeSlot = timeSlotMap[booking.booking_time] || booking.booking_time;
-      
-      const slot = await Slot.findOne({
-        service_id: booking.service_id,
-        date: { $gte: new Date(bookingDate.setHours(0, 0, 0, 0)), $lt: new Date(bookingDate.setHours(23, 59, 59, 999)) },
-        time_slot: actualTimeSlot,
+  if (walletCredit > 0) {
+    walletCredit = Math.round(walletCredit * 100) / 100;
+    await runTransaction(async (session) => {
+      await Profile.updateOne({ _id: booking.customer_id }, { $inc: { wallet_balance: walletCredit } }, { session });
+      await WalletTransaction.create(
+        [
+          {
+            user_id: booking.customer_id,
+            amount: walletCredit,
+            transaction_type: 'credit',
+            description: `Refund for cancelled booking ${booking._id}`,
+            booking_id: booking._id,
+          },
+        ],
+        { session }
+      );
+    });
+    record.wallet_amount = walletCredit;
+  }
+
+  record.method =
+    record.online_amount > 0 && record.wallet_amount > 0
+      ? 'mixed'
+      : record.online_amount > 0
+        ? 'razorpay'
+        : record.wallet_amount > 0
+          ? 'wallet'
+          : 'none';
+  return record;
+};
+
+/**
+ * Cancel a booking, free its slot and refund it under the cancellation policy
+ * @param {Object} req - Request (for the actor)
+ * @param {Object} booking - Booking document
+ * @param {Object} options
+ * @param {string} options.reason - Cancellation reason
+ * @param {string} options.cancelledBy - 'customer' | 'admin' | 'worker'
+ * @param {string} options.actorKind - Actor for the state machine and timeline
+ * @param {boolean} options.waiveFee - Refund everything regardless of the policy
+ * @param {string} options.refundTo - 'source' (default) or 'wallet'
+ * @returns {Promise<{booking?: Object, refund?: Object, status?: number, error?: string, message?: string}>}
+ */
+const cancelBookingWithRefund = async (req, booking, { reason, cancelledBy, actorKind, waiveFee = false, refundTo = 'source' }) => {
+  const transition = transitionError(booking.status, 'cancelled', actorKind);
+  if (transition) return { status: 409, ...transition };
+
+  // Fee depends on the status before cancelling
+  const refund = await calculateCancellationRefund(booking, { waiveFee, refundTo });
+  const previousStatus = booking.status;
+
+  // Claim the cancellation atomically so a booking is never refunded twice
+  const cancelled = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: previousStatus },
+    {
+      status: 'cancelled',
+      cancelled_at: new Date(),
+      cancellation_reason: reason || 'No reason provided',
+      cancelled_by: cancelledBy,
+    },
+    { new: true }
+  );
+  if (!cancelled) {
+    return { status: 409, error: 'booking_changed', message: 'The booking changed while cancelling. Please try again.' };
+  }
+
+  // If slot exists, decrease booked count
+  if (cancelled.booking_date && cancelled.booking_time) {
+    const slot = await findSlot(cancelled.service_id, cancelled.booking_date, cancelled.booking_time);
+    if (slot) {
+      await releaseSeat(slot._id);
+    }
+  }
+
+  // Update worker's current_jobs if assigned
+  if (cancelled.employee_id) {
+    const activeBookings = await Booking.countDocuments({
+      employee_id: cancelled.employee_id,
+      status: { $in: ['assigned', 'accepted', 'reached', 'in_progress'] },
+    });
+    await Profile.findByIdAndUpdate(cancelled.employee_id, { current_jobs: activeBookings });
+  }
+
+  await recordBookingEvent({
+    bookingId: cancelled._id,
+    type: 'cancelled',
+    actor: eventActor(req, actorKind),
+    oldValue: { status: previousStatus },
+    newValue: { status: 'cancelled', cancelled_by: cancelled.cancelled_by, series_id: cancelled.series_id },
+    note: cancelled.cancellation_reason,
+  });
+
+  let record = null;
+  if (refund.paid_amount > 0) {
+    const previousPaymentStatus = cancelled.payment_status;
+    record = await issueBookingRefund(cancelled, refund);
+    cancelled.refund = record;
+    if (refund.refund_amount > 0) {
+      cancelled.payment_status = refund.fee_amount > 0 ? 'partially_refunded' : 'refunded';
+    }
+    await cancelled.save();
+
+    await recordBookingEvent({
+      bookingId: cancelled._id,
+      type: 'refunded',
+      actor: eventActor(req, actorKind),
+      oldValue: { payment_status: previousPaymentStatus },
+      newValue: { payment_status: cancelled.payment_status, ...record },
+      note: refund.rule,
+    });
+  }
+
+  return { booking: cancelled, refund: record };
+};
+
+
+// Where a customer whose booking expired can book the same service again
+const resumeBookingLink = (booking) =>
+  `${process.env.FRONTEND_URL || 'https://acehomesolutions.in'}/bookings/${booking._id}/resume`;
+
+/**
+ * Cancel online bookings whose payment hold ran out: frees the slot, refunds the wallet amount
+ * and tells the customer on WhatsApp (once per order)
+ * @returns {Promise<number>} Bookings expired
+ */
+const expireUnpaidBookings = async () => {
+  const bookings = await Booking.find(expiredUnpaidBookingsFilter()).sort({ created_at: 1 }).limit(200);
+  const notifiedOrders = new Set();
+  let expired = 0;
+
+  for (const booking of bookings) {
+    try {
+      // System request: no user on the timeline
+      const result = await cancelBookingWithRefund({}, booking, {
+        reason: 'Payment not completed',
+        cancelledBy: 'system',
+        actorKind: 'system',
+        waiveFee: true,
       });
+      if (!result.booking) continue; // Paid or changed in the meantime
+      expired += 1;
+
+      if (booking.order_id) {
+        const openBookings = await Booking.countDocuments({ order_id: booking.order_id, status: { $ne: 'cancelled' } });
+        if (openBookings === 0) {
+          await Order.updateOne({ _id: booking.order_id }, { payment_status: 'expired' });
+        }
+        if (notifiedOrders.has(booking.order_id.toString())) continue;
+        notifiedOrders.add(booking.order_id.toString());
+      }
 
-      if (slot && slot.booked_count > 0) {
-        slot.booked_count -= 1;
-        slot.is_available = true;
-        await slot.save();
+      const [customer, service] = await Promise.all([
+        Profile.findById(booking.customer_id).select('full_name phone email'),
+        Service.findById(booking.service_id).select('name'),
+      ]);
+      if (customer) {
+        await sendBookingStatusUpdate({
+          customer,
+          status: 'payment_expired',
+          serviceName: booking.order_id ? 'multi-service' : service?.name || 'service',
+          bookingId: booking._id,
+          bookingDate: booking.booking_date,
+          resumeUrl: resumeBookingLink(booking),
+        });
       }
+    } catch (err) {
+      console.error(`Failed to expire unpaid booking ${booking._id}:`, err);
     }
+  }
 
-    // Update worker's current_jobs if assigned
-    if (booking.employee_id) {
-      const activeBookings = await Booking.countDocuments({
-        employee_id: booking.employee_id,
-        status: { $in: ['assigned', 'in_progress'] },
+  if (expired > 0) {
+    console.log(`⌛ Expired ${expired} unpaid online bookings`);
+  }
+  return expired;
+};
+
+// Refund the customer would get if they cancelled now
+app.get(`${apiBase}/bookings/:id/cancellation-quote`, requireBookingAccess(['customer']), async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) return res.status(404).json({ error: 'not_found' });
+
+    const isStaff = canAccess(req, 'bookings:manage');
+    const transition = transitionError(booking.status, 'cancelled', isStaff ? 'staff' : 'customer');
+    const refund = await calculateCancellationRefund(booking, {
+      waiveFee: isStaff && req.query.waive_fee === 'true',
+      refundTo: req.query.refund_to === 'wallet' ? 'wallet' : 'source',
+    });
+    res.json({ can_cancel: !transition, reason: transition?.message, ...refund });
+  } catch (err) {
+    console.error('Cancellation quote error:', err);
+    res.status(500).json({ error: 'fetch_error' });
+  }
+});
+
+// Cancel booking
+app.patch(
+  `${apiBase}/bookings/:id/cancel`,
+  requireBookingAccess(['customer']),
+  [body('refund_to').optional().isIn(['source', 'wallet']).withMessage('refund_to must be source or wallet')],
+  validate,
+  async (req, res) => {
+    try {
+      const { reason, cancelled_by, waive_fee, refund_to } = req.body;
+      const booking = await Booking.findById(req.params.id);
+      const isStaff = canAccess(req, 'bookings:manage');
+
+      if (!booking) return res.status(404).json({ error: 'not_found' });
+
+      const result = await cancelBookingWithRefund(req, booking, {
+        reason,
+        // Only staff may record a cancellation on someone else's behalf or waive the fee
+        cancelledBy: isStaff ? cancelled_by || 'admin' : 'customer',
+        actorKind: isStaff ? 'staff' : 'customer',
+        waiveFee: isStaff && waive_fee === true,
+        refundTo: refund_to,
       });
-      await Profile.findByIdAndUpdate(booking.employee_id, { current_jobs: activeBookings });
+      if (!result.booking) {
+        const { status, ...error } = result;
+        return res.status(status).json(error);
+      }
+
+      res.json(result.booking);
+    } catch (err) {
+      console.error('Cancel booking error:', err);
+      res.status(500).json({ error: 'cancel_error' });
     }
+  }
+);
 
-    await booking.save();
-    res.json(booking);
+// Current cancellation policy (defaults until an admin saves one)
+app.get(`${apiBase}/admin/cancellation-policy`, requireAdmin('policies:manage'), async (_req, res) => {
+  try {
+    const policy = await CancellationPolicy.findOne({ is_active: true });
+    res.json({
+      rules: await getCancellationRules(),
+      is_default: !policy?.rules?.length,
+      default_rules: DEFAULT_CANCELLATION_RULES,
+      updated_at: policy?.updated_at,
+    });
   } catch (err) {
-    console.error('Cancel booking error:', err);
-    res.status(500).json({ error: 'cancel_error' });
+    console.error('Fetch cancellation policy error:', err);
+    res.status(500).json({ error: 'fetch_error' });
   }
 });
 
+// Replace the cancellation policy rules (checked in order, first match wins)
+app.put(
+  `${apiBase}/admin/cancellation-policy`,
+  requireAdmin('policies:manage'),
+  [
+    body('rules').isArray({ min: 1 }).withMessage('At least one rule is required'),
+    body('rules.*.name').trim().notEmpty().withMessage('Rule name required'),
+    body('rules.*.fee_percent').isFloat({ min: 0, max: 100 }).withMessage('fee_percent must be between 0 and 100'),
+    body('rules.*.statuses').optional().isArray().withMessage('statuses must be an array'),
+    body('rules.*.statuses.*').isIn(BOOKING_STATUSES).withMessage('Unknown booking status'),
+    body('rules.*.hours_before_lt').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('hours_before_lt must be a positive number'),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const rules = req.body.rules.map((rule) => ({
+        name: rule.name,
+        statuses: rule.statuses || [],
+        hours_before_lt: rule.hours_before_lt ?? undefined,
+        fee_percent: Number(rule.fee_percent),
+      }));
+
+      let policy = await CancellationPolicy.findOne({ is_active: true });
+      if (!policy) policy = new CancellationPolicy({ is_active: true });
+      policy.rules = rules;
+      policy.updated_by = req.user.id || undefined;
+      await policy.save();
+
+      console.log(`📋 Cancellation policy updated (${rules.length} rules)`);
+      res.json({ rules: policy.rules, is_default: false, default_rules: DEFAULT_CANCELLATION_RULES, updated_at: policy.updated_at });
+    } catch (err) {
+      console.error('Update cancellation policy error:', err);
+      res.status(500).json({ error: 'update_error' });
+    }
+  }
+);
+
+// Tell a technician their job moved: kept jobs need re-confirming, released ones are gone
+const notifyTechnicianOfReschedule = async (booking, employee, kept) => {
+  if (!employee?.phone) return;
+  const serviceName = booking.service_id?.name || 'Service';
+  const visitDate = new Date(booking.booking_date).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
+  const message = kept
+    ? `Hello! ${employee.full_name || 'Employee'}\n\nYour ${serviceName} job has been moved to ${visitDate} (${resolveTimeSlot(booking.booking_time)}). Please accept it again in your portal to confirm the new time.\n\nThank you for choosing ACE Home Solutions!`
+    : `Hello! ${employee.full_name || 'Employee'}\n\nYour ${serviceName} job has been rescheduled to a time you are not free, so it is no longer assigned to you.\n\nThank you for choosing ACE Home Solutions!`;
+  await sendNotification({
+    to: employee.phone,
+    type: 'whatsapp',
+    message,
+    userId: employee._id,
+    bookingId: booking._id,
+    metadata: { type: 'reschedule', kept },
+  });
+};
+
 // Reschedule booking
 app.patch(
   `${apiBase}/bookings/:id/reschedule`,
+  requireBookingAccess(['customer']),
   [
     body('booking_date').isISO8601().withMessage('Invalid date format'),
     body('booking_time').notEmpty().withMessage('Booking time required'),
@@ -3041,6 +5025,11 @@ app.patch(
   async (req, res) => {
     try {
       const { booking_date, booking_time } = req.body;
+      // The new visit must start later than now (a window already under way cannot be booked)
+      if (getSlotStart({ booking_date, booking_time }) <= new Date()) {
+        return res.status(400).json({ error: 'invalid_date', message: 'The new booking time cannot be in the past' });
+      }
+
       const booking = await Booking.findById(req.params.id).populate('service_id');
       
       if (!booking) return res.status(404).json({ error: 'not_found' });
@@ -3050,6 +5039,21 @@ app.patch(
       if (booking.status === 'cancelled') {
         return res.status(400).json({ error: 'cannot_reschedule_cancelled' });
       }
+      // Once the technician is on site the visit can no longer move
+      if (['reached', 'in_progress'].includes(booking.status)) {
+        return res.status(409).json(transitionError(booking.status, 'pending', 'system'));
+      }
+
+      // Customers are held to the reschedule policy; staff can always move a booking
+      const isStaff = canAccess(req, 'bookings:manage');
+      let fee = 0;
+      if (!isStaff) {
+        const check = checkReschedule(booking, await getReschedulePolicy());
+        if (!check.allowed) {
+          return res.status(check.status).json({ error: check.error, message: check.message });
+        }
+        fee = check.fee;
+      }
 
       // Validate serviceability for new date
       const pincode = booking.customer_pincode || booking.customer_address?.pincode;
@@ -3060,69 +5064,122 @@ app.patch(
         });
       }
 
-      // Check slot availability for new date/time
+      // Find old slot (freed only once the new one is secured)
+      const serviceId = booking.service_id?._id;
       const newBookingDate = new Date(booking_date);
-      const timeSlotMap = {
-        morning: '09:00-12:00',
-        afternoon: '12:00-15:00',
-        evening: '15:00-18:00',
-      };
-      const actualTimeSlot = timeSlotMap[booking_time] || booking_time;
-
-      // Free up old slot
-      if (booking.booking_date && booking.booking_time) {
-        const oldBookingDate = new Date(booking.booking_date);
-        const oldActualTimeSlot = timeSlotMap[booking.booking_time] || booking.booking_time;
-        
-        const oldSlot = await Slot.findOne({
-          service_id: booking.service_id,
-          date: { 
-            $gte: new Date(oldBookingDate.setHours(0, 0, 0, 0)), 
-            $lt: new Date(oldBookingDate.setHours(23, 59, 59, 999)) 
-          },
-          time_slot: oldActualTimeSlot,
-        });
-
-        if (oldSlot && oldSlot.booked_count > 0) {
-          oldSlot.booked_count -= 1;
-          oldSlot.is_available = true;
-          await oldSlot.save();
-        }
+      const oldSlot =
+        booking.booking_date && booking.booking_time
+          ? await findSlot(serviceId, booking.booking_date, booking.booking_time)
+          : null;
+
+      // Reserve new slot (conditional update, so it cannot be overbooked)
+      const bookable = await findBookableSlot(serviceId, newBookingDate, booking_time);
+      if (bookable.error) {
+        const { status: httpStatus, ...bookableError } = bookable;
+        return res.status(httpStatus).json(bookableError);
       }
+      const newSlot = bookable.slot;
+      const isSameSlot = oldSlot && newSlot && oldSlot._id.equals(newSlot._id);
 
-      // Check new slot availability
-      const newSlot = await Slot.findOne({
-        service_id: booking.service_id,
-        date: { 
-          $gte: new Date(newBookingDate.setHours(0, 0, 0, 0)), 
-          $lt: new Date(newBookingDate.setHours(23, 59, 59, 999)) 
-        },
-        time_slot: actualTimeSlot,
-      });
-
-      if (newSlot && newSlot.booked_count >= newSlot.total_capacity) {
+      if (newSlot && !isSameSlot && !(await reserveSlot(newSlot._id))) {
         return res.status(400).json({ 
           error: 'slot_unavailable', 
           message: 'This time slot is fully booked. Please choose another time.' 
         });
       }
 
+      // Free up old slot
+      if (oldSlot && !isSameSlot) {
+        await releaseSeat(oldSlot._id);
+      }
+
       // Update booking
+      const previousSchedule = {
+        booking_date: booking.booking_date,
+        booking_time: booking.booking_time,
+        status: booking.status,
+        employee_id: booking.employee_id,
+      };
       booking.booking_date = newBookingDate;
       booking.booking_time = booking_time;
-      booking.status = booking.status === 'assigned' ? 'pending' : booking.status; // Reset to pending if assigned
-
-      // Update new slot
-      if (newSlot) {
-        newSlot.booked_count += 1;
-        if (newSlot.booked_count >= newSlot.total_capacity) {
-          newSlot.is_available = false;
+      booking.reschedule_count = (booking.reschedule_count || 0) + 1;
+      booking.rescheduled_at = new Date();
+      applyRescheduleFee(booking, fee);
+
+      // Keep the technician if they are free at the new time (they re-confirm it),
+      // otherwise release the job back to the queue (accepted/assigned → pending edges)
+      const previousEmployeeId = booking.employee_id;
+      let keptTechnician = false;
+      if (previousEmployeeId) {
+        const plan = await planTechnicianJob(previousEmployeeId, booking, newBookingDate, booking_time);
+        keptTechnician = !!plan;
+        if (keptTechnician) {
+          booking.status = 'assigned';
+          booking.accepted_at = undefined;
+          booking.scheduled_start = plan.start;
+          booking.scheduled_end = plan.end;
+        } else {
+          booking.status = 'pending';
+          booking.employee_id = undefined;
+          booking.partner_id = undefined;
+          booking.assigned_at = undefined;
+          booking.accepted_at = undefined;
+          booking.scheduled_start = undefined;
+          booking.scheduled_end = undefined;
         }
-        await newSlot.save();
       }
 
       await booking.save();
-      const updatedBooking = await Booking.findById(booking._id)
+
+      await recordBookingEvent({
+        bookingId: booking._id,
+        type: 'rescheduled',
+        actor: eventActor(req, getBookingActor(req, booking)),
+        oldValue: previousSchedule,
+        newValue: {
+          booking_date: booking.booking_date,
+          booking_time: booking.booking_time,
+          status: booking.status,
+          employee_id: booking.employee_id,
+          reschedule_count: booking.reschedule_count,
+          reschedule_fee: fee,
+        },
+      });
+
+      const [customer, previousEmployee] = await Promise.all([
+        Profile.findById(booking.customer_id).select('full_name phone email'),
+        previousEmployeeId ? Profile.findById(previousEmployeeId).select('full_name phone') : null,
+      ]);
+
+      if (customer) {
+        await sendBookingStatusUpdate({
+          customer,
+          status: 'rescheduled',
+          serviceName: booking.service_id?.name || 'Service',
+          bookingId: booking._id,
+          bookingDate: booking.booking_date,
+          bookingTime: resolveTimeSlot(booking.booking_time),
+        });
+      }
+      if (previousEmployee) {
+        await notifyTechnicianOfReschedule(booking, previousEmployee, keptTechnician);
+      }
+
+      // Released jobs go straight back through assignment
+      if (previousEmployeeId && !keptTechnician) {
+        const activeBookings = await Booking.countDocuments({
+          employee_id: previousEmployeeId,
+          status: { $in: WORKER_BUSY_STATUSES },
+        });
+        await Profile.findByIdAndUpdate(previousEmployeeId, { current_jobs: activeBookings });
+
+        const reassigned = await autoAssignBooking(req, booking, { actorKind: 'system' });
+        if (!reassigned) {
+          console.log(`⚠️ No technician free for rescheduled booking ${booking._id}; left for manual assignment`);
+        }
+      }
+
+      const updatedBooking = await Booking.findById(booking._id)
         .populate('service_id', 'name slug')
         .populate('employee_id', 'full_name phone');
 
@@ -3134,8 +5191,52 @@ app.patch(
   }
 );
 
+// Current reschedule policy (defaults until an admin saves one)
+app.get(`${apiBase}/admin/reschedule-policy`, requireAdmin('policies:manage'), async (_req, res) => {
+  try {
+    const policy = await ReschedulePolicy.findOne({ is_active: true });
+    res.json({ ...(await getReschedulePolicy()), is_default: !policy, default_policy: DEFAULT_RESCHEDULE_POLICY });
+  } catch (err) {
+    console.error('Fetch reschedule policy error:', err);
+    res.status(500).json({ error: 'fetch_error' });
+  }
+});
+
+// Update the reschedule policy (omit max_reschedules or send null for no limit)
+app.put(
+  `${apiBase}/admin/reschedule-policy`,
+  requireAdmin('policies:manage'),
+  [
+    body('max_reschedules').optional({ nullable: true }).isInt({ min: 0 }).withMessage('max_reschedules must be 0 or more'),
+    body('cutoff_hours').optional().isFloat({ min: 0 }).withMessage('cutoff_hours must be 0 or more'),
+    body('free_reschedules').optional().isInt({ min: 0 }).withMessage('free_reschedules must be 0 or more'),
+    body('fee_amount').optional().isFloat({ min: 0 }).withMessage('fee_amount must be 0 or more'),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { max_reschedules, cutoff_hours, free_reschedules, fee_amount } = req.body;
+      let policy = await ReschedulePolicy.findOne({ is_active: true });
+      if (!policy) policy = new ReschedulePolicy({ ...DEFAULT_RESCHEDULE_POLICY, is_active: true });
+
+      if (max_reschedules !== undefined) policy.max_reschedules = max_reschedules;
+      if (cutoff_hours !== undefined) policy.cutoff_hours = cutoff_hours;
+      if (free_reschedules !== undefined) policy.free_reschedules = free_reschedules;
+      if (fee_amount !== undefined) policy.fee_amount = fee_amount;
+      policy.updated_by = req.user.id || undefined;
+      await policy.save();
+
+      console.log('📋 Reschedule policy updated');
+      res.json({ ...(await getReschedulePolicy()), is_default: false, default_policy: DEFAULT_RESCHEDULE_POLICY });
+    } catch (err) {
+      console.error('Update reschedule policy error:', err);
+      res.status(500).json({ error: 'update_error' });
+    }
+  }
+);
+
 // Admin Promo Code Management
-app.get(`${apiBase}/promo`, requireAdmin, async (req, res) => {
+app.get(`${apiBase}/promo`, requireAdmin('promos:manage'), async (req, res) => {
   try {
     const promos = await PromoCode.find().sort({ created_at: -1 });
     res.json(promos);
@@ -3145,7 +5246,7 @@ app.get(`${apiBase}/promo`, requireAdmin, async (req, res) => {
   }
 });
 
-app.post(`${apiBase}/promo`, requireAdmin, [
+app.post(`${apiBase}/promo`, requireAdmin('promos:manage'), [
   body('code').trim().notEmpty().withMessage('Code is required'),
   body('discount_type').isIn(['percentage', 'flat']).withMessage('Invalid discount type'),
   body('discount_value').isFloat({ min: 0.01 }).withMessage('Discount value must be greater than 0'),
@@ -3197,7 +5298,7 @@ app.post(`${apiBase}/promo`, requireAdmin, [
   }
 });
 
-app.patch(`${apiBase}/promo/:id`, requireAdmin, [
+app.patch(`${apiBase}/promo/:id`, requireAdmin('promos:manage'), [
   body('code').optional().trim().notEmpty(),
   body('discount_type').optional().isIn(['percentage', 'flat']),
   body('discount_value').optional().isFloat({ min: 0.01 }),
@@ -3244,7 +5345,7 @@ app.patch(`${apiBase}/promo/:id`, requireAdmin, [
   }
 });
 
-app.delete(`${apiBase}/promo/:id`, requireAdmin, async (req, res) => {
+app.delete(`${apiBase}/promo/:id`, requireAdmin('promos:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const promo = await PromoCode.findByIdAndDelete(id);
@@ -3320,36 +5421,10 @@ app.get(`${apiBase}/promo/validate`, async (req, res) => {
       return res.status(400).json({ error: 'code_required', message: 'Promo code is required' });
     }
     
-    const promoCode = String(code).toUpperCase().trim();
-    const promo = await PromoCode.findOne({ code: promoCode, is_active: true });
-    
+    // Same checks as booking creation (services/pricing.js)
+    const { promo, status, ...promoError } = await validatePromoCode(code, subtotal);
     if (!promo) {
-      return res.status(404).json({ error: 'invalid_code', message: 'Invalid promo code' });
-    }
-    
-    if (promo.valid_until && new Date(promo.valid_until) < new Date()) {
-      return res.status(400).json({ error: 'expired', message: 'This promo code has expired' });
-    }
-    
-    if (promo.valid_from && new Date(promo.valid_from) > new Date()) {
-      return res.status(400).json({ error: 'not_yet_valid', message: 'This promo code is not yet valid' });
-    }
-    
-    const orderValue = subtotal ? Number(subtotal) : 0;
-    if (orderValue < (promo.min_order_value || 0)) {
-      return res.status(400).json({ 
-        error: 'min_order_value', 
-        message: `Minimum order value of ₹${promo.min_order_value || 0} required`,
-        min: promo.min_order_value || 0 
-      });
-    }
-    
-    // Check usage limit
-    if (promo.max_usage && promo.usage_count >= promo.max_usage) {
-      return res.status(400).json({ 
-        error: 'usage_limit_exceeded', 
-        message: 'This promo code has reached its maximum usage limit' 
-      });
+      return res.status(status || 400).json(promoError);
     }
     
     res.json(promo);
@@ -3360,20 +5435,26 @@ app.get(`${apiBase}/promo/validate`, async (req, res) => {
 });
 
 // Employee-specific endpoints for booking workflow
-app.post(`${apiBase}/bookings/:id/accept`, async (req, res) => {
+app.post(`${apiBase}/bookings/:id/accept`, requireBookingAccess(['worker']), async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id);
     if (!booking) return res.status(404).json({ error: 'not_found' });
     
-    // Allow employees to accept from either 'assigned' or 'pending' states.
-    // Block only clearly invalid terminal states.
-    if (['cancelled', 'completed'].includes(booking.status)) {
-      return res.status(400).json({ error: 'invalid_status', message: 'Booking cannot be accepted in its current status' });
-    }
+    const transition = transitionError(booking.status, 'accepted', getBookingActor(req, booking));
+    if (transition) return res.status(409).json(transition);
     
+    const previousStatus = booking.status;
     booking.status = 'accepted';
     booking.accepted_at = new Date();
     await booking.save();
+
+    await recordBookingEvent({
+      bookingId: booking._id,
+      type: 'status_changed',
+      actor: eventActor(req, getBookingActor(req, booking)),
+      oldValue: { status: previousStatus },
+      newValue: { status: 'accepted' },
+    });
     
     const updatedBooking = await Booking.findById(booking._id)
       .populate('service_id', 'name')
@@ -3390,6 +5471,12 @@ app.post(`${apiBase}/bookings/:id/accept`, async (req, res) => {
         bookingId: booking._id,
       });
     }
+    await sendSiteContactUpdate({
+      booking: updatedBooking,
+      status: 'accepted',
+      serviceName: updatedBooking.service_id?.name || 'Service',
+      employeeName: updatedBooking.employee_id?.full_name || 'Our professional',
+    });
     
     res.json(updatedBooking);
   } catch (err) {
@@ -3398,20 +5485,29 @@ app.post(`${apiBase}/bookings/:id/accept`, async (req, res) => {
   }
 });
 
-app.post(`${apiBase}/bookings/:id/mark-reached`, async (req, res) => {
+app.post(`${apiBase}/bookings/:id/mark-reached`, requireBookingAccess(['worker']), async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id);
     if (!booking) return res.status(404).json({ error: 'not_found' });
     
-    // Previously this required status === 'accepted'.
-    // To make the workflow smoother, allow marking reached for any non-terminal status.
-    if (['cancelled', 'completed'].includes(booking.status)) {
-      return res.status(400).json({ error: 'invalid_status', message: 'Booking cannot be marked as reached in its current status' });
-    }
+    const transition = transitionError(booking.status, 'reached', getBookingActor(req, booking));
+    if (transition) return res.status(409).json(transition);
     
+    const previousStatus = booking.status;
     booking.status = 'reached';
     booking.reached_at = new Date();
     await booking.save();
+
+    await recordBookingEvent({
+      bookingId: booking._id,
+      type: 'status_changed',
+      actor: eventActor(req, getBookingActor(req, booking)),
+      oldValue: { status: previousStatus },
+      newValue: { status: 'reached' },
+    });
+
+    // The customer shares this code with the technician to start work
+    await issueAndSendJobCode(booking, 'start');
     
     const updatedBooking = await Booking.findById(booking._id)
       .populate('service_id', 'name')
@@ -3428,6 +5524,12 @@ app.post(`${apiBase}/bookings/:id/mark-reached`, async (req, res) => {
         bookingId: booking._id,
       });
     }
+    await sendSiteContactUpdate({
+      booking: updatedBooking,
+      status: 'reached',
+      serviceName: updatedBooking.service_id?.name || 'Service',
+      employeeName: updatedBooking.employee_id?.full_name || 'Our professional',
+    });
     
     res.json(updatedBooking);
   } catch (err) {
@@ -3436,23 +5538,385 @@ app.post(`${apiBase}/bookings/:id/mark-reached`, async (req, res) => {
   }
 });
 
-app.post(`${apiBase}/bookings/:id/start-work`, async (req, res) => {
+// ==================== CUSTOMER JOB CODES ====================
+// start-work and complete need the code sent to the customer, so jobs cannot be started or
+// closed without them. Staff may override with a reason instead.
+
+// Issue a start/completion code and send it to the customer (sending never fails the request)
+const issueAndSendJobCode = async (booking, stage) => {
+  const code = issueJobCode(booking, stage);
+  await booking.save();
+  try {
+    const [customer, service] = await Promise.all([
+      Profile.findById(booking.customer_id).select('full_name phone'),
+      Service.findById(booking.service_id).select('name'),
+    ]);
+    const phone = customer?.phone || booking.customer_phone;
+    if (phone) {
+      await sendJobCode({
+        booking,
+        stage,
+        code,
+        phone,
+        customerName: customer?.full_name || booking.customer_name,
+        serviceName: service?.name,
+      });
+    }
+    // The on-site contact is the one who hands the code to the professional
+    const contact = booking.site_contact;
+    if (contact?.phone && contact.phone !== phone) {
+      await sendJobCode({ booking, stage, code, phone: contact.phone, customerName: contact.name, serviceName: service?.name });
+    }
+  } catch (notifError) {
+    console.error('Failed to send job code:', notifError);
+  }
+};
+
+/**
+ * Check the customer's code (or a staff override) before start-work/complete.
+ * Sends the error response itself and returns false when the request must stop.
+ */
+const checkJobCode = async (req, res, booking, stage) => {
+  if (req.body.override_reason !== undefined) {
+    if (!canAccess(req, 'bookings:manage')) {
+      res.status(403).json({ error: 'forbidden', message: 'Only staff can override the customer code' });
+      return false;
+    }
+    const reason = String(req.body.override_reason).trim();
+    if (!reason) {
+      res.status(400).json({ error: 'override_reason_required', message: 'Give a reason for overriding the customer code' });
+      return false;
+    }
+    overrideJobCode(booking, stage, { userId: req.user?.id, reason });
+    await recordBookingEvent({
+      bookingId: booking._id,
+      type: 'job_code_overridden',
+      actor: eventActor(req, 'staff'),
+      newValue: { stage },
+      note: reason,
+    });
+    return true;
+  }
+
+  // Bookings that reached this stage without a code (e.g. via /status) get one now
+  if (!booking.job_codes?.[stage]?.code_hash) {
+    await issueAndSendJobCode(booking, stage);
+    res.status(400).json({
+      error: 'job_code_required',
+      message: 'A code has been sent to the customer. Ask them for it to continue.',
+    });
+    return false;
+  }
+
+  const result = await verifyJobCode(booking, stage, req.body.code);
+  if (!result.valid) {
+    const { valid, status: httpStatus, ...codeError } = result;
+    res.status(httpStatus).json(codeError);
+    return false;
+  }
+  return true;
+};
+
+// Send the customer a new code (lost message or too many wrong attempts)
+app.post(
+  `${apiBase}/bookings/:id/job-codes/resend`,
+  requireBookingAccess(['worker']),
+  [body('stage').isIn(JOB_CODE_STAGES).withMessage('Stage must be start or end')],
+  validate,
+  async (req, res) => {
+    try {
+      const { stage } = req.body;
+      const booking = await Booking.findById(req.params.id);
+      if (!booking) return res.status(404).json({ error: 'not_found' });
+      if (booking.status !== JOB_CODE_STATUS[stage]) {
+        return res.status(409).json({
+          error: 'job_code_not_needed',
+          message: `The ${stage} code is only used while the booking is ${JOB_CODE_STATUS[stage]}`,
+        });
+      }
+
+      const wait = getResendWaitSeconds(booking, stage);
+      if (wait > 0) {
+        return res.status(429).json({
+          error: 'resend_too_soon',
+          message: `Please wait ${wait} seconds before sending a new code`,
+          retry_after: wait,
+        });
+      }
+
+      await issueAndSendJobCode(booking, stage);
+      res.json({ success: true, stage, sent_at: booking.job_codes[stage].sent_at });
+    } catch (err) {
+      console.error('Resend job code error:', err);
+      res.status(500).json({ error: 'resend_job_code_error', message: err.message });
+    }
+  }
+);
+
+// ==================== ON-SITE REVISED QUOTES ====================
+// Between mark-reached and start-work the technician can quote extra labour and parts.
+// The customer answers through the link sent on WhatsApp or in the app; start-work waits for the answer.
+
+const quoteLink = (token) => `${process.env.FRONTEND_URL || 'https://acehomesolutions.in'}/quote/${token}`;
+
+// Send the customer the quote on WhatsApp with the approve/reject link
+const sendQuoteToCustomer = async (booking, quote, token) => {
+  try {
+    const [customer, service, employee] = await Promise.all([
+      Profile.findById(booking.customer_id).select('full_name phone'),
+      Service.findById(booking.service_id).select('name'),
+      Profile.findById(quote.submitted_by).select('full_name'),
+    ]);
+    const phone = customer?.phone || booking.customer_phone;
+    if (!phone) return;
+
+    const lines = quote.line_items
+      .map((item) => `- ${item.type === 'part' ? 'Part' : 'Labour'}: ${item.description} x${item.quantity} = ₹${item.total}`)
+      .join('\n');
+    const buildMessage = (link) =>
+      `Hello! ${customer?.full_name || booking.customer_name || 'Customer'}\n\n` +
+      `${employee?.full_name || 'Our professional'} has sent a revised quote for your ${service?.name || 'service'} booking:\n\n` +
+      `${lines}\n\nExtra charges: ₹${quote.total}\nNew booking total: ₹${quote.new_total}\n` +
+      (quote.note ? `\nNote: ${quote.note}\n` : '') +
+      `\nApprove or reject here: ${link}\n\nWork will start after your approval.`;
+
+    await sendNotification({
+      to: phone,
+      type: 'whatsapp',
+      message: buildMessage(quoteLink(token)),
+      // Anyone holding the link can answer the quote, so the stored copy leaves the token out
+      storedMessage: buildMessage(quoteLink('[redacted]')),
+      userId: booking.customer_id,
+      bookingId: booking._id,
+      metadata: { quote_id: quote._id, type: 'revised_quote' },
+    });
+  } catch (notifError) {
+    console.error('Failed to send revised quote to customer:', notifError);
+  }
+};
+
+// Tell the technician how the customer answered
+const notifyWorkerOfQuoteDecision = async (booking, quote) => {
+  try {
+    const employee = await Profile.findById(quote.submitted_by || booking.employee_id).select('phone');
+    if (!employee?.phone) return;
+    const bookingRef = booking._id.toString().slice(-8).toUpperCase();
+    const message =
+      quote.status === 'approved'
+        ? `The customer approved your revised quote of ₹${quote.total} for booking ${bookingRef}. You can start work now.`
+        : `The customer rejected your revised quote for booking ${bookingRef}${quote.rejection_reason ? ` (${quote.rejection_reason})` : ''}. Continue with the original job or send a new quote.`;
+    await sendNotification({
+      to: employee.phone,
+      type: 'whatsapp',
+      message,
+      userId: employee._id,
+      bookingId: booking._id,
+      metadata: { quote_id: quote._id, type: 'revised_quote_decision' },
+    });
+  } catch (notifError) {
+    console.error('Failed to notify worker of quote decision:', notifError);
+  }
+};
+
+// Apply a customer decision, save it and record the event
+const answerQuote = async (req, res, booking, quote, decision, via) => {
+  const previous = { total_price: booking.total_price, payment_status: booking.payment_status };
+  const result = respondToQuote(booking, quote, decision, { via, reason: req.body.reason });
+  if (!result.quote) {
+    const { status: httpStatus, ...quoteError } = result;
+    return res.status(httpStatus).json(quoteError);
+  }
+  await booking.save();
+
+  await recordBookingEvent({
+    bookingId: booking._id,
+    type: decision === 'approved' ? 'quote_approved' : 'quote_rejected',
+    actor: eventActor(req, via === 'staff' ? 'staff' : 'customer'),
+    oldValue: decision === 'approved' ? previous : undefined,
+    newValue: {
+      quote_id: quote._id,
+      quote_total: quote.total,
+      ...(decision === 'approved' ? { total_price: booking.total_price, payment_status: booking.payment_status } : {}),
+    },
+    note: decision === 'rejected' ? quote.rejection_reason : `Answered via ${via}`,
+  });
+
+  await notifyWorkerOfQuoteDecision(booking, quote);
+
+  res.json({
+    quote: serializeQuote(quote),
+    booking_id: booking._id,
+    total_price: booking.total_price,
+    extra_charges: booking.extra_charges,
+    payment_status: booking.payment_status,
+    amount_due: getAmountDue(booking),
+  });
+};
+
+// Technician submits a revised quote (replaces any quote still waiting for an answer)
+app.post(
+  `${apiBase}/bookings/:id/quotes`,
+  requireBookingAccess(['worker']),
+  [
+    body('line_items').isArray({ min: 1, max: 30 }).withMessage('Add 1-30 line items'),
+    body('line_items.*.type').isIn(QUOTE_LINE_TYPES).withMessage('Line item type must be labour or part'),
+    body('line_items.*.description').trim().isLength({ min: 2, max: 200 }).withMessage('Description must be 2-200 characters'),
+    body('line_items.*.quantity').optional().isInt({ min: 1, max: 1000 }).withMessage('Invalid quantity'),
+    body('line_items.*.unit_price').isFloat({ min: 0 }).withMessage('Invalid unit price'),
+    body('note').optional().isString().isLength({ max: 500 }),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const booking = await Booking.findById(req.params.id);
+      if (!booking) return res.status(404).json({ error: 'not_found' });
+      if (booking.status !== 'reached') {
+        return res.status(409).json({
+          error: 'quote_not_allowed',
+          message: 'A revised quote can only be sent after reaching the customer and before starting work',
+        });
+      }
+
+      // Only one quote waits for the customer at a time
+      for (const existing of booking.quotes) {
+        if (existing.status === 'pending') {
+          existing.status = 'superseded';
+          existing.token_hash = undefined;
+        }
+      }
+
+      const { quote, token } = buildQuote(req.body.line_items, {
+        currentTotal: booking.total_price,
+        note: req.body.note,
+        submittedBy: req.user?.id,
+      });
+      booking.quotes.push(quote);
+      await booking.save();
+      const saved = booking.quotes[booking.quotes.length - 1];
+
+      await recordBookingEvent({
+        bookingId: booking._id,
+        type: 'quote_submitted',
+        actor: eventActor(req, getBookingActor(req, booking)),
+        newValue: { quote_id: saved._id, quote_total: saved.total, new_total: saved.new_total },
+        note: saved.note,
+      });
+
+      await sendQuoteToCustomer(booking, saved, token);
+
+      res.json(serializeQuote(saved));
+    } catch (err) {
+      console.error('Submit quote error:', err);
+      res.status(500).json({ error: 'submit_quote_error', message: err.message });
+    }
+  }
+);
+
+app.get(`${apiBase}/bookings/:id/quotes`, requireBookingAccess(['customer', 'worker'], 'bookings:read'), async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).select('quotes total_price extra_charges payment_status amount_paid');
+    if (!booking) return res.status(404).json({ error: 'not_found' });
+    res.json(booking.quotes.map(serializeQuote));
+  } catch (err) {
+    console.error('Get quotes error:', err);
+    res.status(500).json({ error: 'fetch_quotes_error', message: err.message });
+  }
+});
+
+// Customer (or staff on their behalf) answers in the app
+app.post(
+  `${apiBase}/bookings/:id/quotes/:quoteId/:decision(approve|reject)`,
+  requireBookingAccess(['customer']),
+  async (req, res) => {
+    try {
+      const booking = await Booking.findById(req.params.id);
+      if (!booking) return res.status(404).json({ error: 'not_found' });
+      const quote = booking.quotes.id(req.params.quoteId);
+      if (!quote) return res.status(404).json({ error: 'quote_not_found' });
+
+      const via = isBookingCustomer(req, booking) ? 'app' : 'staff';
+      const decision = req.params.decision === 'approve' ? 'approved' : 'rejected';
+      await answerQuote(req, res, booking, quote, decision, via);
+    } catch (err) {
+      console.error('Answer quote error:', err);
+      res.status(500).json({ error: 'answer_quote_error', message: err.message });
+    }
+  }
+);
+
+// Approval link from WhatsApp (no login; the token identifies the quote)
+const findQuoteByToken = async (token) => {
+  const tokenHash = hashQuoteToken(token);
+  const booking = await Booking.findOne({ 'quotes.token_hash': tokenHash });
+  if (!booking) return {};
+  return { booking, quote: booking.quotes.find((q) => q.token_hash === tokenHash) };
+};
+
+app.get(`${apiBase}/quotes/:token`, async (req, res) => {
+  try {
+    const { booking, quote } = await findQuoteByToken(req.params.token);
+    if (!quote) return res.status(404).json({ error: 'quote_not_found', message: 'This link is invalid or was already used' });
+
+    const service = await Service.findById(booking.service_id).select('name');
+    res.json({
+      ...serializeQuote(quote),
+      booking_id: booking._id,
+      service_name: service?.name,
+      booking_date: booking.booking_date,
+      booking_time: booking.booking_time,
+    });
+  } catch (err) {
+    console.error('Get quote by link error:', err);
+    res.status(500).json({ error: 'fetch_quote_error', message: err.message });
+  }
+});
+
+app.post(`${apiBase}/quotes/:token/:decision(approve|reject)`, async (req, res) => {
+  try {
+    const { booking, quote } = await findQuoteByToken(req.params.token);
+    if (!quote) return res.status(404).json({ error: 'quote_not_found', message: 'This link is invalid or was already used' });
+
+    const decision = req.params.decision === 'approve' ? 'approved' : 'rejected';
+    await answerQuote(req, res, booking, quote, decision, 'link');
+  } catch (err) {
+    console.error('Answer quote by link error:', err);
+    res.status(500).json({ error: 'answer_quote_error', message: err.message });
+  }
+});
+
+app.post(`${apiBase}/bookings/:id/start-work`, requireBookingAccess(['worker']), async (req, res) => {
   try {
     const booking = await Booking.findById(req.params.id);
     if (!booking) return res.status(404).json({ error: 'not_found' });
     
-    // Previously required status === 'reached'.
-    // To keep the workflow flexible, allow starting work for any non-terminal status.
-    if (['cancelled', 'completed'].includes(booking.status)) {
-      return res.status(400).json({
-        error: 'invalid_status',
-        message: 'Booking cannot be started in its current status',
+    const transition = transitionError(booking.status, 'in_progress', getBookingActor(req, booking));
+    if (transition) return res.status(409).json(transition);
+
+    // Work waits for the customer's answer to a revised quote
+    if (getPendingQuote(booking)) {
+      return res.status(409).json({
+        error: 'quote_pending',
+        message: 'The customer has not responded to the revised quote yet',
       });
     }
+
+    if (!(await checkJobCode(req, res, booking, 'start'))) return;
     
+    const previousStatus = booking.status;
     booking.status = 'in_progress';
     booking.started_at = new Date();
     await booking.save();
+
+    await recordBookingEvent({
+      bookingId: booking._id,
+      type: 'status_changed',
+      actor: eventActor(req, getBookingActor(req, booking)),
+      oldValue: { status: previousStatus },
+      newValue: { status: 'in_progress' },
+    });
+
+    // The customer shares this code once the job is done
+    await issueAndSendJobCode(booking, 'end');
     
     const updatedBooking = await Booking.findById(booking._id)
       .populate('service_id', 'name')
@@ -3481,21 +5945,18 @@ app.post(`${apiBase}/bookings/:id/start-work`, async (req, res) => {
   }
 });
 
-app.post(`${apiBase}/bookings/:id/complete`, async (req, res) => {
+app.post(`${apiBase}/bookings/:id/complete`, requireBookingAccess(['worker']), async (req, res) => {
   try {
     const { before_photos, after_photos } = req.body;
     const booking = await Booking.findById(req.params.id);
     if (!booking) return res.status(404).json({ error: 'not_found' });
     
-    // Previously required status === 'in_progress'.
-    // To keep the workflow flexible, allow completion from any non-cancelled state.
-    if (['cancelled'].includes(booking.status)) {
-      return res.status(400).json({
-        error: 'invalid_status',
-        message: 'Booking cannot be completed in its current status',
-      });
-    }
+    const transition = transitionError(booking.status, 'completed', getBookingActor(req, booking));
+    if (transition) return res.status(409).json(transition);
+
+    if (!(await checkJobCode(req, res, booking, 'end'))) return;
     
+    const previous = { status: booking.status, payment_status: booking.payment_status };
     booking.status = 'completed';
     booking.completed_at = new Date();
     
@@ -3514,6 +5975,14 @@ app.post(`${apiBase}/bookings/:id/complete`, async (req, res) => {
     }
     
     await booking.save();
+
+    await recordBookingEvent({
+      bookingId: booking._id,
+      type: 'status_changed',
+      actor: eventActor(req, getBookingActor(req, booking)),
+      oldValue: previous,
+      newValue: { status: 'completed', payment_status: booking.payment_status },
+    });
     
     const updatedBooking = await Booking.findById(booking._id)
       .populate('service_id', 'name')
@@ -3550,7 +6019,7 @@ app.post(`${apiBase}/bookings/:id/complete`, async (req, res) => {
   }
 });
 
-app.post(`${apiBase}/bookings/:id/add-partner`, async (req, res) => {
+app.post(`${apiBase}/bookings/:id/add-partner`, requireBookingAccess(['worker']), async (req, res) => {
   try {
     const { partner_id } = req.body;
     if (!partner_id) return res.status(400).json({ error: 'partner_id_required' });
@@ -3563,73 +6032,1116 @@ app.post(`${apiBase}/bookings/:id/add-partner`, async (req, res) => {
     if (!partner || partner.role !== 'employee') {
       return res.status(400).json({ error: 'invalid_partner', message: 'Partner must be an employee' });
     }
-    
-    booking.partner_id = partner_id;
-    await booking.save();
-    
-    const updatedBooking = await Booking.findById(booking._id)
-      .populate('service_id', 'name')
-      .populate('customer_id', 'full_name phone email')
-      .populate('employee_id', 'full_name phone')
-      .populate('partner_id', 'full_name phone');
-    
-    res.json(updatedBooking);
+    
+    const previousPartner = booking.partner_id || null;
+    booking.partner_id = partner_id;
+    await booking.save();
+
+    await recordBookingEvent({
+      bookingId: booking._id,
+      type: 'partner_added',
+      actor: eventActor(req, getBookingActor(req, booking)),
+      oldValue: { partner_id: previousPartner },
+      newValue: { partner_id },
+    });
+    
+    const updatedBooking = await Booking.findById(booking._id)
+      .populate('service_id', 'name')
+      .populate('customer_id', 'full_name phone email')
+      .populate('employee_id', 'full_name phone')
+      .populate('partner_id', 'full_name phone');
+    
+    res.json(updatedBooking);
+  } catch (err) {
+    console.error('Add partner error:', err);
+    res.status(500).json({ error: 'add_partner_error', message: err.message });
+  }
+});
+
+app.post(`${apiBase}/notify-me`, async (req, res) => {
+  try {
+    const { service_id, customer_name, customer_phone, customer_email, pincode } = req.body;
+    if (!customer_phone) return res.status(400).json({ error: 'phone_required' });
+    const notify = await NotifyMe.create({ 
+      service_id, 
+      customer_name, 
+      customer_phone, 
+      customer_email, 
+      pincode 
+    });
+    res.json({ success: true, id: notify._id });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'notify_me_error' });
+  }
+});
+
+app.get(`${apiBase}/notify-me`, requireAdmin('notify_me:read'), async (_req, res) => {
+  const entries = await NotifyMe.find().sort({ created_at: -1 });
+  res.json(entries);
+});
+
+// ==================== WARRANTY CLAIMS ====================
+// Re-service claims on completed bookings within the service's warranty (services/warranty.js).
+// A claim is a free child booking that goes to the original technician when they are free.
+
+app.get(`${apiBase}/bookings/:id/warranty`, requireBookingAccess(['customer'], 'bookings:read'), async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id).populate('service_id', 'name warranty_days');
+    if (!booking) return res.status(404).json({ error: 'not_found' });
+
+    const warrantyDays = booking.service_id?.warranty_days ?? DEFAULT_WARRANTY_DAYS;
+    const check = checkWarrantyClaim(booking, warrantyDays);
+    const claims = await Booking.find({ 'warranty_claim.parent_booking_id': booking._id })
+      .select('status booking_date booking_time employee_id warranty_claim created_at')
+      .populate('employee_id', 'full_name')
+      .sort({ created_at: -1 });
+
+    res.json({
+      warranty_days: warrantyDays,
+      warranty_ends_at: getWarrantyEndsAt(booking, warrantyDays),
+      can_claim: check.allowed && !claims.some((claim) => OPEN_CLAIM_STATUSES.includes(claim.status)),
+      ...(check.allowed ? {} : { reason: check.error }),
+      claims,
+    });
+  } catch (err) {
+    console.error('Get warranty error:', err);
+    res.status(500).json({ error: 'get_warranty_error', message: err.message });
+  }
+});
+
+app.post(
+  `${apiBase}/bookings/:id/warranty-claims`,
+  requireBookingAccess(['customer']),
+  [
+    body('reason').trim().isLength({ min: 5, max: 1000 }).withMessage('Describe the problem (5-1000 characters)'),
+    body('booking_date').isISO8601().withMessage('Invalid date format'),
+    body('booking_time').notEmpty().withMessage('Booking time required'),
+    body('special_instructions').optional().isString().withMessage('Invalid instructions'),
+  ],
+  validate,
+  idempotency,
+  async (req, res) => {
+    try {
+      const parent = await Booking.findById(req.params.id).populate('service_id', 'name warranty_days');
+      if (!parent) return res.status(404).json({ error: 'not_found' });
+
+      const check = checkWarrantyClaim(parent, parent.service_id?.warranty_days ?? DEFAULT_WARRANTY_DAYS);
+      if (!check.allowed) {
+        const { allowed, status: httpStatus, ...claimError } = check;
+        return res.status(httpStatus).json(claimError);
+      }
+
+      const openClaim = await Booking.exists({
+        'warranty_claim.parent_booking_id': parent._id,
+        status: { $in: OPEN_CLAIM_STATUSES },
+        is_deleted: { $ne: true },
+      });
+      if (openClaim) {
+        return res.status(409).json({ error: 'claim_open', message: 'A claim for this booking is already being handled', booking_id: openClaim._id });
+      }
+
+      const { booking_date, booking_time } = req.body;
+      if (dayKey(booking_date) < dayKey(new Date())) {
+        return res.status(400).json({ error: 'invalid_date', message: 'Booking date cannot be in the past' });
+      }
+
+      const serviceId = parent.service_id._id;
+      const bookable = await findBookableSlot(serviceId, booking_date, booking_time);
+      if (bookable.error) {
+        const { status: httpStatus, ...bookableError } = bookable;
+        return res.status(httpStatus).json(bookableError);
+      }
+      const { slot } = bookable;
+      const reason = sanitizeInput(req.body.reason);
+
+      // Zero-price child booking at the original address
+      const checkout = await createBookingWithReservations({
+        bookingData: {
+          customer_id: parent.customer_id,
+          service_id: serviceId,
+          booking_date,
+          booking_time,
+          customer_name: parent.customer_name,
+          customer_phone: parent.customer_phone,
+          address_id: parent.address_id,
+          customer_address: parent.customer_address,
+          customer_pincode: parent.customer_pincode,
+          site_contact: parent.site_contact?.phone ? { name: parent.site_contact.name, phone: parent.site_contact.phone } : undefined,
+          special_instructions: req.body.special_instructions ? sanitizeInput(req.body.special_instructions) : undefined,
+          addons: [],
+          base_price: 0,
+          addon_price: 0,
+          estimated_duration_minutes: parent.estimated_duration_minutes, // Same work again
+          platform_fee: 0,
+          total_price: 0,
+          amount_paid: 0,
+          payment_method: 'cod',
+          payment_status: 'paid', // Nothing to pay
+          warranty_claim: { parent_booking_id: parent._id, original_employee_id: parent.employee_id, reason },
+          status: 'pending',
+        },
+        slotId: slot?._id,
+      });
+      if (!checkout.booking) {
+        const { status: httpStatus, ...checkoutError } = checkout;
+        return res.status(httpStatus || 400).json(checkoutError);
+      }
+      const claim = checkout.booking;
+
+      await recordBookingEvent({
+        bookingId: claim._id,
+        type: 'created',
+        actor: eventActor(req, isBookingCustomer(req, parent) ? 'customer' : 'staff'),
+        newValue: {
+          status: claim.status,
+          booking_date: claim.booking_date,
+          booking_time: claim.booking_time,
+          total_price: 0,
+          parent_booking_id: parent._id,
+        },
+        note: `Warranty claim: ${reason}`,
+      });
+
+      await notifyAdminOfNewBooking(claim._id);
+
+      // The original technician gets the job when eligible and free; otherwise the best free match
+      const assigned = await autoAssignBooking(req, claim, { actorKind: 'system', preferredWorkerId: parent.employee_id });
+
+      console.log(`🛠️ Warranty claim ${claim._id} raised on booking ${parent._id}`);
+      res.status(201).json(assigned || claim);
+    } catch (err) {
+      console.error('Warranty claim error:', err);
+      res.status(500).json({ error: 'warranty_claim_error', message: err.message });
+    }
+  }
+);
+
+// ==================== ORDER (MULTI-SERVICE CART) ENDPOINTS ====================
+// An order groups several bookings (one per service) that share an address, date and payment.
+// Each booking stays a normal booking, so line items are assigned to technicians independently.
+
+const orderItemValidators = [
+  body('items').isArray({ min: 1, max: 10 }).withMessage('Order must contain 1-10 services'),
+  body('items.*.service_id').isMongoId().withMessage('Service ID required'),
+  body('items.*.addons').optional().isArray().withMessage('Add-ons must be an array'),
+  body('wallet_amount').optional().isFloat({ min: 0 }).withMessage('Invalid wallet amount'),
+];
+
+// Price preview for a cart
+app.post(`${apiBase}/orders/quote`, orderItemValidators, validate, async (req, res) => {
+  try {
+    const { breakdown, status, ...pricingError } = await calculateOrderPrice({
+      items: req.body.items,
+      promoCode: req.body.promo_code,
+      walletAmount: req.body.wallet_amount,
+    });
+    if (!breakdown) {
+      return res.status(status || 400).json(pricingError);
+    }
+    res.json(breakdown);
+  } catch (err) {
+    console.error('Order quote error:', err);
+    res.status(500).json({ error: 'quote_error', message: err.message });
+  }
+});
+
+app.post(
+  `${apiBase}/orders`,
+  [
+    ...orderItemValidators,
+    body('booking_date').isISO8601().withMessage('Invalid date format'),
+    body('booking_time').notEmpty().withMessage('Booking time required'),
+    body('customer_name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+    body('customer_phone').trim().isMobilePhone('en-IN').withMessage('Invalid phone number'),
+    body('address_id').optional().isMongoId().withMessage('Invalid address ID'),
+    body('customer_address').if(body('address_id').not().exists()).isObject().withMessage('Address must be an object'),
+    body('total_price').isFloat({ min: 0 }).withMessage('Invalid price'),
+    body('customer_id').isMongoId().withMessage('Customer ID required'),
+    body('payment_method').optional().isIn(['online', 'cod']).withMessage('Invalid payment method'),
+    ...siteContactValidators,
+  ],
+  validate,
+  idempotency,
+  async (req, res) => {
+    try {
+      const { items, customer_id, booking_date, booking_time } = req.body;
+
+      // Customers can only order for themselves
+      if (!canAccess(req, 'bookings:manage')) {
+        if (!req.user) {
+          return res.status(401).json({ error: req.authError || 'unauthorized', message: 'Please login first' });
+        }
+        if (customer_id !== req.user.id) {
+          return res.status(403).json({ error: 'forbidden', message: 'You can only create orders for your own account' });
+        }
+      }
+
+      // Require verified customer
+      const customerProfile = await Profile.findById(customer_id);
+      if (!customerProfile) {
+        return res.status(404).json({ error: 'customer_not_found' });
+      }
+      if (!customerProfile.phone_verified) {
+        return res.status(403).json({ error: 'phone_not_verified', message: 'Please verify your phone before booking.' });
+      }
+
+      const address = resolveBookingAddress(customerProfile, req.body);
+      if (address.error) {
+        const { status: httpStatus, ...addressError } = address;
+        return res.status(httpStatus).json(addressError);
+      }
+
+      // Every line item needs a free seat in its service's slot
+      const slots = [];
+      for (const item of items) {
+        const bookable = await findBookableSlot(item.service_id, booking_date, booking_time);
+        if (bookable.error) {
+          const { status: httpStatus, ...bookableError } = bookable;
+          return res.status(httpStatus).json({ ...bookableError, service_id: item.service_id });
+        }
+        const { slot } = bookable;
+        if (slot && slot.booked_count >= slot.total_capacity) {
+          return res.status(400).json({
+            error: 'slot_unavailable',
+            message: 'This time slot is fully booked for one of the services. Please choose another time.',
+            service_id: item.service_id,
+          });
+        }
+        slots.push(slot);
+      }
+
+      // Price the whole cart on the server; promo and wallet apply at order level
+      const pricing = await calculateOrderPrice({
+        items,
+        promoCode: req.body.promo_code,
+        walletAmount: req.body.wallet_amount,
+      });
+      if (!pricing.breakdown) {
+        const { status: httpStatus, ...pricingError } = pricing;
+        return res.status(httpStatus || 400).json(pricingError);
+      }
+      const { breakdown } = pricing;
+
+      // The client must have shown the customer the same total
+      if (Math.abs(Number(req.body.total_price) - breakdown.total_price) > 0.01) {
+        return res.status(400).json({
+          error: 'price_mismatch',
+          message: 'Prices have changed. Please review your order and try again.',
+          pricing: breakdown,
+        });
+      }
+
+      if (breakdown.wallet_amount > 0 && breakdown.wallet_amount > (customerProfile.wallet_balance || 0)) {
+        return res.status(400).json({
+          error: 'insufficient_wallet_balance',
+          message: 'Insufficient wallet balance'
+        });
+      }
+
+      // Fields every line item shares with the order
+      const shared = {
+        customer_id,
+        booking_date,
+        booking_time,
+        customer_name: req.body.customer_name,
+        customer_phone: req.body.customer_phone,
+        address_id: address.address_id,
+        customer_address: address.customer_address,
+        customer_pincode: address.customer_pincode,
+        site_contact: siteContactFrom(req.body),
+      };
+      const payment =
+        breakdown.wallet_amount > 0 && breakdown.total_price === 0
+          ? { payment_status: 'paid', payment_method: 'wallet' } // Fully paid from wallet
+          : { payment_method: req.body.payment_method || 'online' };
+      // Online orders hold their slots only until the payment hold runs out
+      const paymentHold = payment.payment_method === 'online' ? { payment_hold_until: getPaymentHoldUntil() } : {};
+
+      const checkout = await createOrderWithReservations({
+        orderData: {
+          ...shared,
+          ...payment,
+          subtotal: breakdown.subtotal,
+          promo_code: breakdown.promo_code,
+          discount_amount: breakdown.discount_amount,
+          platform_fee: breakdown.platform_fee,
+          wallet_amount: breakdown.wallet_amount,
+          total_price: breakdown.total_price,
+        },
+        items: breakdown.items.map((line, i) => ({
+          slotId: slots[i]?._id,
+          bookingData: {
+            ...shared,
+            ...payment,
+            ...paymentHold,
+            service_id: line.service_id,
+            addons: line.addons.map(({ addon_id, quantity }) => ({ addon_id, quantity })),
+            base_price: line.base_price,
+            addon_price: line.addon_price,
+            estimated_duration_minutes: line.duration_minutes,
+            discount_amount: line.discount_amount,
+            platform_fee: line.platform_fee,
+            wallet_amount: line.wallet_amount,
+            total_price: line.total_price,
+            notes: items[i].notes,
+            special_instructions: req.body.special_instructions,
+            status: 'pending',
+          },
+        })),
+        promoId: pricing.promo?._id,
+      });
+      if (!checkout.order) {
+        const { status: httpStatus, ...checkoutError } = checkout;
+        return res.status(httpStatus || 400).json(checkoutError);
+      }
+      const { order, bookings } = checkout;
+
+      await notifyAdminOfNewBooking(order._id);
+
+      for (const booking of bookings) {
+        await recordBookingEvent({
+          bookingId: booking._id,
+          type: 'created',
+          actor: eventActor(req, isBookingCustomer(req, booking) ? 'customer' : 'staff'),
+          newValue: {
+            status: booking.status,
+            booking_date: booking.booking_date,
+            booking_time: booking.booking_time,
+            total_price: booking.total_price,
+            payment_method: booking.payment_method,
+            payment_status: booking.payment_status,
+            order_id: order._id,
+          },
+        });
+      }
+
+      console.log(`🛒 Order ${order._id} created with ${bookings.length} bookings`);
+      res.json({ ...order.toObject(), bookings });
+    } catch (err) {
+      console.error('Order creation error:', err);
+      res.status(500).json({ error: 'create_order_error', message: err.message });
+    }
+  }
+);
+
+app.get(`${apiBase}/orders/:id`, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ error: 'not_found' });
+
+    if (!canAccess(req, 'bookings:read')) {
+      if (!req.user) {
+        return res.status(401).json({ error: req.authError || 'unauthorized', message: 'Please login first' });
+      }
+      if (!idEquals(order.customer_id, req.user.id)) {
+        return res.status(403).json({ error: 'forbidden', message: 'You do not have access to this order' });
+      }
+    }
+
+    const bookings = await Booking.find({ order_id: order._id })
+      .populate('service_id', 'name slug base_price')
+      .populate('employee_id', 'full_name phone')
+      .sort({ created_at: 1 });
+    res.json({ ...order.toObject(), bookings });
+  } catch (err) {
+    console.error('Get order error:', err);
+    res.status(500).json({ error: 'fetch_order_error', message: err.message });
+  }
+});
+
+// ==================== WAITLIST ENDPOINTS ====================
+// Customers queue for a fully booked slot; freed seats are offered in order (services/waitlist.js).
+
+/**
+ * Only let the entry's customer act on :id. Staff with the given permission override the check.
+ * @param {string} permission - Staff permission that overrides ownership
+ */
+const requireWaitlistAccess = (permission = 'bookings:manage') => async (req, res, next) => {
+  try {
+    if (!req.user) return res.status(401).json({ error: req.authError || 'unauthorized', message: 'Please login first' });
+    const entry = await WaitlistEntry.findById(req.params.id);
+    if (!entry) return res.status(404).json({ error: 'not_found' });
+    if (!canAccess(req, permission) && !idEquals(entry.customer_id, req.user.id)) {
+      return res.status(403).json({ error: 'forbidden', message: 'You do not have access to this waitlist entry' });
+    }
+    req.waitlistEntry = entry;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Place in the queue of a waiting entry (1 = next to be offered)
+const waitlistPosition = async (entry) =>
+  entry.status === 'waiting'
+    ? (await WaitlistEntry.countDocuments({ slot_id: entry.slot_id, status: 'waiting', created_at: { $lt: entry.created_at } })) + 1
+    : null;
+
+// Book an accepted offer and tell the admin about the new booking
+const respondToAcceptedOffer = async (res, entry) => {
+  const result = await acceptOffer(entry);
+  if (!result.booking) {
+    const { status: httpStatus, ...acceptError } = result;
+    return res.status(httpStatus || 400).json(acceptError);
+  }
+  await notifyAdminOfNewBooking(result.booking._id);
+  console.log(`🎟️ Waitlist entry ${entry._id} booked as ${result.booking._id}`);
+  res.json({ entry: result.entry, booking: result.booking });
+};
+
+app.post(
+  `${apiBase}/waitlist`,
+  [
+    body('service_id').isMongoId().withMessage('Service ID required'),
+    body('booking_date').isISO8601().withMessage('Invalid date format'),
+    body('booking_time').notEmpty().withMessage('Booking time required'),
+    body('addons').optional().isArray().withMessage('Add-ons must be an array'),
+    body('customer_name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+    body('customer_phone').trim().isMobilePhone('en-IN').withMessage('Invalid phone number'),
+    body('address_id').optional().isMongoId().withMessage('Invalid address ID'),
+    body('customer_address').if(body('address_id').not().exists()).isObject().withMessage('Address must be an object'),
+    body('customer_id').isMongoId().withMessage('Customer ID required'),
+    body('payment_method').optional().isIn(['online', 'cod']).withMessage('Invalid payment method'),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { customer_id, service_id, booking_date, booking_time } = req.body;
+
+      // Customers can only join for themselves
+      if (!canAccess(req, 'bookings:manage')) {
+        if (!req.user) {
+          return res.status(401).json({ error: req.authError || 'unauthorized', message: 'Please login first' });
+        }
+        if (customer_id !== req.user.id) {
+          return res.status(403).json({ error: 'forbidden', message: 'You can only join the waitlist for your own account' });
+        }
+      }
+
+      if (dayKey(booking_date) < dayKey(new Date())) {
+        return res.status(400).json({ error: 'invalid_date', message: 'Booking date cannot be in the past' });
+      }
+
+      // Require verified customer
+      const customerProfile = await Profile.findById(customer_id);
+      if (!customerProfile) {
+        return res.status(404).json({ error: 'customer_not_found' });
+      }
+      if (!customerProfile.phone_verified) {
+        return res.status(403).json({ error: 'phone_not_verified', message: 'Please verify your phone before booking.' });
+      }
+
+      const address = resolveBookingAddress(customerProfile, req.body);
+      if (address.error) {
+        const { status: httpStatus, ...addressError } = address;
+        return res.status(httpStatus).json(addressError);
+      }
+      if (!(await isServiceable(address.customer_pincode))) {
+        return res.status(400).json({ error: 'service_not_available', message: 'Services are not available in your area yet.' });
+      }
+
+      // Only full slots have a waitlist
+      const slot = await findSlot(service_id, booking_date, booking_time);
+      if (!slot || slot.booked_count < slot.total_capacity) {
+        return res.status(409).json({ error: 'slot_available', message: 'This time slot can still be booked directly' });
+      }
+
+      const existing = await WaitlistEntry.findOne({ customer_id, slot_id: slot._id, status: { $in: OPEN_WAITLIST_STATUSES } });
+      if (existing) {
+        return res.status(409).json({
+          error: 'already_waitlisted',
+          message: 'You are already on the waitlist for this slot',
+          entry_id: existing._id,
+        });
+      }
+
+      // Check the service and add-ons now; the booking is priced again when the offer is accepted
+      const pricing = await calculateBookingPrice({ serviceId: service_id, addons: req.body.addons });
+      if (!pricing.breakdown) {
+        const { status: httpStatus, ...pricingError } = pricing;
+        return res.status(httpStatus || 400).json(pricingError);
+      }
+
+      const entry = await WaitlistEntry.create({
+        customer_id,
+        service_id,
+        slot_id: slot._id,
+        date: slot.date,
+        booking_time,
+        addons: pricing.breakdown.addons.map(({ addon_id, quantity }) => ({ addon_id, quantity })),
+        customer_name: req.body.customer_name,
+        customer_phone: req.body.customer_phone,
+        address_id: address.address_id,
+        customer_address: address.customer_address,
+        customer_pincode: address.customer_pincode,
+        special_instructions: req.body.special_instructions,
+        payment_method: req.body.payment_method || 'online',
+      });
+
+      console.log(`🎟️ Customer ${customer_id} joined the waitlist for slot ${slot._id}`);
+      res.status(201).json({ ...entry.toJSON(), position: await waitlistPosition(entry) });
+    } catch (err) {
+      console.error('Join waitlist error:', err);
+      res.status(500).json({ error: 'join_waitlist_error', message: err.message });
+    }
+  }
+);
+
+app.get(`${apiBase}/waitlist`, async (req, res) => {
+  try {
+    const filter = {};
+    if (canAccess(req, 'bookings:read')) {
+      if (req.query.customerId) filter.customer_id = req.query.customerId;
+      if (req.query.slotId) filter.slot_id = req.query.slotId;
+    } else {
+      if (!req.user) {
+        return res.status(401).json({ error: req.authError || 'unauthorized', message: 'Please login first' });
+      }
+      filter.customer_id = req.user.id;
+    }
+    if (req.query.status) filter.status = listFilter(req.query.status);
+
+    const entries = await WaitlistEntry.find(filter)
+      .populate('service_id', 'name image_url')
+      .sort({ created_at: -1 })
+      .limit(100);
+    res.json(
+      await Promise.all(entries.map(async (entry) => ({ ...entry.toJSON(), position: await waitlistPosition(entry) })))
+    );
+  } catch (err) {
+    console.error('Get waitlist error:', err);
+    res.status(500).json({ error: 'get_waitlist_error', message: err.message });
+  }
+});
+
+app.post(`${apiBase}/waitlist/:id/cancel`, requireWaitlistAccess(), async (req, res) => {
+  try {
+    const entry = req.waitlistEntry;
+    let left = false;
+    if (entry.status === 'offered') {
+      // Gives the held seat to the next customer
+      left = await closeOffer(entry, 'cancelled');
+    } else if (entry.status === 'waiting') {
+      const result = await WaitlistEntry.updateOne(
+        { _id: entry._id, status: 'waiting' },
+        { status: 'cancelled', closed_at: new Date() }
+      );
+      left = result.modifiedCount === 1;
+    }
+    if (!left) {
+      return res.status(409).json({ error: 'waitlist_entry_closed', message: 'This waitlist entry is no longer open' });
+    }
+    res.json(await WaitlistEntry.findById(entry._id));
+  } catch (err) {
+    console.error('Leave waitlist error:', err);
+    res.status(500).json({ error: 'leave_waitlist_error', message: err.message });
+  }
+});
+
+app.post(`${apiBase}/waitlist/:id/accept`, requireWaitlistAccess(), async (req, res) => {
+  try {
+    await respondToAcceptedOffer(res, req.waitlistEntry);
+  } catch (err) {
+    console.error('Accept waitlist offer error:', err);
+    res.status(500).json({ error: 'accept_waitlist_offer_error', message: err.message });
+  }
+});
+
+// Offer link from WhatsApp (no login; the token identifies the entry)
+const findWaitlistEntryByToken = (token) => WaitlistEntry.findOne({ offer_token_hash: hashWaitlistToken(token) });
+
+app.get(`${apiBase}/waitlist-offers/:token`, async (req, res) => {
+  try {
+    const entry = await findWaitlistEntryByToken(req.params.token);
+    if (!entry) return res.status(404).json({ error: 'offer_not_found', message: 'This link is invalid or was already used' });
+
+    const service = await Service.findById(entry.service_id).select('name');
+    res.json({
+      _id: entry._id,
+      status: entry.status,
+      service_name: service?.name,
+      booking_date: entry.date,
+      booking_time: entry.booking_time,
+      offer_expires_at: entry.offer_expires_at,
+      hold_minutes: WAITLIST_OFFER_MINUTES,
+    });
+  } catch (err) {
+    console.error('Get waitlist offer error:', err);
+    res.status(500).json({ error: 'fetch_waitlist_offer_error', message: err.message });
+  }
+});
+
+app.post(`${apiBase}/waitlist-offers/:token/:decision(accept|decline)`, async (req, res) => {
+  try {
+    const entry = await findWaitlistEntryByToken(req.params.token);
+    if (!entry) return res.status(404).json({ error: 'offer_not_found', message: 'This link is invalid or was already used' });
+
+    if (req.params.decision === 'accept') {
+      return await respondToAcceptedOffer(res, entry);
+    }
+    if (!(await closeOffer(entry, 'declined'))) {
+      return res.status(409).json({ error: 'offer_not_open', message: 'This waitlist offer is no longer open' });
+    }
+    res.json({ success: true, status: 'declined' });
+  } catch (err) {
+    console.error('Answer waitlist offer error:', err);
+    res.status(500).json({ error: 'answer_waitlist_offer_error', message: err.message });
+  }
+});
+
+// ==================== RECURRING BOOKING ENDPOINTS ====================
+// A booking series books the same service at the same time on a schedule (weekly cleaning,
+// quarterly pest control). Occurrences are real bookings created ahead of time by the scheduler.
+
+// Occurrences that have not started yet and can still be cancelled by a skip, pause or cancel
+const UPCOMING_OCCURRENCE_STATUSES = ['pending', 'confirmed', 'assigned', 'accepted'];
+
+/**
+ * Only let the series' customer act on :id. Staff with the given permission override the check.
+ * @param {string} permission - Staff permission that overrides ownership
+ */
+const requireSeriesAccess = (permission = 'bookings:manage') => async (req, res, next) => {
+  try {
+    if (canAccess(req, permission)) return next();
+    if (!req.user) return res.status(401).json({ error: req.authError || 'unauthorized', message: 'Please login first' });
+
+    const series = await BookingSeries.findById(req.params.id).select('customer_id');
+    if (!series) return res.status(404).json({ error: 'not_found' });
+    if (!idEquals(series.customer_id, req.user.id)) {
+      return res.status(403).json({ error: 'forbidden', message: 'You do not have access to this recurring booking' });
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// Cancel one upcoming occurrence of a series, free its slot and refund it under the cancellation policy
+const cancelSeriesOccurrence = async (req, booking, reason) => {
+  const isStaff = canAccess(req, 'bookings:manage');
+  const result = await cancelBookingWithRefund(req, booking, {
+    reason,
+    cancelledBy: isStaff ? 'admin' : 'customer',
+    actorKind: isStaff ? 'staff' : 'customer',
+  });
+  if (!result.booking) {
+    console.error(`Could not cancel recurring visit ${booking._id}:`, result.message);
+  }
+  return result;
+};
+
+// Upcoming occurrences of a series, optionally only those before a date
+const findUpcomingOccurrences = (series, before) => {
+  const today = new Date(`${dayKey(new Date())}T00:00:00.000Z`);
+  return Booking.find({
+    series_id: series._id,
+    status: { $in: UPCOMING_OCCURRENCE_STATUSES },
+    is_deleted: { $ne: true },
+    booking_date: before ? { $gte: today, $lt: before } : { $gte: today },
+  });
+};
+
+// Tell the customer about a change to their series
+const notifySeriesCustomer = async (series, status, extra = {}) => {
+  try {
+    const [customer, service] = await Promise.all([
+      Profile.findById(series.customer_id).select('full_name phone email'),
+      Service.findById(series.service_id).select('name'),
+    ]);
+    if (!customer) return;
+    await sendBookingStatusUpdate({
+      customer,
+      status,
+      serviceName: service?.name || 'service',
+      seriesId: series._id,
+      ...extra,
+    });
+  } catch (notifError) {
+    console.error('Failed to send recurring booking notification:', notifError);
+  }
+};
+
+app.post(
+  `${apiBase}/booking-series`,
+  [
+    body('service_id').isMongoId().withMessage('Service ID required'),
+    body('addons').optional().isArray().withMessage('Add-ons must be an array'),
+    body('booking_time').notEmpty().withMessage('Booking time required'),
+    body('customer_name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be 2-100 characters'),
+    body('customer_phone').trim().isMobilePhone('en-IN').withMessage('Invalid phone number'),
+    body('address_id').optional().isMongoId().withMessage('Invalid address ID'),
+    body('customer_address').if(body('address_id').not().exists()).isObject().withMessage('Address must be an object'),
+    body('customer_id').isMongoId().withMessage('Customer ID required'),
+    body('payment_method').optional().isIn(['online', 'cod']).withMessage('Invalid payment method'),
+    ...siteContactValidators,
+    body('recurrence.frequency').isIn(RECURRENCE_FREQUENCIES).withMessage(`Frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`),
+    body('recurrence.interval').optional().isInt({ min: 1, max: 365 }).withMessage('Interval must be 1-365'),
+    body('recurrence.start_date').isISO8601().withMessage('Invalid start date'),
+    body('recurrence.end_date').optional().isISO8601().withMessage('Invalid end date'),
+    body('recurrence.count').optional().isInt({ min: 1, max: 366 }).withMessage('Count must be 1-366'),
+  ],
+  validate,
+  idempotency,
+  async (req, res) => {
+    try {
+      const { customer_id, recurrence } = req.body;
+
+      // Customers can only book for themselves
+      if (!canAccess(req, 'bookings:manage')) {
+        if (!req.user) {
+          return res.status(401).json({ error: req.authError || 'unauthorized', message: 'Please login first' });
+        }
+        if (customer_id !== req.user.id) {
+          return res.status(403).json({ error: 'forbidden', message: 'You can only create bookings for your own account' });
+        }
+      }
+
+      if (recurrence.frequency === 'every_n_days' && !recurrence.interval) {
+        return res.status(400).json({ error: 'interval_required', message: 'Interval (days) is required for every_n_days' });
+      }
+      if (dayKey(recurrence.start_date) < dayKey(new Date())) {
+        return res.status(400).json({ error: 'invalid_start_date', message: 'Start date cannot be in the past' });
+      }
+      if (recurrence.end_date && dayKey(recurrence.end_date) < dayKey(recurrence.start_date)) {
+        return res.status(400).json({ error: 'invalid_end_date', message: 'End date must be after the start date' });
+      }
+
+      // Require verified customer
+      const customerProfile = await Profile.findById(customer_id);
+      if (!customerProfile) {
+        return res.status(404).json({ error: 'customer_not_found' });
+      }
+      if (!customerProfile.phone_verified) {
+        return res.status(403).json({ error: 'phone_not_verified', message: 'Please verify your phone before booking.' });
+      }
+
+      // Every visit goes to the address as it is now
+      const address = resolveBookingAddress(customerProfile, req.body);
+      if (address.error) {
+        const { status: httpStatus, ...addressError } = address;
+        return res.status(httpStatus).json(addressError);
+      }
+
+      // Each visit is priced from the catalogue when it is booked; quote the current price
+      const pricing = await calculateBookingPrice({ serviceId: req.body.service_id, addons: req.body.addons });
+      if (!pricing.breakdown) {
+        const { status: httpStatus, ...pricingError } = pricing;
+        return res.status(httpStatus || 400).json(pricingError);
+      }
+
+      const series = await BookingSeries.create({
+        customer_id,
+        service_id: req.body.service_id,
+        addons: pricing.breakdown.addons.map(({ addon_id, quantity }) => ({ addon_id, quantity })),
+        booking_time: req.body.booking_time,
+        customer_name: req.body.customer_name,
+        customer_phone: req.body.customer_phone,
+        address_id: address.address_id,
+        customer_address: address.customer_address,
+        customer_pincode: address.customer_pincode,
+        site_contact: siteContactFrom(req.body),
+        special_instructions: req.body.special_instructions,
+        payment_method: req.body.payment_method || 'online',
+        recurrence: {
+          frequency: recurrence.frequency,
+          interval: recurrence.interval || 1,
+          start_date: recurrence.start_date,
+          end_date: recurrence.end_date,
+          count: recurrence.count,
+        },
+      });
+
+      // Book the first occurrences right away
+      const bookings = await materializeSeries(series);
+
+      console.log(`🔁 Recurring booking ${series._id} created (${recurrence.frequency}), ${bookings.length} visits booked`);
+      res.json({ ...series.toObject(), price_per_visit: pricing.breakdown.total_price, bookings });
+    } catch (err) {
+      console.error('Create booking series error:', err);
+      res.status(500).json({ error: 'create_series_error', message: err.message });
+    }
+  }
+);
+
+app.get(`${apiBase}/booking-series`, async (req, res) => {
+  try {
+    const filter = {};
+    if (canAccess(req, 'bookings:read')) {
+      if (req.query.customerId) filter.customer_id = req.query.customerId;
+    } else {
+      if (!req.user) {
+        return res.status(401).json({ error: req.authError || 'unauthorized', message: 'Please login first' });
+      }
+      filter.customer_id = req.user.id;
+    }
+    if (req.query.status) filter.status = req.query.status;
+
+    const seriesList = await BookingSeries.find(filter)
+      .populate('service_id', 'name slug base_price')
+      .sort({ created_at: -1 });
+    res.json(seriesList);
+  } catch (err) {
+    console.error('Get booking series error:', err);
+    res.status(500).json({ error: 'fetch_series_error', message: err.message });
+  }
+});
+
+app.get(`${apiBase}/booking-series/:id`, requireSeriesAccess('bookings:read'), async (req, res) => {
+  try {
+    const series = await BookingSeries.findById(req.params.id).populate('service_id', 'name slug base_price');
+    if (!series) return res.status(404).json({ error: 'not_found' });
+    const bookings = await Booking.find({ series_id: series._id, is_deleted: { $ne: true } })
+      .populate('employee_id', 'full_name phone')
+      .sort({ booking_date: 1 });
+    res.json({ ...series.toObject(), bookings });
+  } catch (err) {
+    console.error('Get booking series error:', err);
+    res.status(500).json({ error: 'fetch_series_error', message: err.message });
+  }
+});
+
+// Skip one occurrence (cancels its booking if it was already booked)
+app.post(
+  `${apiBase}/booking-series/:id/skip`,
+  requireSeriesAccess(),
+  [body('date').isISO8601().withMessage('Occurrence date required')],
+  validate,
+  async (req, res) => {
+    try {
+      const series = await BookingSeries.findById(req.params.id);
+      if (!series) return res.status(404).json({ error: 'not_found' });
+      if (!['active', 'paused'].includes(series.status)) {
+        return res.status(409).json({ error: 'series_not_active', message: `This recurring booking is ${series.status}` });
+      }
+
+      const { date } = req.body;
+      if (dayKey(date) < dayKey(new Date()) || !isOccurrenceDate(series.recurrence, date)) {
+        return res.status(400).json({ error: 'invalid_occurrence', message: 'No upcoming visit on this date' });
+      }
+      if (series.skipped_occurrences.some((s) => dayKey(s.date) === dayKey(date))) {
+        return res.status(409).json({ error: 'already_skipped', message: 'This visit is already skipped' });
+      }
+
+      const dayStart = new Date(`${dayKey(date)}T00:00:00.000Z`);
+      const booking = await Booking.findOne({
+        series_id: series._id,
+        booking_date: { $gte: dayStart, $lt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000) },
+        status: { $ne: 'cancelled' },
+      });
+      if (booking && !UPCOMING_OCCURRENCE_STATUSES.includes(booking.status)) {
+        return res.status(409).json({ error: 'occurrence_in_progress', message: 'This visit has already started' });
+      }
+      if (booking) {
+        await cancelSeriesOccurrence(req, booking, 'Skipped recurring visit');
+      }
+
+      series.skipped_occurrences.push({ date: booking ? booking.booking_date : dayStart, reason: 'customer' });
+      await series.save();
+
+      await notifySeriesCustomer(series, 'skipped', { bookingId: booking?._id, bookingDate: dayStart });
+
+      res.json(series);
+    } catch (err) {
+      console.error('Skip occurrence error:', err);
+      res.status(500).json({ error: 'skip_occurrence_error', message: err.message });
+    }
+  }
+);
+
+// Pause a series, optionally until a date; booked visits inside the pause are cancelled
+app.post(
+  `${apiBase}/booking-series/:id/pause`,
+  requireSeriesAccess(),
+  [body('until').optional().isISO8601().withMessage('Invalid date')],
+  validate,
+  async (req, res) => {
+    try {
+      const series = await BookingSeries.findById(req.params.id);
+      if (!series) return res.status(404).json({ error: 'not_found' });
+      if (series.status !== 'active') {
+        return res.status(409).json({ error: 'series_not_active', message: `This recurring booking is ${series.status}` });
+      }
+
+      const until = req.body.until ? new Date(`${dayKey(req.body.until)}T00:00:00.000Z`) : null;
+      if (until && dayKey(until) <= dayKey(new Date())) {
+        return res.status(400).json({ error: 'invalid_date', message: 'Pause end date must be in the future' });
+      }
+
+      const upcoming = await findUpcomingOccurrences(series, until);
+      for (const booking of upcoming) {
+        await cancelSeriesOccurrence(req, booking, 'Recurring booking paused');
+        series.skipped_occurrences.push({ date: booking.booking_date, reason: 'paused' });
+      }
+
+      series.status = 'paused';
+      series.paused_until = until || undefined;
+      await series.save();
+
+      await notifySeriesCustomer(series, 'series_paused');
+
+      res.json({ ...series.toObject(), cancelled_bookings: upcoming.map((b) => b._id) });
+    } catch (err) {
+      console.error('Pause series error:', err);
+      res.status(500).json({ error: 'pause_series_error', message: err.message });
+    }
+  }
+);
+
+app.post(`${apiBase}/booking-series/:id/resume`, requireSeriesAccess(), async (req, res) => {
+  try {
+    const series = await BookingSeries.findById(req.params.id);
+    if (!series) return res.status(404).json({ error: 'not_found' });
+    if (series.status !== 'paused') {
+      return res.status(409).json({ error: 'series_not_paused', message: `This recurring booking is ${series.status}` });
+    }
+
+    series.status = 'active';
+    series.paused_until = undefined;
+    const bookings = await materializeSeries(series);
+
+    await notifySeriesCustomer(series, 'series_resumed');
+
+    res.json({ ...series.toObject(), bookings });
   } catch (err) {
-    console.error('Add partner error:', err);
-    res.status(500).json({ error: 'add_partner_error', message: err.message });
+    console.error('Resume series error:', err);
+    res.status(500).json({ error: 'resume_series_error', message: err.message });
   }
 });
 
-app.post(`${apiBase}/notify-me`, async (req, res) => {
+// Cancel the whole series and every visit that has not started yet
+app.post(`${apiBase}/booking-series/:id/cancel`, requireSeriesAccess(), async (req, res) => {
   try {
-    const { service_id, customer_name, customer_phone, customer_email, pincode } = req.body;
-    if (!customer_phone) return res.status(400).json({ error: 'phone_required' });
-    const notify = await NotifyMe.create({ 
-      service_id, 
-      customer_name, 
-      customer_phone, 
-      customer_email, 
-      pincode 
-    });
-    res.json({ success: true, id: notify._id });
+    const series = await BookingSeries.findById(req.params.id);
+    if (!series) return res.status(404).json({ error: 'not_found' });
+    if (!['active', 'paused'].includes(series.status)) {
+      return res.status(409).json({ error: 'series_not_active', message: `This recurring booking is ${series.status}` });
+    }
+
+    const reason = req.body.reason || 'Recurring booking cancelled';
+    const upcoming = await findUpcomingOccurrences(series);
+    for (const booking of upcoming) {
+      await cancelSeriesOccurrence(req, booking, reason);
+    }
+
+    series.status = 'cancelled';
+    series.cancelled_at = new Date();
+    series.cancellation_reason = reason;
+    await series.save();
+
+    await notifySeriesCustomer(series, 'series_cancelled');
+
+    res.json({ ...series.toObject(), cancelled_bookings: upcoming.map((b) => b._id) });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'notify_me_error' });
+    console.error('Cancel series error:', err);
+    res.status(500).json({ error: 'cancel_series_error', message: err.message });
   }
 });
 
-app.get(`${apiBase}/notify-me`, requireAdmin, async (_req, res) => {
-  const entries = await NotifyMe.find().sort({ created_at: -1 });
-  res.json(entries);
-});
-
 // ==================== RAZORPAY PAYMENT ENDPOINTS ====================
 
-// Create Razorpay order
+/**
+ * Load what a payment is for: a single booking, or an order and its line-item bookings
+ * @param {Object} ids - { booking_id, order_id }
+ * @returns {Promise<{payable?: Object, bookings?: Array, kind?: string, amountDue?: number, status?: number, error?: string, message?: string}>}
+ */
+const loadPayable = async ({ booking_id, order_id }) => {
+  if (order_id) {
+    const order = await Order.findById(order_id);
+    if (!order) return { status: 404, error: 'order_not_found' };
+    const bookings = await Booking.find({ order_id: order._id, status: { $ne: 'cancelled' } });
+    if (bookings.length === 0) {
+      return { status: 409, error: 'order_cancelled', message: 'This order was cancelled. Please book again.' };
+    }
+    return { payable: order, bookings, kind: 'order', amountDue: order.total_price };
+  }
+
+  const booking = await Booking.findById(booking_id);
+  if (!booking) return { status: 404, error: 'booking_not_found' };
+  if (booking.status === 'cancelled') {
+    return { status: 409, error: 'booking_cancelled', message: 'This booking was cancelled. Please book again.' };
+  }
+  // Order line items are paid with their order, except extra charges approved on site
+  if (booking.order_id && booking.payment_status !== 'partially_paid') {
+    return {
+      status: 400,
+      error: 'order_payment_required',
+      message: 'This booking is part of an order. Pay for the order instead.',
+      order_id: booking.order_id,
+    };
+  }
+  return { payable: booking, bookings: [booking], kind: 'booking', amountDue: getAmountDue(booking) };
+};
+
+/**
+ * Mark a booking or order paid and confirm its bookings (pending ones only; later states keep their progress)
+ * @param {Object} target - Result of loadPayable
+ * @param {string} paymentId - Razorpay payment ID
+ * @param {Object} event - { type, actor, note, amount } recorded on every booking
+ * @returns {Promise<void>}
+ */
+const markPayablePaid = async ({ payable, bookings, kind }, paymentId, { type, actor, note, amount }) => {
+  if (kind === 'order') {
+    payable.payment_status = 'paid';
+    payable.payment_id = paymentId;
+    await payable.save();
+  }
+
+  for (const booking of bookings) {
+    const previousPayment = { status: booking.status, payment_status: booking.payment_status };
+    booking.payment_status = 'paid';
+    booking.payment_id = paymentId;
+    booking.amount_paid = booking.total_price;
+    if (!transitionError(booking.status, 'confirmed', 'system')) booking.status = 'confirmed';
+    await booking.save();
+
+    await recordBookingEvent({
+      bookingId: booking._id,
+      type,
+      actor,
+      oldValue: previousPayment,
+      newValue: {
+        status: booking.status,
+        payment_status: 'paid',
+        razorpay_payment_id: paymentId,
+        ...(amount !== undefined ? { amount } : {}),
+        ...(kind === 'order' ? { order_id: payable._id } : {}),
+      },
+      note,
+    });
+  }
+};
+
+// Create Razorpay order (for a single booking or a whole multi-service order)
 app.post(
   `${apiBase}/payments/create-order`,
   [
     body('amount').isNumeric().withMessage('Amount is required'),
-    body('booking_id').isMongoId().withMessage('Valid booking ID required'),
+    body('booking_id').optional().isMongoId().withMessage('Valid booking ID required'),
+    body('order_id').optional().isMongoId().withMessage('Valid order ID required'),
+    body('booking_id').if(body('order_id').not().exists()).notEmpty().withMessage('Booking ID or order ID required'),
     body('currency').optional().isString(),
   ],
   validate,
+  idempotency,
   async (req, res) => {
     if (!razorpay) {
       return res.status(503).json({ error: 'payment_service_unavailable', message: 'Payment gateway not configured' });
     }
     
     try {
-      const { amount, booking_id, currency = 'INR' } = req.body;
+      const { amount, currency = 'INR' } = req.body;
 
-      // Verify booking exists
-      const booking = await Booking.findById(booking_id);
-      if (!booking) {
-        return res.status(404).json({ error: 'booking_not_found' });
+      // Verify booking or order exists
+      const target = await loadPayable(req.body);
+      if (!target.payable) {
+        const { status: httpStatus, ...payableError } = target;
+        return res.status(httpStatus).json(payableError);
       }
+      const { payable, bookings, kind, amountDue } = target;
 
-      // Verify amount matches booking total
-      if (Math.abs(Number(amount) - booking.total_price) > 0.01) {
+      // Verify amount matches what is still due on the booking/order
+      if (Math.abs(Number(amount) - amountDue) > 0.01) {
         return res.status(400).json({ error: 'amount_mismatch' });
       }
 
@@ -3637,19 +7149,39 @@ app.post(
       const options = {
         amount: Math.round(Number(amount) * 100), // Convert to paise
         currency: currency,
-        receipt: `booking_${booking_id}_${Date.now()}`,
+        receipt: `${kind}_${payable._id}_${Date.now()}`,
         notes: {
-          booking_id: booking_id.toString(),
-          customer_id: booking.customer_id.toString(),
-          service_id: booking.service_id.toString(),
+          [`${kind}_id`]: payable._id.toString(),
+          customer_id: payable.customer_id.toString(),
+          ...(kind === 'booking' ? { service_id: payable.service_id.toString() } : {}),
         },
       };
 
       const order = await razorpay.orders.create(options);
 
-      // Update booking with order ID
-      booking.payment_id = order.id;
-      await booking.save();
+      // Update booking/order with the Razorpay order ID
+      payable.payment_id = order.id;
+      await payable.save();
+
+      // The customer is paying now: give the checkout a fresh hold before the booking can expire
+      const holdUntil = getPaymentHoldUntil();
+      await Booking.updateMany(
+        { _id: { $in: bookings.map((b) => b._id) }, status: 'pending' },
+        { payment_hold_until: holdUntil }
+      );
+
+      for (const booking of bookings) {
+        await recordBookingEvent({
+          bookingId: booking._id,
+          type: 'payment_order_created',
+          actor: eventActor(req, isBookingCustomer(req, booking) ? 'customer' : 'system'),
+          newValue: {
+            razorpay_order_id: order.id,
+            amount: order.amount / 100,
+            ...(kind === 'order' ? { order_id: payable._id } : {}),
+          },
+        });
+      }
 
       res.json({
         order_id: order.id,
@@ -3667,28 +7199,38 @@ app.post(
   }
 );
 
-// Verify payment and update booking
+// Verify payment and update booking (or every booking of an order)
 app.post(
   `${apiBase}/payments/verify`,
   [
     body('razorpay_order_id').notEmpty().withMessage('Order ID required'),
     body('razorpay_payment_id').notEmpty().withMessage('Payment ID required'),
     body('razorpay_signature').notEmpty().withMessage('Signature required'),
-    body('booking_id').isMongoId().withMessage('Valid booking ID required'),
+    body('booking_id').optional().isMongoId().withMessage('Valid booking ID required'),
+    body('order_id').optional().isMongoId().withMessage('Valid order ID required'),
+    body('booking_id').if(body('order_id').not().exists()).notEmpty().withMessage('Booking ID or order ID required'),
   ],
   validate,
+  idempotency,
   async (req, res) => {
     if (!razorpay) {
       return res.status(503).json({ error: 'payment_service_unavailable', message: 'Payment gateway not configured' });
     }
     
     try {
-      const { razorpay_order_id, razorpay_payment_id, razorpay_signature, booking_id } = req.body;
+      const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
 
-      // Find booking
-      const booking = await Booking.findById(booking_id);
-      if (!booking) {
-        return res.status(404).json({ error: 'booking_not_found' });
+      // Find booking or order
+      const target = await loadPayable(req.body);
+      if (!target.payable) {
+        const { status: httpStatus, ...payableError } = target;
+        return res.status(httpStatus).json(payableError);
+      }
+      const { payable, kind, amountDue } = target;
+
+      // The payment must be for the Razorpay order created for this booking/order, not another one
+      if (payable.payment_id !== razorpay_order_id) {
+        return res.status(400).json({ error: 'order_mismatch', message: `Payment is not for this ${kind}'s payment order` });
       }
 
       // Verify signature
@@ -3714,19 +7256,20 @@ app.post(
       }
 
       const paidAmount = payment.amount / 100; // Convert from paise
-      if (Math.abs(paidAmount - booking.total_price) > 0.01) {
-        return res.status(400).json({ error: 'amount_mismatch', message: 'Paid amount does not match booking total' });
+      if (Math.abs(paidAmount - amountDue) > 0.01) {
+        return res.status(400).json({ error: 'amount_mismatch', message: `Paid amount does not match the ${kind} amount due` });
       }
 
-      // Update booking payment status
-      booking.payment_status = 'paid';
-      booking.payment_id = razorpay_payment_id;
-      booking.status = 'confirmed'; // Move booking to confirmed status
-      await booking.save();
+      // Update payment status and move bookings to confirmed
+      await markPayablePaid(target, razorpay_payment_id, {
+        type: 'payment_verified',
+        actor: eventActor(req, idEquals(payable.customer_id, req.user?.id) ? 'customer' : 'system'),
+        amount: paidAmount,
+      });
 
       res.json({
         success: true,
-        booking_id: booking._id,
+        [`${kind}_id`]: payable._id,
         payment_id: razorpay_payment_id,
         amount: paidAmount,
         status: 'paid',
@@ -3742,7 +7285,61 @@ app.post(
 );
 
 // Payment webhook (for handling Razorpay events)
-app.post(`${apiBase}/payments/webhook`, express.raw({ type: 'application/json' }), async (req, res) => {
+/**
+ * Refund a payment captured for a booking or order that was cancelled in the meantime (e.g. it
+ * expired while the customer was paying) and record it on the bookings' timelines
+ * @param {Object} payment - Razorpay payment entity
+ * @param {Object} ids - { booking_id, order_id } from the payment notes
+ * @returns {Promise<void>}
+ */
+const refundLatePayment = async (payment, { booking_id, order_id }) => {
+  const bookings = await Booking.find(order_id ? { order_id } : { _id: booking_id }).select('_id');
+  const bookingIds = bookings.map((booking) => booking._id);
+
+  // Webhooks are retried; a payment is refunded only once
+  const alreadyRefunded = await BookingEvent.exists({
+    booking_id: { $in: bookingIds },
+    type: 'refunded',
+    'new_value.razorpay_payment_id': payment.id,
+    'new_value.razorpay_refund_id': { $exists: true },
+  });
+  if (alreadyRefunded) return;
+
+  const amount = payment.amount / 100; // Convert from paise
+  let record;
+  let refundError = null;
+  try {
+    const razorpayRefund = await razorpay.payments.refund(payment.id, {
+      amount: payment.amount,
+      notes: order_id ? { order_id: String(order_id) } : { booking_id: String(booking_id) },
+    });
+    record = {
+      razorpay_payment_id: payment.id,
+      online_amount: amount,
+      razorpay_refund_id: razorpayRefund.id,
+      razorpay_status: razorpayRefund.status,
+    };
+    console.log(`💸 Refunded payment ${payment.id} captured after cancellation (₹${amount})`);
+  } catch (err) {
+    refundError = err;
+    record = { razorpay_payment_id: payment.id, online_amount: 0, refund_due: amount };
+  }
+
+  for (const bookingId of bookingIds) {
+    await recordBookingEvent({
+      bookingId,
+      type: 'refunded',
+      newValue: { ...record, ...(order_id ? { order_id } : {}) },
+      note: refundError
+        ? 'Payment captured after cancellation; Razorpay refund failed'
+        : 'Payment captured after cancellation; refunded in full',
+    });
+  }
+  // Failing the webhook makes Razorpay send it again, which retries the refund
+  if (refundError) throw refundError;
+};
+
+app.post(`${apiBase}/payments/webhook`, async (req, res) => {
   if (!razorpay) {
     return res.status(503).json({ error: 'payment_service_unavailable' });
   }
@@ -3756,8 +7353,8 @@ app.post(`${apiBase}/payments/webhook`, express.raw({ type: 'application/json' }
       return res.status(400).json({ error: 'webhook_not_configured' });
     }
 
-    // Verify webhook signature
-    const text = req.body.toString();
+    // Verify webhook signature against the exact bytes Razorpay sent
+    const text = (req.rawBody || Buffer.from('')).toString();
     const generated_signature = crypto
       .createHmac('sha256', webhookSecret)
       .update(text)
@@ -3769,30 +7366,43 @@ app.post(`${apiBase}/payments/webhook`, express.raw({ type: 'application/json' }
 
     const event = JSON.parse(text);
     const { event: eventType, payload } = event;
+    const payment = payload?.payment?.entity;
 
     // Handle different payment events
-    if (eventType === 'payment.captured') {
-      const { payment } = payload.payment.entity;
-      const bookingId = payment.notes?.booking_id;
-
-      if (bookingId) {
-        const booking = await Booking.findById(bookingId);
-        if (booking) {
-          booking.payment_status = 'paid';
-          booking.payment_id = payment.id;
-          booking.status = 'confirmed';
-          await booking.save();
+    if (payment && (eventType === 'payment.captured' || eventType === 'payment.failed')) {
+      const { booking_id, order_id } = payment.notes || {};
+      const target = booking_id || order_id ? await loadPayable({ booking_id, order_id }) : {};
+
+      if (!target.payable && target.error && eventType === 'payment.captured') {
+        if (['booking_cancelled', 'order_cancelled'].includes(target.error)) {
+          // e.g. the booking expired before the payment arrived: give the money back
+          await refundLatePayment(payment, { booking_id, order_id });
+        } else {
+          console.warn(`⚠️ Captured payment ${payment.id} could not be applied: ${target.error}`);
         }
       }
-    } else if (eventType === 'payment.failed') {
-      const { payment } = payload.payment.entity;
-      const bookingId = payment.notes?.booking_id;
-
-      if (bookingId) {
-        const booking = await Booking.findById(bookingId);
-        if (booking) {
+      if (target.payable && eventType === 'payment.captured') {
+        await markPayablePaid(target, payment.id, { type: 'payment_webhook', note: eventType });
+      } else if (target.payable) {
+        // A failed retry (e.g. for approved extra charges) must not undo what was already paid
+        const isUnpaid = (doc) => ['unpaid', 'pending'].includes(doc.payment_status);
+        if (target.kind === 'order' && isUnpaid(target.payable)) {
+          target.payable.payment_status = 'pending';
+          await target.payable.save();
+        }
+        for (const booking of target.bookings) {
+          if (!isUnpaid(booking)) continue;
+          const previousPaymentStatus = booking.payment_status;
           booking.payment_status = 'pending';
           await booking.save();
+
+          await recordBookingEvent({
+            bookingId: booking._id,
+            type: 'payment_webhook',
+            oldValue: { payment_status: previousPaymentStatus },
+            newValue: { payment_status: 'pending', razorpay_payment_id: payment.id },
+            note: eventType,
+          });
         }
       }
     }
@@ -3816,30 +7426,49 @@ app.post(`${apiBase}/notifications`, async (req, res) => {
 });
 
 // Get notifications (admin can see all, customers can see their own)
-app.get(`${apiBase}/notifications`, async (req, res) => {
+// Fields clients may sort notification lists by
+const NOTIFICATION_SORT_FIELDS = ['created_at', 'status', 'type'];
+
+app.get(`${apiBase}/notifications`, listQueryValidators, validate, async (req, res) => {
   try {
-    const { userId, type, status, user_id } = req.query;
+    const { userId, type, status, user_id, from, to, q } = req.query;
     const filter = {};
     
     // If userId/user_id provided, filter by it (for customers)
     if (userId) filter.user_id = userId;
     if (user_id) filter.user_id = user_id;
     
-    // If no userId provided and not admin, require authentication
-    const adminKey = req.headers['x-admin-key'];
-    const isAdmin = adminKey && adminKey === process.env.ADMIN_KEY;
+    // Staff with notifications access can see everyone's; others only their own
+    const isAdmin = canAccess(req, 'notifications:read');
     
-    if (!isAdmin && !filter.user_id) {
-      return res.status(400).json({ error: 'user_id_required' });
+    if (!isAdmin) {
+      if (!req.user) {
+        return res.status(401).json({ error: req.authError || 'unauthorized', message: 'Please login first' });
+      }
+      if (filter.user_id && filter.user_id !== req.user.id) {
+        return res.status(403).json({ error: 'forbidden', message: 'You can only view your own notifications' });
+      }
+      filter.user_id = req.user.id;
     }
     
-    if (type) filter.type = type;
-    if (status) filter.status = status;
-    
-    const notifications = await Notification.find(filter)
-      .populate('user_id', 'full_name phone email')
-      .sort({ created_at: -1 })
-      .limit(100);
+    if (type) filter.type = listFilter(type);
+    if (status) filter.status = listFilter(status);
+    if (from || to) filter.created_at = dateRangeFilter(from, to);
+    if (q) filter.message = searchRegex(q);
+
+    const sort = parseSort(req.query.sort, NOTIFICATION_SORT_FIELDS, { created_at: -1 });
+    if (!sort) {
+      return res.status(400).json({ error: 'invalid_sort', message: `Sort by one of: ${NOTIFICATION_SORT_FIELDS.join(', ')}` });
+    }
+
+    const populateNotification = (query) => query.populate('user_id', 'full_name phone email');
+
+    const pagination = parsePagination(req.query);
+    if (pagination) {
+      return res.json(await findPage(Notification, filter, { pagination, sort, build: populateNotification }));
+    }
+
+    const notifications = await populateNotification(Notification.find(filter)).sort(sort).limit(100);
     res.json(notifications);
   } catch (err) {
     console.error('Get notifications error:', err);
@@ -3847,6 +7476,46 @@ app.get(`${apiBase}/notifications`, async (req, res) => {
   }
 });
 
+// ==================== AVAILABILITY ====================
+// Open booking windows for a service at a pincode (see services/availability.js)
+
+app.get(
+  `${apiBase}/availability`,
+  [
+    query('serviceId').isMongoId().withMessage('Invalid service ID'),
+    query('pincode').trim().matches(/^\d{6}$/).withMessage('Pincode must be 6 digits'),
+    query('days').optional().isInt({ min: 1, max: MAX_AVAILABILITY_DAYS }).withMessage(`Days must be 1-${MAX_AVAILABILITY_DAYS}`),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const { serviceId, pincode } = req.query;
+      const days = req.query.days ? parseInt(req.query.days, 10) : DEFAULT_AVAILABILITY_DAYS;
+
+      const service = await Service.findOne({ _id: serviceId, is_active: true }).select('name category_id duration_minutes');
+      if (!service) return res.status(404).json({ error: 'service_not_found', message: 'Service not found' });
+
+      const area = await getServiceArea(pincode);
+      if (!area) {
+        return res.status(400).json({ error: 'service_not_available', message: 'We do not serve this pincode yet' });
+      }
+
+      const workers = await Profile.find(eligibleWorkerFilter(service._id)).select('location shifts');
+      const availability = await getAvailability({ service, area, workers, days });
+
+      res.json({
+        service_id: service._id,
+        pincode,
+        time_slots: TIME_SLOT_WINDOWS,
+        days: availability,
+      });
+    } catch (err) {
+      console.error('Get availability error:', err);
+      res.status(500).json({ error: 'get_availability_error', message: err.message });
+    }
+  }
+);
+
 // Slot Management Endpoints
 app.get(`${apiBase}/slots`, async (req, res) => {
   try {
@@ -3870,7 +7539,7 @@ app.get(`${apiBase}/slots`, async (req, res) => {
   }
 });
 
-app.post(`${apiBase}/slots`, requireAdmin, async (req, res) => {
+app.post(`${apiBase}/slots`, requireAdmin('slots:manage'), async (req, res) => {
   try {
     const { service_id, date, time_slot, total_capacity } = req.body;
     if (!service_id || !date || !time_slot) {
@@ -3884,19 +7553,233 @@ app.post(`${apiBase}/slots`, requireAdmin, async (req, res) => {
   }
 });
 
-app.patch(`${apiBase}/slots/:id`, requireAdmin, async (req, res) => {
+app.patch(`${apiBase}/slots/:id`, requireAdmin('slots:manage'), async (req, res) => {
   try {
     const slot = await Slot.findByIdAndUpdate(req.params.id, req.body, { new: true });
     if (!slot) return res.status(404).json({ error: 'not_found' });
-    res.json(slot);
+    // Seats added by a capacity increase go to the waitlist first
+    let offered = 0;
+    while (await offerNextInLine(slot._id)) offered += 1;
+    res.json(offered ? await Slot.findById(slot._id) : slot);
   } catch (err) {
     console.error('Update slot error:', err);
     res.status(500).json({ error: 'update_slot_error' });
   }
 });
 
+// ==================== SLOT TEMPLATES AND HOLIDAYS ====================
+// Weekly templates generate slots ahead of time; blackout dates get none (services/slotTemplates.js).
+
+const TIME_WINDOW_PATTERN = /^\d{2}:\d{2}-\d{2}:\d{2}$/;
+
+// Template fields; `optional` for partial updates
+const slotTemplateValidators = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+    body('service_id').optional({ values: 'null' }).isMongoId().withMessage('Invalid service ID'),
+    body('category_id').optional({ values: 'null' }).isMongoId().withMessage('Invalid category ID'),
+    field('days_of_week').isArray({ min: 1, max: 7 }).withMessage('Pick at least one day of the week'),
+    body('days_of_week.*').isInt({ min: 0, max: 6 }).withMessage('Days of the week are 0 (Sunday) to 6 (Saturday)'),
+    field('windows').isArray({ min: 1 }).withMessage('Add at least one time window'),
+    body('windows.*.time_slot')
+      .custom((value) => TIME_WINDOW_PATTERN.test(resolveTimeSlot(String(value))))
+      .withMessage('Time windows look like "09:00-12:00" (or morning, afternoon, evening)'),
+    body('windows.*.capacity').isInt({ min: 1 }).withMessage('Capacity must be at least 1'),
+    body('effective_from').optional({ values: 'null' }).isISO8601().withMessage('Invalid effective_from date'),
+    body('effective_until').optional({ values: 'null' }).isISO8601().withMessage('Invalid effective_until date'),
+    body('is_active').optional().isBoolean().withMessage('is_active must be true or false'),
+  ];
+};
+
+const SLOT_TEMPLATE_FIELDS = ['name', 'service_id', 'category_id', 'days_of_week', 'windows', 'effective_from', 'effective_until', 'is_active'];
+
+// Template must target exactly one existing service or category
+const checkTemplateTarget = async (template) => {
+  if (!template.service_id === !template.category_id) {
+    return { error: 'invalid_target', message: 'Set either service_id or category_id' };
+  }
+  const exists = template.service_id
+    ? await Service.exists({ _id: template.service_id })
+    : await Category.exists({ _id: template.category_id });
+  return exists ? null : { error: 'target_not_found', message: 'Service or category not found' };
+};
+
+app.get(`${apiBase}/admin/slot-templates`, requireAdmin('slots:manage'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.serviceId) filter.service_id = req.query.serviceId;
+    if (req.query.categoryId) filter.category_id = req.query.categoryId;
+    const templates = await SlotTemplate.find(filter)
+      .populate('service_id', 'name')
+      .populate('category_id', 'name')
+      .sort({ created_at: -1 });
+    res.json(templates);
+  } catch (err) {
+    console.error('Get slot templates error:', err);
+    res.status(500).json({ error: 'get_slot_templates_error', message: err.message });
+  }
+});
+
+app.post(`${apiBase}/admin/slot-templates`, requireAdmin('slots:manage'), slotTemplateValidators(), validate, async (req, res) => {
+  try {
+    const data = {};
+    for (const field of SLOT_TEMPLATE_FIELDS) {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    }
+    const targetError = await checkTemplateTarget(data);
+    if (targetError) return res.status(400).json(targetError);
+
+    const template = await SlotTemplate.create({
+      ...data,
+      windows: data.windows.map(({ time_slot, capacity }) => ({ time_slot: resolveTimeSlot(time_slot), capacity })),
+      updated_by: req.user?.id,
+    });
+
+    // Slots for the coming days are created right away
+    const generated = await generateSlots();
+    console.log(`🗓️ Slot template "${template.name}" created`);
+    res.status(201).json({ ...template.toObject(), generated });
+  } catch (err) {
+    console.error('Create slot template error:', err);
+    res.status(500).json({ error: 'create_slot_template_error', message: err.message });
+  }
+});
+
+app.patch(`${apiBase}/admin/slot-templates/:id`, requireAdmin('slots:manage'), slotTemplateValidators(true), validate, async (req, res) => {
+  try {
+    const template = await SlotTemplate.findById(req.params.id);
+    if (!template) return res.status(404).json({ error: 'not_found' });
+
+    for (const field of SLOT_TEMPLATE_FIELDS) {
+      if (req.body[field] !== undefined) template[field] = req.body[field];
+    }
+    if (req.body.windows) {
+      template.windows = req.body.windows.map(({ time_slot, capacity }) => ({ time_slot: resolveTimeSlot(time_slot), capacity }));
+    }
+    const targetError = await checkTemplateTarget(template);
+    if (targetError) return res.status(400).json(targetError);
+    template.updated_by = req.user?.id;
+    await template.save();
+
+    // Only missing slots are added; slots that already exist keep their capacity
+    const generated = await generateSlots();
+    res.json({ ...template.toObject(), generated });
+  } catch (err) {
+    console.error('Update slot template error:', err);
+    res.status(500).json({ error: 'update_slot_template_error', message: err.message });
+  }
+});
+
+app.delete(`${apiBase}/admin/slot-templates/:id`, requireAdmin('slots:manage'), async (req, res) => {
+  try {
+    const template = await SlotTemplate.findByIdAndDelete(req.params.id);
+    if (!template) return res.status(404).json({ error: 'not_found' });
+
+    // Upcoming slots nobody has booked yet go with it
+    const { deletedCount } = await Slot.deleteMany({
+      template_id: template._id,
+      date: { $gte: startOfDay(new Date()) },
+      booked_count: 0,
+    });
+    res.json({ success: true, slots_removed: deletedCount });
+  } catch (err) {
+    console.error('Delete slot template error:', err);
+    res.status(500).json({ error: 'delete_slot_template_error', message: err.message });
+  }
+});
+
+app.post(
+  `${apiBase}/admin/slot-templates/generate`,
+  requireAdmin('slots:manage'),
+  [body('days').optional().isInt({ min: 1, max: 90 }).withMessage('Days must be 1-90')],
+  validate,
+  async (req, res) => {
+    try {
+      const days = req.body.days ? parseInt(req.body.days, 10) : SLOT_GENERATION_DAYS;
+      res.json({ days, ...(await generateSlots({ days })) });
+    } catch (err) {
+      console.error('Generate slots error:', err);
+      res.status(500).json({ error: 'generate_slots_error', message: err.message });
+    }
+  }
+);
+
+app.get(`${apiBase}/admin/blackout-dates`, requireAdmin('slots:manage'), listQueryValidators, validate, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    // Upcoming holidays unless a range is asked for
+    const dateFilter = from || to ? {} : { $gte: startOfDay(new Date()) };
+    if (from) dateFilter.$gte = startOfDay(from);
+    if (to) dateFilter.$lte = startOfDay(to);
+    const blackouts = await BlackoutDate.find({ date: dateFilter })
+      .populate('service_ids', 'name')
+      .populate('category_ids', 'name')
+      .sort({ date: 1 });
+    res.json(blackouts);
+  } catch (err) {
+    console.error('Get blackout dates error:', err);
+    res.status(500).json({ error: 'get_blackout_dates_error', message: err.message });
+  }
+});
+
+app.post(
+  `${apiBase}/admin/blackout-dates`,
+  requireAdmin('slots:manage'),
+  [
+    body('date').isISO8601().withMessage('Invalid date'),
+    body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be 1-100 characters'),
+    body('service_ids').optional().isArray().withMessage('service_ids must be an array'),
+    body('service_ids.*').isMongoId().withMessage('Invalid service ID'),
+    body('category_ids').optional().isArray().withMessage('category_ids must be an array'),
+    body('category_ids.*').isMongoId().withMessage('Invalid category ID'),
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const serviceIds = req.body.service_ids || [];
+      const categoryIds = req.body.category_ids || [];
+      const blackout = await BlackoutDate.create({
+        date: startOfDay(req.body.date),
+        name: sanitizeInput(req.body.name),
+        service_ids: serviceIds,
+        category_ids: categoryIds,
+        created_by: req.user?.id,
+      });
+
+      // Slots already on sale that day are removed or closed; staff reschedule or cancel their bookings
+      const { removed, closed, withBookings } = await closeBlackoutSlots(blackout);
+
+      console.log(`🗓️ Blackout "${blackout.name}" added for ${dayKey(blackout.date)}`);
+      res.status(201).json({
+        ...blackout.toObject(),
+        slots_removed: removed,
+        slots_closed: closed,
+        slots_with_bookings: withBookings,
+      });
+    } catch (err) {
+      console.error('Create blackout date error:', err);
+      res.status(500).json({ error: 'create_blackout_date_error', message: err.message });
+    }
+  }
+);
+
+app.delete(`${apiBase}/admin/blackout-dates/:id`, requireAdmin('slots:manage'), async (req, res) => {
+  try {
+    const blackout = await BlackoutDate.findByIdAndDelete(req.params.id);
+    if (!blackout) return res.status(404).json({ error: 'not_found' });
+    // The day gets its closed and template slots back
+    await reopenBlackoutSlots(blackout);
+    const generated = await generateSlots();
+    res.json({ success: true, generated });
+  } catch (err) {
+    console.error('Delete blackout date error:', err);
+    res.status(500).json({ error: 'delete_blackout_date_error', message: err.message });
+  }
+});
+
 // Analytics endpoint for admin dashboard
-app.get(`${apiBase}/analytics`, requireAdmin, async (req, res) => {
+app.get(`${apiBase}/analytics`, requireAdmin('analytics:read'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
     const dateFilter = {};
@@ -3915,6 +7798,7 @@ app.get(`${apiBase}/analytics`, requireAdmin, async (req, res) => {
       bookingsByStatus,
       bookingsByService,
       workerPerformance,
+      claimsByWorker,
     ] = await Promise.all([
       Booking.countDocuments(dateFilter),
       Booking.countDocuments({ ...dateFilter, status: 'completed' }),
@@ -3946,7 +7830,42 @@ app.get(`${apiBase}/analytics`, requireAdmin, async (req, res) => {
         { $sort: { completedJobs: -1 } },
         { $limit: 10 },
       ]),
+      // Warranty claims raised against each technician's work
+      Booking.aggregate([
+        { $match: { ...dateFilter, 'warranty_claim.original_employee_id': { $exists: true, $ne: null } } },
+        { $group: { _id: '$warranty_claim.original_employee_id', claims: { $sum: 1 } } },
+      ]),
+    ]);
+
+    // Claim rate = claims / completed jobs (excluding the claim visits themselves)
+    const claimWorkerIds = claimsByWorker.map((row) => row._id);
+    const [completedByClaimWorker, claimWorkers] = await Promise.all([
+      Booking.aggregate([
+        {
+          $match: {
+            ...dateFilter,
+            employee_id: { $in: claimWorkerIds },
+            status: 'completed',
+            'warranty_claim.parent_booking_id': { $exists: false },
+          },
+        },
+        { $group: { _id: '$employee_id', completedJobs: { $sum: 1 } } },
+      ]),
+      Profile.find({ _id: { $in: claimWorkerIds } }).select('full_name'),
     ]);
+    const claimRate = (claims, completedJobs) => (completedJobs > 0 ? ((claims / completedJobs) * 100).toFixed(1) : null);
+    const warrantyClaimsByWorker = claimsByWorker
+      .map(({ _id, claims }) => {
+        const completedJobs = completedByClaimWorker.find((row) => idEquals(row._id, _id))?.completedJobs || 0;
+        return {
+          _id,
+          workerName: claimWorkers.find((worker) => idEquals(worker._id, _id))?.full_name,
+          completedJobs,
+          claims,
+          claimRate: claimRate(claims, completedJobs),
+        };
+      })
+      .sort((a, b) => (parseFloat(b.claimRate) || 0) - (parseFloat(a.claimRate) || 0));
 
     res.json({
       overview: {
@@ -3963,7 +7882,15 @@ app.get(`${apiBase}/analytics`, requireAdmin, async (req, res) => {
         return acc;
       }, {}),
       topServices: bookingsByService,
-      topWorkers: workerPerformance,
+      topWorkers: workerPerformance.map((worker) => {
+        const claimStats = warrantyClaimsByWorker.find((row) => idEquals(row._id, worker._id));
+        return {
+          ...worker,
+          warrantyClaims: claimStats?.claims || 0,
+          claimRate: claimStats ? claimStats.claimRate : claimRate(0, worker.completedJobs),
+        };
+      }),
+      warrantyClaimsByWorker,
     });
   } catch (err) {
     console.error('Analytics error:', err);
@@ -3988,16 +7915,40 @@ app.post(`${apiBase}/errors`, async (req, res) => {
 
 // Wallet Management Endpoints
 // Get wallet transactions
-app.get(`${apiBase}/wallet/transactions`, requireAdmin, async (req, res) => {
+// Fields clients may sort wallet ledgers by
+const WALLET_SORT_FIELDS = ['created_at', 'amount', 'transaction_type'];
+
+// Wallet ledger filter from query parameters (shared by the list and the export)
+const buildWalletTransactionFilter = (query) => {
+  const { user_id, transaction_type, booking_id, order_id, from, to, q } = query;
+  const filter = {};
+  if (user_id) filter.user_id = user_id;
+  if (transaction_type) filter.transaction_type = listFilter(transaction_type);
+  if (booking_id) filter.booking_id = booking_id;
+  if (order_id) filter.order_id = order_id;
+  if (from || to) filter.created_at = dateRangeFilter(from, to);
+  if (q) filter.description = searchRegex(q);
+  return filter;
+};
+
+app.get(`${apiBase}/wallet/transactions`, requireAdmin('wallet:read'), listQueryValidators, validate, async (req, res) => {
   try {
-    const { user_id } = req.query;
-    const filter = {};
-    if (user_id) filter.user_id = user_id;
+    const filter = buildWalletTransactionFilter(req.query);
 
-    const transactions = await WalletTransaction.find(filter)
-      .populate('user_id', 'full_name phone email')
-      .populate('booking_id', 'booking_date service_id')
-      .sort({ created_at: -1 });
+    const sort = parseSort(req.query.sort, WALLET_SORT_FIELDS, { created_at: -1 });
+    if (!sort) {
+      return res.status(400).json({ error: 'invalid_sort', message: `Sort by one of: ${WALLET_SORT_FIELDS.join(', ')}` });
+    }
+
+    const populateTransaction = (query) =>
+      query.populate('user_id', 'full_name phone email').populate('booking_id', 'booking_date service_id');
+
+    const pagination = parsePagination(req.query);
+    if (pagination) {
+      return res.json(await findPage(WalletTransaction, filter, { pagination, sort, build: populateTransaction }));
+    }
+
+    const transactions = await populateTransaction(WalletTransaction.find(filter)).sort(sort);
 
     res.json(transactions);
   } catch (err) {
@@ -4007,7 +7958,7 @@ app.get(`${apiBase}/wallet/transactions`, requireAdmin, async (req, res) => {
 });
 
 // Add wallet transaction (admin only)
-app.post(`${apiBase}/wallet/transactions`, requireAdmin, async (req, res) => {
+app.post(`${apiBase}/wallet/transactions`, requireAdmin('wallet:write'), idempotency, async (req, res) => {
   try {
     const { user_id, amount, transaction_type, description, booking_id } = req.body;
 
@@ -4078,7 +8029,7 @@ app.get(`${apiBase}/serviceability-areas/public`, async (req, res) => {
 });
 
 // Get all serviceability areas (admin only - includes inactive)
-app.get(`${apiBase}/serviceability-areas`, requireAdmin, async (req, res) => {
+app.get(`${apiBase}/serviceability-areas`, requireAdmin('serviceability:manage'), async (req, res) => {
   try {
     const areas = await ServiceabilityArea.find().sort({ city: 1 });
     res.json(areas);
@@ -4089,7 +8040,7 @@ app.get(`${apiBase}/serviceability-areas`, requireAdmin, async (req, res) => {
 });
 
 // Create serviceability area
-app.post(`${apiBase}/serviceability-areas`, requireAdmin, async (req, res) => {
+app.post(`${apiBase}/serviceability-areas`, requireAdmin('serviceability:manage'), async (req, res) => {
   try {
     const { city, pincodes, is_active } = req.body;
 
@@ -4126,7 +8077,7 @@ app.post(`${apiBase}/serviceability-areas`, requireAdmin, async (req, res) => {
 });
 
 // Update serviceability area
-app.patch(`${apiBase}/serviceability-areas/:id`, requireAdmin, async (req, res) => {
+app.patch(`${apiBase}/serviceability-areas/:id`, requireAdmin('serviceability:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const { city, pincodes, is_active } = req.body;
@@ -4173,7 +8124,7 @@ app.patch(`${apiBase}/serviceability-areas/:id`, requireAdmin, async (req, res)
 });
 
 // Delete serviceability area
-app.delete(`${apiBase}/serviceability-areas/:id`, requireAdmin, async (req, res) => {
+app.delete(`${apiBase}/serviceability-areas/:id`, requireAdmin('serviceability:manage'), async (req, res) => {
   try {
     const { id } = req.params;
     const area = await ServiceabilityArea.findByIdAndDelete(id);
@@ -4187,6 +8138,227 @@ app.delete(`${apiBase}/serviceability-areas/:id`, requireAdmin, async (req, res)
   }
 });
 
+// ==================== ADMIN EXPORTS ====================
+// CSV/XLSX downloads for finance. Each export takes the same filters as its list endpoint
+// and streams from a cursor (services/exports.js).
+
+const exportQueryValidators = [
+  ...listQueryValidators,
+  query('format').optional().isIn(EXPORT_FORMATS).withMessage(`format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+];
+
+const exportFilename = (name) => `${name}-${new Date().toISOString().slice(0, 10)}`;
+
+const formatDay = (date) => (date ? new Date(date).toISOString().slice(0, 10) : '');
+
+// Once a download has started the status code is sent, so failures can only abort the stream
+const handleExportError = (res, label, err) => {
+  console.error(`${label} export error:`, err);
+  if (res.headersSent) {
+    res.destroy(err);
+  } else {
+    res.status(500).json({ error: 'export_error' });
+  }
+};
+
+const BOOKING_EXPORT_COLUMNS = [
+  { header: 'Booking ID', key: 'booking_id', width: 26 },
+  { header: 'Created At', key: 'created_at', width: 22 },
+  { header: 'Booking Date', key: 'booking_date', width: 12 },
+  { header: 'Booking Time', key: 'booking_time' },
+  { header: 'Status', key: 'status' },
+  { header: 'Service', key: 'service', width: 24 },
+  { header: 'Customer', key: 'customer_name', width: 22 },
+  { header: 'Customer Phone', key: 'customer_phone' },
+  { header: 'Pincode', key: 'pincode', width: 10 },
+  { header: 'Technician', key: 'employee', width: 22 },
+  { header: 'Base Price', key: 'base_price', width: 12 },
+  { header: 'Addon Price', key: 'addon_price', width: 12 },
+  { header: 'Discount', key: 'discount_amount', width: 12 },
+  { header: 'Platform Fee', key: 'platform_fee', width: 12 },
+  { header: 'Extra Charges', key: 'extra_charges', width: 12 },
+  { header: 'Wallet Amount', key: 'wallet_amount', width: 12 },
+  { header: 'Total Price', key: 'total_price', width: 12 },
+  { header: 'Amount Paid', key: 'amount_paid', width: 12 },
+  { header: 'Payment Method', key: 'payment_method' },
+  { header: 'Payment Status', key: 'payment_status' },
+  { header: 'Payment ID', key: 'payment_id', width: 24 },
+  { header: 'Order ID', key: 'order_id', width: 26 },
+  { header: 'Refunded', key: 'refund_amount', width: 12 },
+];
+
+const PAYMENT_EXPORT_COLUMNS = [
+  { header: 'Razorpay Payment ID', key: 'payment_id', width: 24 },
+  { header: 'Booking ID', key: 'booking_id', width: 26 },
+  { header: 'Order ID', key: 'order_id', width: 26 },
+  { header: 'Booking Date', key: 'booking_date', width: 12 },
+  { header: 'Service', key: 'service', width: 24 },
+  { header: 'Customer', key: 'customer_name', width: 22 },
+  { header: 'Customer Phone', key: 'customer_phone' },
+  { header: 'Booking Status', key: 'status' },
+  { header: 'Payment Status', key: 'payment_status' },
+  { header: 'Total Price', key: 'total_price', width: 12 },
+  { header: 'Amount Paid', key: 'amount_paid', width: 12 },
+  { header: 'Wallet Amount', key: 'wallet_amount', width: 12 },
+  { header: 'Refunded Online', key: 'online_refund', width: 12 },
+  { header: 'Razorpay Refund ID', key: 'razorpay_refund_id', width: 24 },
+  { header: 'Refund Status', key: 'razorpay_status' },
+  { header: 'Last Updated', key: 'updated_at', width: 22 },
+];
+
+const WALLET_EXPORT_COLUMNS = [
+  { header: 'Transaction ID', key: 'transaction_id', width: 26 },
+  { header: 'Created At', key: 'created_at', width: 22 },
+  { header: 'Customer', key: 'customer_name', width: 22 },
+  { header: 'Customer Phone', key: 'customer_phone' },
+  { header: 'Type', key: 'transaction_type' },
+  { header: 'Amount', key: 'amount', width: 12 },
+  { header: 'Description', key: 'description', width: 40 },
+  { header: 'Booking ID', key: 'booking_id', width: 26 },
+  { header: 'Order ID', key: 'order_id', width: 26 },
+];
+
+const bookingExportRow = (booking) => ({
+  booking_id: booking._id.toString(),
+  created_at: booking.created_at,
+  booking_date: formatDay(booking.booking_date),
+  booking_time: booking.booking_time,
+  status: booking.status,
+  service: booking.service_id?.name,
+  customer_name: booking.customer_name || booking.customer_id?.full_name,
+  customer_phone: booking.customer_phone || booking.customer_id?.phone,
+  pincode: booking.customer_pincode || booking.customer_address?.pincode,
+  employee: booking.employee_id?.full_name,
+  base_price: booking.base_price,
+  addon_price: booking.addon_price,
+  discount_amount: booking.discount_amount,
+  platform_fee: booking.platform_fee,
+  extra_charges: booking.extra_charges,
+  wallet_amount: booking.wallet_amount,
+  total_price: booking.total_price,
+  amount_paid: booking.amount_paid,
+  payment_method: booking.payment_method,
+  payment_status: booking.payment_status,
+  payment_id: booking.payment_id,
+  order_id: booking.order_id?.toString(),
+  refund_amount: booking.refund?.amount,
+});
+
+// Bookings with the full pricing breakdown
+app.get(`${apiBase}/admin/exports/bookings`, requireAdmin('exports:read'), exportQueryValidators, validate, async (req, res) => {
+  try {
+    const { filter } = await buildBookingListFilter(req);
+    const sort = parseSort(req.query.sort, BOOKING_SORT_FIELDS, { booking_date: -1, created_at: -1 });
+    if (!sort) {
+      return res.status(400).json({ error: 'invalid_sort', message: `Sort by one of: ${BOOKING_SORT_FIELDS.join(', ')}` });
+    }
+
+    const cursor = Booking.find(filter)
+      .populate('customer_id', 'full_name phone')
+      .populate('service_id', 'name')
+      .populate('employee_id', 'full_name')
+      .sort(sort)
+      .lean()
+      .cursor();
+    const count = await streamExport(res, {
+      format: req.query.format || 'csv',
+      filename: exportFilename('bookings'),
+      columns: BOOKING_EXPORT_COLUMNS,
+      cursor,
+      toRow: bookingExportRow,
+    });
+    console.log(`📤 Exported ${count} bookings`);
+  } catch (err) {
+    handleExportError(res, 'Bookings', err);
+  }
+});
+
+// Razorpay payments (one row per booking paid online; bookings of one order share a payment ID)
+app.get(`${apiBase}/admin/exports/payments`, requireAdmin('exports:read'), exportQueryValidators, validate, async (req, res) => {
+  try {
+    const { filter } = await buildBookingListFilter(req);
+    // payment_id holds the Razorpay order ID until the payment is captured
+    filter.payment_id = /^pay_/;
+    const sort = parseSort(req.query.sort, BOOKING_SORT_FIELDS, { updated_at: -1 });
+    if (!sort) {
+      return res.status(400).json({ error: 'invalid_sort', message: `Sort by one of: ${BOOKING_SORT_FIELDS.join(', ')}` });
+    }
+
+    const cursor = Booking.find(filter)
+      .populate('customer_id', 'full_name phone')
+      .populate('service_id', 'name')
+      .sort(sort)
+      .lean()
+      .cursor();
+    const count = await streamExport(res, {
+      format: req.query.format || 'csv',
+      filename: exportFilename('payments'),
+      columns: PAYMENT_EXPORT_COLUMNS,
+      cursor,
+      toRow: (booking) => ({
+        payment_id: booking.payment_id,
+        booking_id: booking._id.toString(),
+        order_id: booking.order_id?.toString(),
+        booking_date: formatDay(booking.booking_date),
+        service: booking.service_id?.name,
+        customer_name: booking.customer_name || booking.customer_id?.full_name,
+        customer_phone: booking.customer_phone || booking.customer_id?.phone,
+        status: booking.status,
+        payment_status: booking.payment_status,
+        total_price: booking.total_price,
+        amount_paid: booking.amount_paid,
+        wallet_amount: booking.wallet_amount,
+        online_refund: booking.refund?.online_amount,
+        razorpay_refund_id: booking.refund?.razorpay_refund_id,
+        razorpay_status: booking.refund?.razorpay_status,
+        updated_at: booking.updated_at,
+      }),
+    });
+    console.log(`📤 Exported ${count} payments`);
+  } catch (err) {
+    handleExportError(res, 'Payments', err);
+  }
+});
+
+// Wallet ledger
+app.get(
+  `${apiBase}/admin/exports/wallet-transactions`,
+  requireAdmin('exports:read'),
+  exportQueryValidators,
+  validate,
+  async (req, res) => {
+    try {
+      const filter = buildWalletTransactionFilter(req.query);
+      const sort = parseSort(req.query.sort, WALLET_SORT_FIELDS, { created_at: -1 });
+      if (!sort) {
+        return res.status(400).json({ error: 'invalid_sort', message: `Sort by one of: ${WALLET_SORT_FIELDS.join(', ')}` });
+      }
+
+      const cursor = WalletTransaction.find(filter).populate('user_id', 'full_name phone').sort(sort).lean().cursor();
+      const count = await streamExport(res, {
+        format: req.query.format || 'csv',
+        filename: exportFilename('wallet-transactions'),
+        columns: WALLET_EXPORT_COLUMNS,
+        cursor,
+        toRow: (transaction) => ({
+          transaction_id: transaction._id.toString(),
+          created_at: transaction.created_at,
+          customer_name: transaction.user_id?.full_name,
+          customer_phone: transaction.user_id?.phone,
+          transaction_type: transaction.transaction_type,
+          amount: transaction.amount,
+          description: transaction.description,
+          booking_id: transaction.booking_id?.toString(),
+          order_id: transaction.order_id?.toString(),
+        }),
+      });
+      console.log(`📤 Exported ${count} wallet transactions`);
+    } catch (err) {
+      handleExportError(res, 'Wallet', err);
+    }
+  }
+);
+
 // Global error handler - MUST be after all routes but before 404 handler
 app.use((err, req, res, next) => {
   console.error('Unhandled error:', err);
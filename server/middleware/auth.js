@@ -0,0 +1,95 @@
+/**
+ * Authentication Middleware
+ * Resolves the Bearer access token (if any) into req.user = { id, role }
+ * and checks staff permissions for admin routes
+ */
+
+import { resolveAccessToken } from '../services/session.js';
+
+// Staff roles that can use the admin panel
+export const STAFF_ROLES = ['admin', 'dispatcher', 'support', 'finance'];
+
+// Permissions granted to each staff role ('*' grants everything)
+export const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  dispatcher: [
+    'profiles:read',
+    'profiles:write',
+    'technicians:manage',
+    'addons:read',
+    'bookings:read',
+    'bookings:manage',
+    'bookings:assign',
+    'slots:manage',
+    'analytics:read',
+  ],
+  support: [
+    'profiles:read',
+    'profiles:write',
+    'addons:read',
+    'bookings:read',
+    'bookings:manage',
+    'notify_me:read',
+    'notifications:read',
+    'wallet:read',
+  ],
+  finance: [
+    'profiles:read',
+    'bookings:read',
+    'promos:manage',
+    'analytics:read',
+    'wallet:read',
+    'wallet:write',
+    'exports:read',
+  ],
+};
+
+/**
+ * Check whether a role has a permission
+ * @param {string} role - Profile role
+ * @param {string} permission - Permission name, e.g. 'wallet:write'
+ * @returns {boolean}
+ */
+export const hasPermission = (role, permission) => {
+  const permissions = ROLE_PERMISSIONS[role] || [];
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+/**
+ * Authenticate
+ * Runs for every route. Requests without a token continue anonymously;
+ * an invalid token is remembered on req.authError so protected routes can report it.
+ */
+export const authenticate = async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return next();
+  }
+
+  try {
+    const token = authHeader.slice('Bearer '.length).trim();
+    const { user, error } = await resolveAccessToken(token);
+    if (user) {
+      req.user = user;
+    } else {
+      req.authError = error;
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Require Auth
+ * Rejects requests that did not present a valid access token
+ */
+export const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      error: req.authError || 'unauthorized',
+      message: req.authError === 'token_expired' ? 'Session expired' : 'Please login first',
+    });
+  }
+  next();
+};
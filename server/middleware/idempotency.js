@@ -0,0 +1,112 @@
+/**
+ * Idempotency Middleware
+ * Replays the stored response when a client retries a POST with the same Idempotency-Key header,
+ * so flaky-network retries do not create duplicate bookings, payments or wallet credits.
+ *
+ * Keys are scoped per route and caller and kept for 24 hours.
+ * - Same key + same body: the original response is returned (Idempotent-Replayed: true)
+ * - Same key + different body: 422 idempotency_key_reused
+ * - Same key while the first request is still running: 409 idempotency_request_in_progress
+ * Keys of requests that failed with a server error or got no response (client disconnected)
+ * are released, so the retry runs again.
+ */
+
+import crypto from 'crypto';
+
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// IdempotencyKey model (passed from index.js, same as the notification service)
+let IdempotencyKeyModel = null;
+
+export const setIdempotencyModel = (model) => {
+  IdempotencyKeyModel = model;
+};
+
+const hashBody = (body) => crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+
+export const idempotency = async (req, res, next) => {
+  const key = req.headers['idempotency-key'];
+  if (!key) return next();
+  if (typeof key !== 'string' || key.length > 255) {
+    return res.status(400).json({ error: 'invalid_idempotency_key', message: 'Idempotency-Key must be at most 255 characters' });
+  }
+
+  const scope = `${req.method} ${req.baseUrl}${req.route?.path || req.path}`;
+  const caller = req.user ? req.user.id || req.user.via : `ip:${req.ip}`;
+  const requestHash = hashBody(req.body);
+
+  try {
+    // The TTL monitor removes expired keys late; an expired key counts as unused
+    await IdempotencyKeyModel.deleteOne({ key, scope, caller, expires_at: { $lte: new Date() } });
+    try {
+      await IdempotencyKeyModel.create({
+        key,
+        scope,
+        caller,
+        request_hash: requestHash,
+        status: 'in_progress',
+        expires_at: new Date(Date.now() + KEY_TTL_MS),
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+
+      // Key already used by this caller on this route
+      const existing = await IdempotencyKeyModel.findOne({ key, scope, caller });
+      if (!existing) {
+        return res.status(409).json({ error: 'idempotency_request_in_progress', message: 'Please retry the request' });
+      }
+      if (existing.request_hash !== requestHash) {
+        return res.status(422).json({
+          error: 'idempotency_key_reused',
+          message: 'This Idempotency-Key was already used with a different request body',
+        });
+      }
+      if (existing.status !== 'completed') {
+        return res.status(409).json({
+          error: 'idempotency_request_in_progress',
+          message: 'A request with this Idempotency-Key is still being processed',
+        });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response_status).json(existing.response_body);
+    }
+  } catch (err) {
+    return next(err);
+  }
+
+  // Capture the response so retries can be answered from it
+  let responseBody;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return originalJson(body);
+  };
+
+  res.on('finish', async () => {
+    try {
+      if (res.statusCode >= 500) {
+        // Server errors are not final: let the client retry with the same key
+        await IdempotencyKeyModel.deleteOne({ key, scope, caller });
+        return;
+      }
+      await IdempotencyKeyModel.updateOne(
+        { key, scope, caller },
+        { status: 'completed', response_status: res.statusCode, response_body: responseBody }
+      );
+    } catch (err) {
+      console.error('Failed to store idempotent response:', err);
+    }
+  });
+
+  res.on('close', async () => {
+    if (res.writableFinished) return;
+    // No response was sent (client disconnected): release the key so the client can retry
+    try {
+      await IdempotencyKeyModel.deleteOne({ key, scope, caller, status: 'in_progress' });
+    } catch (err) {
+      console.error('Failed to release idempotency key:', err);
+    }
+  });
+
+  next();
+};
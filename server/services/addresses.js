@@ -0,0 +1,60 @@
+/**
+ * Saved Addresses
+ *
+ * Customers keep an address book on their profile (Profile.addresses): a label, structured
+ * fields, the pincode and the map pin (lat/lng). Serviceability is checked against the pincode
+ * when an address is saved.
+ *
+ * A booking (or order, recurring booking, waitlist entry) made with `address_id` stores a
+ * reference to the saved address and a snapshot of it in `customer_address`, so editing or
+ * deleting the address later never changes where a past booking was done.
+ */
+
+// Structured fields a saved address can have
+export const ADDRESS_FIELDS = ['label', 'line1', 'line2', 'landmark', 'city', 'state', 'pincode'];
+
+/**
+ * One-line address for messages and invoices
+ * @param {Object} address - Saved address
+ * @returns {string}
+ */
+export const formatAddress = (address) =>
+  [address.line1, address.line2, address.landmark, address.city, address.state, address.pincode]
+    .filter(Boolean)
+    .join(', ');
+
+/**
+ * Copy of a saved address to store on a booking
+ * @param {Object} address - Saved address subdocument
+ * @returns {Object} Plain customer_address object (keeps `pincode` like older bookings)
+ */
+export const addressSnapshot = (address) => {
+  const snapshot = { address_id: address._id, full_address: formatAddress(address) };
+  for (const field of ADDRESS_FIELDS) {
+    if (address[field]) snapshot[field] = address[field];
+  }
+  if (address.location?.lat !== undefined && address.location?.lng !== undefined) {
+    snapshot.location = { lat: address.location.lat, lng: address.location.lng };
+  }
+  return snapshot;
+};
+
+/**
+ * Resolve the address of a new booking: a saved address of the customer, or the address sent inline
+ * @param {Object} profile - Customer profile
+ * @param {Object} body - Request body with address_id or customer_address / customer_pincode
+ * @returns {{address_id?: Object, customer_address?: Object, customer_pincode?: string, status?: number, error?: string, message?: string}}
+ */
+export const resolveBookingAddress = (profile, body) => {
+  if (!body.address_id) {
+    return {
+      customer_address: body.customer_address,
+      customer_pincode: body.customer_pincode || body.customer_address?.pincode,
+    };
+  }
+  const saved = profile.addresses?.id(body.address_id);
+  if (!saved) {
+    return { status: 404, error: 'address_not_found', message: 'Saved address not found' };
+  }
+  return { address_id: saved._id, customer_address: addressSnapshot(saved), customer_pincode: saved.pincode };
+};
@@ -0,0 +1,129 @@
+/**
+ * Availability Service
+ *
+ * Bookable windows of a service at a pincode for the coming days, so the app can show open
+ * times instead of asking for slots date by date. A window's remaining capacity is the lower of:
+ * - the Slot: seats left (services without a slot for that time have no seat limit)
+ * - technicians: eligible technicians based in the area who are working then (shifts, leave and
+ *   blocks) and whose schedule has room for the service's duration in that window, travel time
+ *   included (see workerSchedule.js), minus bookings of the service in the area still waiting
+ *   for a technician
+ * Services on slot templates offer only their generated windows; other services offer the
+ * standard morning, afternoon and evening windows (TIME_SLOT_WINDOWS) and any slot added by hand.
+ */
+
+import { TIME_SLOT_WINDOWS, resolveTimeSlot } from './bookingCheckout.js';
+import { getSlotStart } from './cancellationPolicy.js';
+import { dayKey } from './recurringBookings.js';
+import { isSlotManaged, startOfDay } from './slotTemplates.js';
+import { getWindowInterval, loadScheduleExceptions, loadWorkerJobs, planJobFor } from './workerSchedule.js';
+
+// Models (passed from index.js, same as the notification service)
+let SlotModel = null;
+let BookingModel = null;
+
+export const setAvailabilityModels = ({ Slot, Booking }) => {
+  SlotModel = Slot;
+  BookingModel = Booking;
+};
+
+export const DEFAULT_AVAILABILITY_DAYS = 7;
+export const MAX_AVAILABILITY_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const windowKey = (date, time) => `${dayKey(date)}|${resolveTimeSlot(time)}`;
+
+// Name of a standard window ("morning" for "09:00-12:00")
+const windowName = (range) => Object.keys(TIME_SLOT_WINDOWS).find((name) => TIME_SLOT_WINDOWS[name] === range);
+
+/**
+ * Whether a technician is based in a serviceable area. Technicians without a base location
+ * work everywhere, the same way technicians without skills do every service.
+ * @param {Object} worker - Profile
+ * @param {{city: string, pincodes: string[]}} area - Serviceable area
+ * @returns {boolean}
+ */
+export const isWorkerInArea = (worker, area) => {
+  const location = (worker.location || '').trim();
+  if (!location) return true;
+  return area.pincodes.includes(location) || location.toLowerCase() === (area.city || '').toLowerCase();
+};
+
+/**
+ * Bookable windows of a service at a pincode
+ * @param {Object} options
+ * @param {Object} options.service - Service document (with duration_minutes)
+ * @param {{city: string, pincodes: string[]}} options.area - Serviceable area of the pincode
+ * @param {Array} options.workers - Technicians eligible for the service (with location and shifts)
+ * @param {number} options.days - Days ahead, starting today
+ * @param {Date} options.now - Current time
+ * @returns {Promise<Array<{date: string, windows: Array}>>}
+ */
+export const getAvailability = async ({ service, area, workers, days = DEFAULT_AVAILABILITY_DAYS, now = new Date() }) => {
+  const start = startOfDay(now);
+  const end = new Date(start.getTime() + days * DAY_MS);
+  const dateRange = { $gte: start, $lt: end };
+
+  const managed = await isSlotManaged(service._id);
+  const slots = await SlotModel.find({ service_id: service._id, date: dateRange });
+  const slotsByWindow = new Map(slots.map((slot) => [windowKey(slot.date, slot.time_slot), slot]));
+
+  // Technicians in the area with their leave, blocks and booked jobs
+  const areaWorkers = workers.filter((worker) => isWorkerInArea(worker, area));
+  const areaWorkerIds = areaWorkers.map((worker) => worker._id);
+  const schedule = {
+    exceptions: await loadScheduleExceptions(areaWorkerIds, start, end),
+    jobsByWorker: await loadWorkerJobs(areaWorkerIds, start, end),
+  };
+
+  // Bookings that will still take a technician from the same pool
+  const waitingJobs = await BookingModel.find({
+    service_id: service._id,
+    employee_id: null,
+    status: { $in: ['pending', 'confirmed'] },
+    is_deleted: { $ne: true },
+    customer_pincode: { $in: area.pincodes },
+    booking_date: dateRange,
+  }).select('booking_date booking_time');
+  const waitingByWindow = new Map();
+  for (const job of waitingJobs) {
+    const key = windowKey(job.booking_date, job.booking_time);
+    waitingByWindow.set(key, (waitingByWindow.get(key) || 0) + 1);
+  }
+
+  const availability = [];
+  for (let day = 0; day < days; day += 1) {
+    const date = new Date(start.getTime() + day * DAY_MS);
+    const ranges = new Set(managed ? [] : Object.values(TIME_SLOT_WINDOWS));
+    for (const slot of slots) {
+      if (dayKey(slot.date) === dayKey(date)) ranges.add(resolveTimeSlot(slot.time_slot));
+    }
+
+    const windows = [];
+    for (const range of [...ranges].sort()) {
+      // Windows that have already started cannot be booked
+      if (getSlotStart({ booking_date: date, booking_time: range }) <= now) continue;
+
+      const key = windowKey(date, range);
+      const slot = slotsByWindow.get(key);
+      const seatsLeft = slot ? (slot.is_available ? Math.max(slot.total_capacity - slot.booked_count, 0) : 0) : null;
+      const interval = getWindowInterval(date, range);
+      const freeWorkers = areaWorkers.filter((worker) => planJobFor(worker, schedule, interval, service.duration_minutes));
+      const techniciansFree = Math.max(freeWorkers.length - (waitingByWindow.get(key) || 0), 0);
+      const remaining = seatsLeft === null ? techniciansFree : Math.min(seatsLeft, techniciansFree);
+      if (remaining <= 0) continue;
+
+      windows.push({
+        time_slot: range,
+        name: windowName(range) || null,
+        remaining,
+        seats_left: seatsLeft,
+        technicians_free: techniciansFree,
+        slot_id: slot?._id || null,
+      });
+    }
+    availability.push({ date: dayKey(date), windows });
+  }
+  return availability;
+};
@@ -0,0 +1,282 @@
+/**
+ * Booking Checkout Service
+ *
+ * Creates a booking (or a multi-service order of bookings) together with everything it
+ * reserves, all or nothing:
+ * - Slot capacity (Slot.booked_count)
+ * - Wallet debit (Profile.wallet_balance + WalletTransaction)
+ * - Promo code usage (PromoCode.usage_count)
+ *
+ * Every reservation is a conditional $inc, so two concurrent requests can never both
+ * take the last seat of a slot or spend the same wallet balance. The writes run in a
+ * MongoDB transaction, so a failure in any step rolls back the ones before it.
+ */
+
+import mongoose from 'mongoose';
+
+// Models (passed from index.js, same as the notification service)
+let BookingModel = null;
+let SlotModel = null;
+let ProfileModel = null;
+let PromoCodeModel = null;
+let WalletTransactionModel = null;
+let OrderModel = null;
+
+export const setCheckoutModels = ({ Booking, Slot, Profile, PromoCode, WalletTransaction, Order }) => {
+  BookingModel = Booking;
+  OrderModel = Order;
+  SlotModel = Slot;
+  ProfileModel = Profile;
+  PromoCodeModel = PromoCode;
+  WalletTransactionModel = WalletTransaction;
+};
+
+// Thrown inside a transaction to abort it with an API error
+class CheckoutError extends Error {
+  constructor(status, error, message) {
+    super(message);
+    this.status = status;
+    this.error = error;
+  }
+}
+
+// Standalone MongoDB servers (local development) do not support transactions
+const isTransactionUnsupported = (err) =>
+  err?.code === 20 || /Transaction numbers are only allowed|replica set/i.test(err?.message || '');
+
+/**
+ * Run work inside a MongoDB transaction.
+ * Falls back to running without a session on deployments without transactions
+ * (the conditional updates still prevent overbooking there, but nothing is rolled back).
+ * @param {Function} work - async (session) => result
+ * @returns {Promise<*>} The work's result
+ */
+export const runTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (err) {
+    if (isTransactionUnsupported(err)) {
+      console.warn('⚠️ MongoDB transactions not supported by this deployment; running without a transaction');
+      return work(null);
+    }
+    throw err;
+  } finally {
+    await session.endSession();
+  }
+};
+
+// Named booking windows and their time ranges (served to the app by GET /availability)
+export const TIME_SLOT_WINDOWS = {
+  morning: '09:00-12:00',
+  afternoon: '12:00-15:00',
+  evening: '15:00-18:00',
+};
+
+/**
+ * Time range of a booking time
+ * @param {string} time - "morning", "afternoon", "evening" or a range like "09:00-12:00"
+ * @returns {string} Range like "09:00-12:00"
+ */
+export const resolveTimeSlot = (time) => TIME_SLOT_WINDOWS[time] || time;
+
+/**
+ * Every booking_time value that means the same slot ("morning" and "09:00-12:00")
+ * @param {string} time - Booking time
+ * @returns {string[]}
+ */
+export const getTimeSlotAliases = (time) => {
+  const range = resolveTimeSlot(time);
+  return [range, ...Object.keys(TIME_SLOT_WINDOWS).filter((name) => TIME_SLOT_WINDOWS[name] === range)];
+};
+
+/**
+ * Find the capacity slot for a service, date and time
+ * @param {string} serviceId - Service ID
+ * @param {Date|string} date - Booking date
+ * @param {string} time - "morning", "afternoon", "evening" or a range like "09:00-12:00"
+ * @returns {Promise<Object|null>} Slot, or null if the service has no slot for that time
+ */
+export const findSlot = async (serviceId, date, time) => {
+  const bookingDate = new Date(date);
+  const actualTimeSlot = resolveTimeSlot(time);
+
+  return SlotModel.findOne({
+    service_id: serviceId,
+    date: { $gte: new Date(bookingDate.setHours(0, 0, 0, 0)), $lt: new Date(bookingDate.setHours(23, 59, 59, 999)) },
+    time_slot: actualTimeSlot,
+  });
+};
+
+/**
+ * Take one seat of a slot if it still has capacity and no blackout date closes it
+ * @param {string} slotId - Slot ID
+ * @param {Object} session - Mongo session (optional)
+ * @returns {Promise<Object|null>} Updated slot, or null if it is full or closed
+ */
+export const reserveSlot = async (slotId, session = null) => {
+  const slot = await SlotModel.findOneAndUpdate(
+    { _id: slotId, blackout_id: null, $expr: { $lt: ['$booked_count', '$total_capacity'] } },
+    { $inc: { booked_count: 1 } },
+    { new: true, session }
+  );
+  if (slot && slot.booked_count >= slot.total_capacity) {
+    await SlotModel.updateOne({ _id: slot._id }, { is_available: false }, { session });
+  }
+  return slot;
+};
+
+/**
+ * Give back one seat of a slot (a slot closed by a blackout date stays off sale)
+ * @param {string} slotId - Slot ID
+ * @param {Object} session - Mongo session (optional)
+ * @returns {Promise<void>}
+ */
+export const releaseSlot = async (slotId, session = null) => {
+  const slot = await SlotModel.findOneAndUpdate(
+    { _id: slotId, booked_count: { $gt: 0 } },
+    { $inc: { booked_count: -1 } },
+    { new: true, session }
+  );
+  if (slot && !slot.blackout_id) {
+    await SlotModel.updateOne({ _id: slot._id }, { is_available: true }, { session });
+  }
+};
+
+// Count one use of a promo code unless it has hit its usage limit
+const reservePromo = async (promoId, session) => {
+  const promo = await PromoCodeModel.findOneAndUpdate(
+    {
+      _id: promoId,
+      $or: [{ max_usage: null }, { max_usage: 0 }, { $expr: { $lt: ['$usage_count', '$max_usage'] } }],
+    },
+    { $inc: { usage_count: 1 } },
+    { new: true, session }
+  );
+  if (!promo) {
+    throw new CheckoutError(400, 'usage_limit_exceeded', 'This promo code has reached its maximum usage limit');
+  }
+};
+
+// Take an amount from the customer's wallet if the balance covers it
+const debitWallet = async (customerId, amount, session) => {
+  const customer = await ProfileModel.findOneAndUpdate(
+    { _id: customerId, wallet_balance: { $gte: amount } },
+    { $inc: { wallet_balance: -amount } },
+    { new: true, session }
+  );
+  if (!customer) {
+    throw new CheckoutError(400, 'insufficient_wallet_balance', 'Insufficient wallet balance');
+  }
+};
+
+const takeSlot = async (slotId, session) => {
+  if (slotId && !(await reserveSlot(slotId, session))) {
+    throw new CheckoutError(400, 'slot_unavailable', 'This time slot is fully booked. Please choose another time.');
+  }
+};
+
+/**
+ * Create a booking and its reservations atomically
+ * @param {Object} options
+ * @param {Object} options.bookingData - Fields of the new Booking
+ * @param {string} options.slotId - Slot to reserve (optional)
+ * @param {string} options.promoId - Validated promo code to count (optional)
+ * @returns {Promise<{booking?: Object, status?: number, error?: string, message?: string}>}
+ */
+export const createBookingWithReservations = async ({ bookingData, slotId, promoId }) => {
+  const walletAmount = bookingData.wallet_amount || 0;
+
+  try {
+    const booking = await runTransaction(async (session) => {
+      await takeSlot(slotId, session);
+      if (promoId) await reservePromo(promoId, session);
+      if (walletAmount > 0) await debitWallet(bookingData.customer_id, walletAmount, session);
+
+      const [created] = await BookingModel.create([bookingData], { session });
+
+      if (walletAmount > 0) {
+        await WalletTransactionModel.create(
+          [
+            {
+              user_id: bookingData.customer_id,
+              amount: walletAmount,
+              transaction_type: 'debit',
+              description: `Payment for booking ${created._id}`,
+              booking_id: created._id,
+            },
+          ],
+          { session }
+        );
+      }
+
+      return created;
+    });
+
+    return { booking };
+  } catch (err) {
+    if (err instanceof CheckoutError) {
+      return { status: err.status, error: err.error, message: err.message };
+    }
+    throw err;
+  }
+};
+
+/**
+ * Create an order and all of its line-item bookings atomically.
+ * Every line reserves its own slot; the promo is counted and the wallet debited once for the order.
+ * @param {Object} options
+ * @param {Object} options.orderData - Fields of the new Order
+ * @param {Array} options.items - [{ bookingData, slotId }] one per line item
+ * @param {string} options.promoId - Validated promo code to count (optional)
+ * @returns {Promise<{order?: Object, bookings?: Array, status?: number, error?: string, message?: string}>}
+ */
+export const createOrderWithReservations = async ({ orderData, items, promoId }) => {
+  const walletAmount = orderData.wallet_amount || 0;
+
+  try {
+    const result = await runTransaction(async (session) => {
+      for (const item of items) {
+        await takeSlot(item.slotId, session);
+      }
+      if (promoId) await reservePromo(promoId, session);
+      if (walletAmount > 0) await debitWallet(orderData.customer_id, walletAmount, session);
+
+      const [order] = await OrderModel.create([orderData], { session });
+      const bookings = await BookingModel.create(
+        items.map((item) => ({ ...item.bookingData, order_id: order._id })),
+        { session, ordered: true }
+      );
+      order.booking_ids = bookings.map((b) => b._id);
+      await order.save({ session });
+
+      if (walletAmount > 0) {
+        await WalletTransactionModel.create(
+          [
+            {
+              user_id: orderData.customer_id,
+              amount: walletAmount,
+              transaction_type: 'debit',
+              description: `Payment for order ${order._id}`,
+              order_id: order._id,
+            },
+          ],
+          { session }
+        );
+      }
+
+      return { order, bookings };
+    });
+
+    return result;
+  } catch (err) {
+    if (err instanceof CheckoutError) {
+      return { status: err.status, error: err.error, message: err.message };
+    }
+    throw err;
+  }
+};
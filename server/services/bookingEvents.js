@@ -0,0 +1,54 @@
+/**
+ * Booking Event Service
+ *
+ * Appends BookingEvent records so every change to a booking stays visible after later
+ * changes overwrite the booking's own fields (reassignments, reschedules, payments).
+ * Events are never updated or deleted.
+ */
+
+// BookingEvent model (passed from index.js, same as the notification service)
+let BookingEventModel = null;
+
+export const setBookingEventModel = (model) => {
+  BookingEventModel = model;
+};
+
+/**
+ * Record a booking event
+ * @param {Object} options
+ * @param {string} options.bookingId - Booking ID
+ * @param {string} options.type - Event type, e.g. 'created', 'assigned', 'status_changed'
+ * @param {Object} options.actor - { id, role, kind } of who caused the change
+ * @param {Object} options.oldValue - Changed fields before the event (optional)
+ * @param {Object} options.newValue - Changed fields after the event (optional)
+ * @param {string} options.note - Free-text context such as a cancellation reason (optional)
+ * @returns {Promise<void>}
+ */
+export const recordBookingEvent = async ({ bookingId, type, actor = {}, oldValue, newValue, note }) => {
+  try {
+    if (!BookingEventModel) return;
+    await BookingEventModel.create({
+      booking_id: bookingId,
+      type,
+      actor_id: actor.id || undefined,
+      actor_role: actor.role,
+      actor_kind: actor.kind || 'system',
+      old_value: oldValue,
+      new_value: newValue,
+      note,
+    });
+  } catch (err) {
+    console.error('Failed to record booking event:', err);
+    // Don't fail the booking change if the timeline write fails
+  }
+};
+
+/**
+ * Get a booking's events, oldest first
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<Array>}
+ */
+export const getBookingTimeline = async (bookingId) =>
+  BookingEventModel.find({ booking_id: bookingId })
+    .populate('actor_id', 'full_name phone role')
+    .sort({ created_at: 1, _id: 1 });
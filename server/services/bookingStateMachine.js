@@ -0,0 +1,109 @@
+/**
+ * Booking State Machine
+ *
+ * Single source of truth for how a booking's status may change:
+ *
+ *   pending → confirmed (paid online) → assigned → accepted → reached → in_progress → completed
+ *
+ * Any state before work starts can be cancelled. Each edge lists the actors allowed to trigger it:
+ * - customer: the booking's customer
+ * - worker: the assigned employee or partner
+ * - staff: admin panel users with booking permissions
+ * - system: side effects of other actions (payments, reschedules)
+ */
+
+export const BOOKING_STATUSES = [
+  'pending',
+  'confirmed',
+  'assigned',
+  'accepted',
+  'reached',
+  'in_progress',
+  'completed',
+  'cancelled',
+];
+
+export const BOOKING_TRANSITIONS = {
+  pending: {
+    confirmed: ['system', 'staff'],
+    assigned: ['staff', 'system'],
+    cancelled: ['customer', 'staff', 'system'],
+  },
+  confirmed: {
+    assigned: ['staff', 'system'],
+    cancelled: ['customer', 'staff', 'system'],
+  },
+  assigned: {
+    assigned: ['staff', 'system'], // Reassign to another worker
+    accepted: ['worker', 'staff'],
+    pending: ['staff', 'system'], // Released back to the queue (e.g. reschedule)
+    cancelled: ['customer', 'staff', 'system'],
+  },
+  accepted: {
+    assigned: ['staff', 'system'],
+    reached: ['worker', 'staff'],
+    pending: ['staff', 'system'],
+    cancelled: ['customer', 'staff', 'system'],
+  },
+  reached: {
+    in_progress: ['worker', 'staff'],
+    cancelled: ['customer', 'staff'],
+  },
+  in_progress: {
+    completed: ['worker', 'staff'],
+    cancelled: ['staff'],
+  },
+  completed: {},
+  cancelled: {},
+};
+
+// Timestamp field recorded when a booking enters a status
+export const STATUS_TIMESTAMP_FIELDS = {
+  assigned: 'assigned_at',
+  accepted: 'accepted_at',
+  reached: 'reached_at',
+  in_progress: 'started_at',
+  completed: 'completed_at',
+  cancelled: 'cancelled_at',
+};
+
+/**
+ * Statuses an actor may move a booking to from its current status
+ * @param {string} from - Current status
+ * @param {string} actor - 'customer' | 'worker' | 'staff' | 'system'
+ * @returns {string[]}
+ */
+export const getAllowedTransitions = (from, actor) => {
+  const edges = BOOKING_TRANSITIONS[from] || {};
+  return Object.keys(edges).filter((to) => edges[to].includes(actor));
+};
+
+/**
+ * Check whether an actor may move a booking from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} actor - 'customer' | 'worker' | 'staff' | 'system'
+ * @returns {boolean}
+ */
+export const canTransition = (from, to, actor) => getAllowedTransitions(from, actor).includes(to);
+
+/**
+ * Build the 409 response body for a rejected transition, or null if it is allowed
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} actor - 'customer' | 'worker' | 'staff' | 'system'
+ * @returns {Object|null}
+ */
+export const transitionError = (from, to, actor) => {
+  if (canTransition(from, to, actor)) return null;
+  const allowed = getAllowedTransitions(from, actor);
+  return {
+    error: 'invalid_transition',
+    message: allowed.length
+      ? `Booking cannot move from '${from}' to '${to}'. Allowed next states: ${allowed.join(', ')}`
+      : `Booking cannot move from '${from}' to '${to}'`,
+    from,
+    to,
+    allowed,
+  };
+};
@@ -0,0 +1,131 @@
+/**
+ * Cancellation Policy Service
+ *
+ * Works out how much of a booking is refunded when it is cancelled. Rules are checked in
+ * order and the first match sets the cancellation fee (percent of what the customer paid):
+ * - statuses: booking statuses the rule applies to (empty = any)
+ * - hours_before_lt: applies when the slot starts in less than this many hours (optional)
+ *
+ * Default policy: free until the technician accepts, 20% fee once accepted, no refund once the
+ * technician has reached. Admins can replace the rules (CancellationPolicy collection).
+ *
+ * Refunds go back the way the money came in: the wallet part to the wallet, the online part to
+ * Razorpay (or everything to the wallet if the customer asks for it).
+ */
+
+import { resolveTimeSlot } from './bookingCheckout.js';
+
+// CancellationPolicy model (passed from index.js, same as the notification service)
+let CancellationPolicyModel = null;
+
+export const setCancellationPolicyModel = (model) => {
+  CancellationPolicyModel = model;
+};
+
+export const DEFAULT_CANCELLATION_RULES = [
+  { name: 'Technician on site', statuses: ['reached', 'in_progress'], fee_percent: 100 },
+  { name: 'Technician accepted', statuses: ['accepted'], fee_percent: 20 },
+  { name: 'Before acceptance', statuses: ['pending', 'confirmed', 'assigned'], fee_percent: 0 },
+];
+
+// Slot times are local (India); booking_date holds the calendar day
+export const BUSINESS_UTC_OFFSET = process.env.BUSINESS_UTC_OFFSET || '+05:30';
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Active cancellation rules (defaults until an admin saves a policy)
+ * @returns {Promise<Array>}
+ */
+export const getCancellationRules = async () => {
+  const policy = CancellationPolicyModel ? await CancellationPolicyModel.findOne({ is_active: true }) : null;
+  return policy?.rules?.length ? policy.rules : DEFAULT_CANCELLATION_RULES;
+};
+
+/**
+ * When a booking's slot starts
+ * @param {Object} booking - Booking document
+ * @returns {Date|null}
+ */
+export const getSlotStart = (booking) => {
+  if (!booking.booking_date) return null;
+  const day = new Date(booking.booking_date).toISOString().slice(0, 10);
+  const start = (resolveTimeSlot(booking.booking_time) || '').split('-')[0];
+  const time = /^\d{2}:\d{2}$/.test(start) ? start : '00:00';
+  return new Date(`${day}T${time}:00${BUSINESS_UTC_OFFSET}`);
+};
+
+/**
+ * What the customer has paid for a booking, by source. Online payments only count once the
+ * payment verification recorded the captured Razorpay payment (`pay_` ID).
+ * @param {Object} booking - Booking document
+ * @returns {{wallet: number, online: number}}
+ */
+export const getPaidAmounts = (booking) => {
+  const wallet = booking.wallet_amount || 0;
+  let online = 0;
+  if (
+    booking.payment_method === 'online' &&
+    ['paid', 'partially_paid'].includes(booking.payment_status) &&
+    booking.payment_id?.startsWith('pay_')
+  ) {
+    online = booking.amount_paid ?? booking.total_price ?? 0;
+  }
+  return { wallet: roundMoney(wallet), online: roundMoney(online) };
+};
+
+/**
+ * First rule matching a booking's status and time to slot
+ * @param {Array} rules - Policy rules
+ * @param {Object} booking - Booking document
+ * @param {Date} now - Cancellation time
+ * @returns {Object|null}
+ */
+export const findCancellationRule = (rules, booking, now = new Date()) => {
+  const slotStart = getSlotStart(booking);
+  const hoursBefore = slotStart ? (slotStart.getTime() - now.getTime()) / (60 * 60 * 1000) : Infinity;
+  return (
+    rules.find((rule) => {
+      if (rule.statuses?.length && !rule.statuses.includes(booking.status)) return false;
+      if (rule.hours_before_lt != null && !(hoursBefore < rule.hours_before_lt)) return false;
+      return true;
+    }) || null
+  );
+};
+
+/**
+ * Work out the cancellation fee and refund for a booking
+ * @param {Object} booking - Booking document (status before cancelling)
+ * @param {Object} options
+ * @param {Array} options.rules - Policy rules (defaults to the active policy)
+ * @param {boolean} options.waiveFee - Refund everything (staff decision or company-side cancellation)
+ * @param {string} options.refundTo - 'source' (default) or 'wallet'
+ * @param {Date} options.now - Cancellation time
+ * @returns {Promise<Object>} { rule, fee_percent, paid_amount, fee_amount, refund_amount, wallet_refund, online_refund }
+ */
+export const calculateCancellationRefund = async (booking, { rules, waiveFee = false, refundTo = 'source', now = new Date() } = {}) => {
+  const paid = getPaidAmounts(booking);
+  const paidAmount = roundMoney(paid.wallet + paid.online);
+  const rule = waiveFee ? null : findCancellationRule(rules || (await getCancellationRules()), booking, now);
+  const feePercent = waiveFee ? 0 : Math.min(100, Math.max(0, rule?.fee_percent || 0));
+
+  // The fee is taken proportionally from the wallet and online parts
+  const keep = (100 - feePercent) / 100;
+  let walletRefund = roundMoney(paid.wallet * keep);
+  let onlineRefund = roundMoney(paid.online * keep);
+  if (refundTo === 'wallet') {
+    walletRefund = roundMoney(walletRefund + onlineRefund);
+    onlineRefund = 0;
+  }
+  const refundAmount = roundMoney(walletRefund + onlineRefund);
+
+  return {
+    rule: waiveFee ? 'Fee waived' : rule?.name || null,
+    fee_percent: feePercent,
+    paid_amount: paidAmount,
+    fee_amount: roundMoney(paidAmount - refundAmount),
+    refund_amount: refundAmount,
+    wallet_refund: walletRefund,
+    online_refund: onlineRefund,
+  };
+};
@@ -0,0 +1,98 @@
+/**
+ * Export Service
+ *
+ * Streams admin exports (bookings, payments, wallet ledger) as CSV or XLSX straight from a
+ * MongoDB cursor to the response, one row at a time, so exports of any size never sit in
+ * memory and are not limited by the JSON body limit.
+ */
+
+import { once } from 'events';
+import ExcelJS from 'exceljs';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// XLSX rows written between waits for the response to take them
+const XLSX_FLUSH_ROWS = 100;
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const formatCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'string' && FORMULA_PREFIX.test(value)) return `'${value}`;
+  return value;
+};
+
+// Wait until the response takes more data or the client goes away
+const waitForDrain = async (res) => {
+  const controller = new AbortController();
+  const { signal } = controller;
+  try {
+    await Promise.race([once(res, 'drain', { signal }), once(res, 'close', { signal })]);
+  } finally {
+    controller.abort(); // Drop the listener that did not fire
+  }
+};
+
+const csvCell = (value) => {
+  const text = String(formatCell(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Stream rows to the response as a CSV or XLSX download
+ * @param {Object} res - Express response
+ * @param {Object} options
+ * @param {string} options.format - 'csv' | 'xlsx'
+ * @param {string} options.filename - File name without extension
+ * @param {Array} options.columns - [{ header, key, width }]
+ * @param {AsyncIterable} options.cursor - Mongoose query cursor
+ * @param {Function} options.toRow - Maps a document to a row keyed by column key
+ * @returns {Promise<number>} Rows written
+ */
+export const streamExport = async (res, { format, filename, columns, cursor, toRow }) => {
+  let count = 0;
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+    const sheet = workbook.addWorksheet(filename.slice(0, 31));
+    sheet.columns = columns.map(({ header, key, width }) => ({ header, key, width: width || 16 }));
+    for await (const doc of cursor) {
+      const row = toRow(doc);
+      const cells = {};
+      for (const { key } of columns) {
+        const value = row[key];
+        cells[key] = value instanceof Date ? value : formatCell(value);
+      }
+      sheet.addRow(cells).commit();
+      count += 1;
+      if (count % XLSX_FLUSH_ROWS === 0) {
+        // Let the zip stream pass the rows on to the response, then respect backpressure as CSV does
+        await new Promise((resolve) => setImmediate(resolve));
+        if (res.writableNeedDrain) await waitForDrain(res);
+      }
+      if (res.destroyed) return count; // Client went away; leaving the loop closes the cursor
+    }
+    sheet.commit();
+    await workbook.commit();
+    return count;
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  // BOM so Excel opens the file as UTF-8
+  res.write(`\uFEFF${columns.map((c) => csvCell(c.header)).join(',')}\r\n`);
+  for await (const doc of cursor) {
+    const row = toRow(doc);
+    const line = `${columns.map(({ key }) => csvCell(row[key])).join(',')}\r\n`;
+    // Respect backpressure so slow clients do not buffer the whole export
+    if (!res.write(line)) await waitForDrain(res);
+    if (res.destroyed) break; // Client went away
+    count += 1;
+  }
+  res.end();
+  return count;
+};
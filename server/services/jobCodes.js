@@ -0,0 +1,164 @@
+/**
+ * Job Code Service
+ *
+ * Start and completion codes prove the customer was there when a job started and ended.
+ * - When the technician marks reached, the customer gets a 4-digit start code
+ * - When work starts, the customer gets a 4-digit completion code
+ * The technician must enter the matching code on start-work / complete. Like login OTPs,
+ * codes are stored hashed and lock after 5 wrong attempts until a new code is sent.
+ * Staff can override a code with a recorded reason.
+ */
+
+import crypto from 'crypto';
+import { sendNotification } from './notifications.js';
+
+// Models (passed from index.js, same as the notification service)
+let BookingModel = null;
+
+export const setJobCodeModels = ({ Booking }) => {
+  BookingModel = Booking;
+};
+
+export const JOB_CODE_STAGES = ['start', 'end'];
+export const JOB_CODE_MAX_ATTEMPTS = 5;
+export const JOB_CODE_RESEND_COOLDOWN_SECONDS = 60;
+
+// Booking status in which each code is used
+export const JOB_CODE_STATUS = { start: 'reached', end: 'in_progress' };
+
+// Salted with the booking and stage so the same digits never match another booking's hash
+const hashJobCode = (booking, stage, code) =>
+  crypto.createHash('sha256').update(`${booking._id}:${stage}:${String(code).trim()}`).digest('hex');
+
+/**
+ * Generate a new code for a stage (mutates the booking; the caller saves it)
+ * @param {Object} booking - Booking document
+ * @param {string} stage - 'start' | 'end'
+ * @returns {string} Plain 4-digit code to send to the customer
+ */
+export const issueJobCode = (booking, stage) => {
+  const code = crypto.randomInt(0, 10000).toString().padStart(4, '0');
+  booking.set(`job_codes.${stage}`, {
+    code_hash: hashJobCode(booking, stage, code),
+    attempts: 0,
+    sent_at: new Date(),
+  });
+  return code;
+};
+
+const attemptsExceeded = () => ({
+  valid: false,
+  status: 429,
+  error: 'job_code_attempts_exceeded',
+  message: 'Too many wrong codes. Send the customer a new code.',
+});
+
+/**
+ * Check a code entered by the technician. Attempts are counted and the code used up with
+ * conditional updates, so parallel guesses cannot get past the attempt limit.
+ * @param {Object} booking - Booking document (updated to match)
+ * @param {string} stage - 'start' | 'end'
+ * @param {string} code - Code entered
+ * @returns {Promise<{valid: boolean, status?: number, error?: string, message?: string}>}
+ */
+export const verifyJobCode = async (booking, stage, code) => {
+  const jobCode = booking.job_codes?.[stage];
+  if (!jobCode?.code_hash) {
+    return { valid: false, status: 400, error: 'job_code_not_sent', message: 'No code has been sent to the customer yet' };
+  }
+  if (jobCode.attempts >= JOB_CODE_MAX_ATTEMPTS) return attemptsExceeded();
+  if (!code) {
+    return { valid: false, status: 400, error: 'job_code_required', message: 'Ask the customer for the code sent to them' };
+  }
+
+  const path = `job_codes.${stage}`;
+  const withinLimit = {
+    _id: booking._id,
+    [`${path}.code_hash`]: jobCode.code_hash,
+    [`${path}.attempts`]: { $lt: JOB_CODE_MAX_ATTEMPTS },
+  };
+
+  if (hashJobCode(booking, stage, code) !== jobCode.code_hash) {
+    const counted = await BookingModel.findOneAndUpdate(
+      withinLimit,
+      { $inc: { [`${path}.attempts`]: 1 } },
+      { new: true, projection: { [`${path}.attempts`]: 1 } }
+    );
+    if (!counted) return attemptsExceeded();
+    jobCode.attempts = counted.job_codes[stage].attempts;
+    return {
+      valid: false,
+      status: 400,
+      error: 'job_code_invalid',
+      message: `Invalid code. ${JOB_CODE_MAX_ATTEMPTS - jobCode.attempts} attempts remaining.`,
+    };
+  }
+
+  // Codes are single use, and only count while the attempt limit has not been reached
+  const verifiedAt = new Date();
+  const used = await BookingModel.updateOne(withinLimit, {
+    $set: { [`${path}.verified_at`]: verifiedAt },
+    $unset: { [`${path}.code_hash`]: 1 },
+  });
+  if (used.modifiedCount === 0) return attemptsExceeded();
+  jobCode.verified_at = verifiedAt;
+  jobCode.code_hash = undefined;
+  return { valid: true };
+};
+
+/**
+ * Record a staff override of a code (mutates the booking; the caller saves it)
+ * @param {Object} booking - Booking document
+ * @param {string} stage - 'start' | 'end'
+ * @param {Object} options - { userId, reason }
+ */
+export const overrideJobCode = (booking, stage, { userId, reason }) => {
+  booking.set(`job_codes.${stage}.override_reason`, reason);
+  booking.set(`job_codes.${stage}.overridden_by`, userId || undefined);
+  booking.set(`job_codes.${stage}.overridden_at`, new Date());
+  booking.set(`job_codes.${stage}.code_hash`, undefined);
+};
+
+/**
+ * Whether a new code may be sent yet
+ * @param {Object} booking - Booking document
+ * @param {string} stage - 'start' | 'end'
+ * @returns {number} Seconds to wait (0 if it can be sent now)
+ */
+export const getResendWaitSeconds = (booking, stage) => {
+  const sentAt = booking.job_codes?.[stage]?.sent_at;
+  if (!sentAt) return 0;
+  const elapsed = (Date.now() - new Date(sentAt).getTime()) / 1000;
+  return Math.max(0, Math.ceil(JOB_CODE_RESEND_COOLDOWN_SECONDS - elapsed));
+};
+
+/**
+ * Send a code to the customer on WhatsApp
+ * @param {Object} options
+ * @param {Object} options.booking - Booking document
+ * @param {string} options.stage - 'start' | 'end'
+ * @param {string} options.code - Plain code
+ * @param {string} options.phone - Customer phone
+ * @param {string} options.customerName - Customer name (optional)
+ * @param {string} options.serviceName - Service name (optional)
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const sendJobCode = async ({ booking, stage, code, phone, customerName, serviceName }) => {
+  const name = customerName || 'Customer';
+  const service = serviceName || 'service';
+  const buildMessage = (shownCode) =>
+    stage === 'start'
+      ? `Hello! ${name}\n\nYour ACE Home professional has arrived for your ${service} booking.\n\nStart code: ${shownCode}\n\nShare this code with the professional only when you are ready for the work to begin.`
+      : `Hello! ${name}\n\nWork on your ${service} booking has started.\n\nCompletion code: ${shownCode}\n\nShare this code with the professional only when the job is done to your satisfaction.`;
+
+  return sendNotification({
+    to: phone,
+    type: 'whatsapp',
+    message: buildMessage(code),
+    // The notification log never holds a usable code
+    storedMessage: buildMessage('*'.repeat(String(code).length)),
+    userId: booking.customer_id,
+    bookingId: booking._id,
+    metadata: { type: 'job_code', stage },
+  });
+};
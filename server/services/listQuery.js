@@ -0,0 +1,116 @@
+/**
+ * List Query Helpers
+ *
+ * Shared conventions for admin list endpoints (bookings, profiles, reviews, notifications,
+ * wallet transactions):
+ * - page / limit: page-based pagination (limit defaults to 20, at most 100). Without `page` the
+ *   endpoints keep returning a plain array for older clients.
+ * - sort: comma-separated fields, '-' prefix for descending (e.g. "-booking_date,total_price")
+ * - from / to: date range (YYYY-MM-DD `to` includes the whole day)
+ * - q: case-insensitive text search
+ * - multi-value filters take comma-separated values (e.g. status=pending,assigned)
+ *
+ * Paginated responses look like { data, pagination: { page, limit, total, total_pages, has_more } }.
+ */
+
+export const DEFAULT_PAGE_LIMIT = 20;
+export const MAX_PAGE_LIMIT = 100;
+
+/**
+ * Page and limit from the query string
+ * @param {Object} query - req.query
+ * @returns {{page: number, limit: number, skip: number}|null} null when the client did not ask for a page
+ */
+export const parsePagination = (query) => {
+  if (query.page === undefined) return null;
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const limit = Math.min(MAX_PAGE_LIMIT, Math.max(1, parseInt(query.limit, 10) || DEFAULT_PAGE_LIMIT));
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+/**
+ * Mongo sort from a sort parameter
+ * @param {string} sort - e.g. "-booking_date,total_price"
+ * @param {string[]} allowedFields - Fields clients may sort by
+ * @param {Object} defaultSort - Sort used when no sort is given
+ * @returns {Object|null} Sort object, or null if a field is not allowed
+ */
+export const parseSort = (sort, allowedFields, defaultSort) => {
+  if (!sort) return { ...defaultSort, _id: -1 };
+  const result = {};
+  for (const part of String(sort).split(',')) {
+    const field = part.trim().replace(/^[-+]/, '');
+    if (!field) continue;
+    if (!allowedFields.includes(field)) return null;
+    result[field] = part.trim().startsWith('-') ? -1 : 1;
+  }
+  // _id breaks ties so pages never overlap
+  return { ...result, _id: result._id || -1 };
+};
+
+/**
+ * Match one value or a comma-separated list
+ * @param {string|string[]} value - Query value
+ * @returns {string|Object|undefined}
+ */
+export const listFilter = (value) => {
+  if (value === undefined || value === '') return undefined;
+  const values = (Array.isArray(value) ? value : String(value).split(','))
+    .map((v) => String(v).trim())
+    .filter(Boolean);
+  return values.length === 1 ? values[0] : { $in: values };
+};
+
+/**
+ * Date range condition
+ * @param {string} from - Start date (inclusive)
+ * @param {string} to - End date (inclusive; a plain date covers the whole day)
+ * @returns {Object|undefined}
+ */
+export const dateRangeFilter = (from, to) => {
+  const range = {};
+  if (from) range.$gte = new Date(from);
+  if (to) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      range.$lt = new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000);
+    } else {
+      range.$lte = new Date(to);
+    }
+  }
+  return Object.keys(range).length ? range : undefined;
+};
+
+/**
+ * Case-insensitive "contains" regex for free-text search
+ * @param {string} text - Search text
+ * @returns {RegExp}
+ */
+export const searchRegex = (text) => new RegExp(String(text).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+
+/**
+ * Run a paginated find with a total count
+ * @param {Object} model - Mongoose model
+ * @param {Object} filter - Query filter
+ * @param {Object} options
+ * @param {Object} options.pagination - Result of parsePagination
+ * @param {Object} options.sort - Result of parseSort
+ * @param {Function} options.build - Adds populate/select to the query (optional)
+ * @returns {Promise<{data: Array, pagination: Object}>}
+ */
+export const findPage = async (model, filter, { pagination, sort, build = (query) => query }) => {
+  const { page, limit, skip } = pagination;
+  const [data, total] = await Promise.all([
+    build(model.find(filter)).sort(sort).skip(skip).limit(limit),
+    model.countDocuments(filter),
+  ]);
+  return {
+    data,
+    pagination: {
+      page,
+      limit,
+      total,
+      total_pages: Math.ceil(total / limit),
+      has_more: skip + data.length < total,
+    },
+  };
+};
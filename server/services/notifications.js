@@ -29,6 +29,7 @@ export const setNotificationModel = (model) => {
  * @param {string} options.type - 'sms' | 'whatsapp' | 'email'
  * @param {string} options.subject - Subject (for email)
  * @param {string} options.message - Message content
+ * @param {string} options.storedMessage - Message kept in the database instead of `message`, for messages carrying codes or links (optional)
  * @param {string} options.userId - User ID for database tracking
  * @param {string} options.bookingId - Booking ID (optional)
  * @param {Object} options.metadata - Additional metadata (optional)
@@ -39,6 +40,7 @@ export const sendNotification = async ({
   type,
   subject,
   message,
+  storedMessage,
   userId,
   bookingId,
   metadata = {},
@@ -66,7 +68,7 @@ export const sendNotification = async ({
           user_id: userId,
           type,
           subject: subject || null,
-          message,
+          message: storedMessage ?? message,
           status: notificationStatus,
           metadata: {
             booking_id: bookingId,
@@ -110,6 +112,10 @@ export const sendOTP = async (phone, otp, userId = null) => {
  * @param {string} options.serviceName - Service name
  * @param {string} options.employeeName - Employee name
  * @param {string} options.bookingId - Booking ID
+ * @param {Date} options.bookingDate - Visit date, used by recurring and reschedule messages (optional)
+ * @param {string} options.bookingTime - Visit time range, used by reschedule messages (optional)
+ * @param {string} options.seriesId - Recurring series ID (optional)
+ * @param {string} options.resumeUrl - Link to book again, used by payment expiry messages (optional)
  * @returns {Promise<void>}
  */
 export const sendBookingStatusUpdate = async ({
@@ -118,8 +124,15 @@ export const sendBookingStatusUpdate = async ({
   serviceName,
   employeeName,
   bookingId,
+  bookingDate,
+  bookingTime,
+  seriesId,
+  resumeUrl,
 }) => {
   const customerName = customer.full_name || 'Customer';
+  const visitDate = bookingDate
+    ? new Date(bookingDate).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' })
+    : 'the scheduled date';
   
   const messages = {
     assigned: `Hello! ${customerName}\n\nGreat news! ${employeeName} has been assigned to your ${serviceName} booking. They will contact you soon.\n\nThank you for choosing ACE Home Solutions!`,
@@ -128,6 +141,15 @@ export const sendBookingStatusUpdate = async ({
     in_progress: `Hello! ${customerName}\n\n${employeeName} has started your ${serviceName} service. They are working on it now.\n\nThank you for choosing ACE Home Solutions!`,
     completed: `Hello! ${customerName}\n\nYour ${serviceName} service has been completed! Please rate your experience in your dashboard.\n\nThank you for choosing ACE Home Solutions!`,
     cancelled: `Hello! ${customerName}\n\nYour ${serviceName} booking has been cancelled. If you have any questions, please contact us.\n\nThank you for choosing ACE Home Solutions!`,
+    rescheduled: `Hello! ${customerName}\n\nYour ${serviceName} booking has been moved to ${visitDate}${bookingTime ? ` (${bookingTime})` : ''}. We will confirm your professional for the new time.\n\nThank you for choosing ACE Home Solutions!`,
+    payment_expired: `Hello! ${customerName}\n\nYour payment for the ${serviceName} booking on ${visitDate} was not completed, so the booking has been released. Any wallet amount used has been refunded.\n\nBook again here: ${resumeUrl}\n\nThank you for choosing ACE Home Solutions!`,
+    // Recurring bookings
+    scheduled: `Hello! ${customerName}\n\nYour next ${serviceName} visit is booked for ${visitDate}.\n\nThank you for choosing ACE Home Solutions!`,
+    skipped: `Hello! ${customerName}\n\nYour ${serviceName} visit on ${visitDate} has been skipped as requested. Your other visits are unchanged.\n\nThank you for choosing ACE Home Solutions!`,
+    slot_unavailable: `Hello! ${customerName}\n\nWe could not book your recurring ${serviceName} visit on ${visitDate} because the time slot is full. Please pick another time from your dashboard.\n\nThank you for choosing ACE Home Solutions!`,
+    series_paused: `Hello! ${customerName}\n\nYour recurring ${serviceName} bookings have been paused.\n\nThank you for choosing ACE Home Solutions!`,
+    series_resumed: `Hello! ${customerName}\n\nYour recurring ${serviceName} bookings have been resumed.\n\nThank you for choosing ACE Home Solutions!`,
+    series_cancelled: `Hello! ${customerName}\n\nYour recurring ${serviceName} bookings have been cancelled. Visits already completed are not affected.\n\nThank you for choosing ACE Home Solutions!`,
   };
 
   const subjects = {
@@ -137,6 +159,14 @@ export const sendBookingStatusUpdate = async ({
     in_progress: 'Service Started',
     completed: 'Service Completed',
     cancelled: 'Booking Cancelled',
+    rescheduled: 'Booking Rescheduled',
+    payment_expired: 'Payment Not Completed',
+    scheduled: 'Recurring Visit Booked',
+    skipped: 'Visit Skipped',
+    slot_unavailable: 'Recurring Visit Not Booked',
+    series_paused: 'Recurring Bookings Paused',
+    series_resumed: 'Recurring Bookings Resumed',
+    series_cancelled: 'Recurring Bookings Cancelled',
   };
 
   const message = messages[status] || `Your booking status has been updated to ${status}.`;
@@ -156,7 +186,7 @@ export const sendBookingStatusUpdate = async ({
         message,
         userId: customerId,
         bookingId,
-        metadata: { status },
+        metadata: { status, ...(seriesId ? { series_id: seriesId } : {}) },
       })
     );
   }
@@ -180,7 +210,7 @@ export const sendBookingStatusUpdate = async ({
         message: htmlMessage,
         userId: customerId,
         bookingId,
-        metadata: { status },
+        metadata: { status, ...(seriesId ? { series_id: seriesId } : {}) },
       })
     );
   }
@@ -189,3 +219,35 @@ export const sendBookingStatusUpdate = async ({
   await Promise.allSettled(promises);
 };
 
+
+/**
+ * Tell the on-site contact of a booking made for someone else that the professional is coming
+ * or has arrived (the customer still gets the usual status updates)
+ * @param {Object} options
+ * @param {Object} options.booking - Booking with site_contact
+ * @param {string} options.status - 'accepted' | 'reached'
+ * @param {string} options.serviceName - Service name
+ * @param {string} options.employeeName - Employee name
+ * @returns {Promise<void>}
+ */
+export const sendSiteContactUpdate = async ({ booking, status, serviceName, employeeName }) => {
+  const contact = booking.site_contact;
+  if (!contact?.phone) return;
+
+  const contactName = contact.name || 'there';
+  const bookedBy = booking.customer_name ? ` booked by ${booking.customer_name}` : '';
+  const messages = {
+    accepted: `Hello! ${contactName}\n\n${employeeName} will visit you for the ${serviceName} service${bookedBy}. They will reach your location soon.\n\nThank you for choosing ACE Home Solutions!`,
+    reached: `Hello! ${contactName}\n\n${employeeName} has reached your location for the ${serviceName} service${bookedBy}.\n\nThank you for choosing ACE Home Solutions!`,
+  };
+  if (!messages[status]) return;
+
+  await sendNotification({
+    to: contact.phone,
+    type: 'whatsapp',
+    message: messages[status],
+    userId: booking.customer_id?._id || booking.customer_id,
+    bookingId: booking._id,
+    metadata: { status, recipient: 'site_contact' },
+  });
+};
@@ -0,0 +1,75 @@
+/**
+ * Payment Expiry Service
+ *
+ * An online booking reserves its slot (and any wallet amount) before the customer pays. If the
+ * Razorpay checkout is abandoned, the booking is cancelled once its payment hold runs out so the
+ * slot goes back on sale and the wallet amount is refunded.
+ *
+ * The hold starts when the booking is created (PAYMENT_HOLD_MINUTES, default 30) and starts again
+ * whenever a Razorpay order is created for it, so a customer who is paying is never expired.
+ * Recurring visits are excluded: they are booked weeks ahead and paid closer to the visit.
+ * Bookings made before holds were recorded are given one at startup, then expire the same way.
+ */
+
+export const PAYMENT_HOLD_MINUTES = parseInt(process.env.PAYMENT_HOLD_MINUTES || '30', 10);
+
+/**
+ * When a payment hold starting now runs out
+ * @param {Date} from - Start of the hold
+ * @returns {Date}
+ */
+export const getPaymentHoldUntil = (from = new Date()) => new Date(from.getTime() + PAYMENT_HOLD_MINUTES * 60 * 1000);
+
+// Online bookings still waiting for their payment
+const unpaidOnlineBookings = {
+  payment_method: 'online',
+  payment_status: { $in: ['unpaid', 'pending'] }, // 'pending' after a failed payment attempt
+  status: 'pending',
+  series_id: { $exists: false },
+  is_deleted: { $ne: true },
+};
+
+/**
+ * Filter for online bookings whose payment hold has run out
+ * @param {Date} now - Current time
+ * @returns {Object} Booking query filter
+ */
+export const expiredUnpaidBookingsFilter = (now = new Date()) => ({
+  ...unpaidOnlineBookings,
+  payment_hold_until: { $lt: now },
+});
+
+/**
+ * Filter for unpaid online bookings made before holds were recorded. They get a full hold from
+ * now rather than expiring at once, so customers still paying are not cancelled on upgrade.
+ * @returns {Object} Booking query filter
+ */
+export const missingPaymentHoldFilter = () => ({
+  ...unpaidOnlineBookings,
+  payment_hold_until: null,
+});
+
+/**
+ * Run the expiry sweep on an interval
+ * @param {number} intervalMinutes - Minutes between runs
+ * @param {Function} sweep - async () => number of bookings expired
+ * @param {Function} isReady - Returns true when the database is connected
+ * @returns {NodeJS.Timeout}
+ */
+export const startPaymentExpirySweeper = (intervalMinutes, sweep, isReady = () => true) => {
+  let running = false;
+  const tick = async () => {
+    if (running || !isReady()) return;
+    running = true;
+    try {
+      await sweep();
+    } catch (err) {
+      console.error('Payment expiry sweeper error:', err);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
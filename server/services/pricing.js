@@ -0,0 +1,280 @@
+/**
+ * Pricing Service
+ *
+ * Computes booking prices on the server from the catalogue:
+ * - Base price from Service.base_price
+ * - Add-on prices from active ServiceAddon documents of that service
+ * - Promo discount after re-validating the promo code
+ * - Wallet amount applied last
+ * Each line also carries its estimated duration (Service.duration_minutes plus add-on minutes)
+ * for technician scheduling.
+ *
+ * Used by POST /bookings and POST /orders (authoritative price) and their /quote endpoints (preview).
+ */
+
+// Models (passed from index.js, same as the notification service)
+let ServiceModel = null;
+let ServiceAddonModel = null;
+let PromoCodeModel = null;
+
+export const setPricingModels = ({ Service, ServiceAddon, PromoCode }) => {
+  ServiceModel = Service;
+  ServiceAddonModel = ServiceAddon;
+  PromoCodeModel = PromoCode;
+};
+
+// Platform fee currently disabled; set to 0.
+// In future this can be driven by admin-configurable settings.
+const PLATFORM_FEE = 0;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+export const normalizePromoCode = (code) => String(code).toUpperCase().trim();
+
+/**
+ * Validate a promo code against an order subtotal
+ * @param {string} code - Promo code as entered
+ * @param {number} subtotal - Order value before discount
+ * @returns {Promise<{promo?: Object, error?: string, message?: string, status?: number, min?: number}>}
+ */
+export const validatePromoCode = async (code, subtotal) => {
+  const promo = await PromoCodeModel.findOne({ code: normalizePromoCode(code), is_active: true });
+
+  if (!promo) {
+    return { status: 404, error: 'invalid_code', message: 'Invalid promo code' };
+  }
+
+  if (promo.valid_until && new Date(promo.valid_until) < new Date()) {
+    return { status: 400, error: 'expired', message: 'This promo code has expired' };
+  }
+
+  if (promo.valid_from && new Date(promo.valid_from) > new Date()) {
+    return { status: 400, error: 'not_yet_valid', message: 'This promo code is not yet valid' };
+  }
+
+  const orderValue = Number(subtotal) || 0;
+  if (orderValue < (promo.min_order_value || 0)) {
+    return {
+      status: 400,
+      error: 'min_order_value',
+      message: `Minimum order value of ₹${promo.min_order_value || 0} required`,
+      min: promo.min_order_value || 0,
+    };
+  }
+
+  // Check usage limit
+  if (promo.max_usage && promo.usage_count >= promo.max_usage) {
+    return {
+      status: 400,
+      error: 'usage_limit_exceeded',
+      message: 'This promo code has reached its maximum usage limit',
+    };
+  }
+
+  return { promo };
+};
+
+/**
+ * Discount a validated promo gives on a subtotal
+ * @param {Object} promo - PromoCode document
+ * @param {number} subtotal - Order value before discount
+ * @returns {number}
+ */
+export const calculatePromoDiscount = (promo, subtotal) => {
+  let discount = promo.discount_type === 'percentage'
+    ? (subtotal * (promo.discount_value || 0)) / 100
+    : promo.discount_value || 0;
+  if (promo.max_discount) discount = Math.min(discount, promo.max_discount);
+  return roundMoney(Math.min(Math.max(0, discount), subtotal));
+};
+
+// Accepts ['addonId'] or [{ addon_id, quantity }]
+const normalizeAddons = (addons) =>
+  (Array.isArray(addons) ? addons : []).map((item) =>
+    typeof item === 'object' && item !== null
+      ? { addon_id: String(item.addon_id || item._id || ''), quantity: Math.max(1, parseInt(item.quantity, 10) || 1) }
+      : { addon_id: String(item), quantity: 1 }
+  );
+
+/**
+ * Price one service and its add-ons from the catalogue (before promo and wallet)
+ * @param {string} serviceId - Service ID
+ * @param {Array} addons - Selected add-ons (IDs or { addon_id, quantity })
+ * @returns {Promise<{line?: Object, error?: string, message?: string, status?: number}>}
+ */
+const priceServiceLine = async (serviceId, addons) => {
+  const service = await ServiceModel.findById(serviceId);
+  if (!service || !service.is_active) {
+    return { status: 404, error: 'service_not_found', message: 'Service not found' };
+  }
+
+  const selectedAddons = normalizeAddons(addons);
+  const addonDocs = selectedAddons.length
+    ? await ServiceAddonModel.find({
+        _id: { $in: selectedAddons.map((a) => a.addon_id) },
+        service_id: service._id,
+        is_active: true,
+      })
+    : [];
+  const addonsById = new Map(addonDocs.map((doc) => [doc._id.toString(), doc]));
+
+  const addonLines = [];
+  for (const item of selectedAddons) {
+    const doc = addonsById.get(item.addon_id);
+    if (!doc) {
+      return { status: 400, error: 'invalid_addon', message: 'One or more add-ons are not available for this service' };
+    }
+    addonLines.push({
+      addon_id: item.addon_id,
+      name: doc.name,
+      unit_price: doc.price || 0,
+      quantity: item.quantity,
+      total: roundMoney((doc.price || 0) * item.quantity),
+      duration_minutes: (doc.duration_minutes || 0) * item.quantity,
+    });
+  }
+
+  const basePrice = service.base_price || 0;
+  const addonPrice = roundMoney(addonLines.reduce((sum, line) => sum + line.total, 0));
+
+  return {
+    line: {
+      service_id: service._id,
+      base_price: basePrice,
+      addons: addonLines,
+      addon_price: addonPrice,
+      subtotal: roundMoney(basePrice + addonPrice),
+      duration_minutes: (service.duration_minutes || 0) + addonLines.reduce((sum, line) => sum + line.duration_minutes, 0),
+    },
+  };
+};
+
+// Validate the promo for a subtotal and work out the discount
+const applyPromo = async (promoCode, subtotal) => {
+  if (!promoCode || !String(promoCode).trim()) return { promo: null, discountAmount: 0 };
+  const result = await validatePromoCode(promoCode, subtotal);
+  if (!result.promo) return result;
+  return { promo: result.promo, discountAmount: calculatePromoDiscount(result.promo, subtotal) };
+};
+
+// Check the wallet amount against what is left to pay
+const checkWalletAmount = (walletAmount, payable) => {
+  const wallet = roundMoney(Math.max(0, Number(walletAmount) || 0));
+  if (wallet > payable) {
+    return {
+      status: 400,
+      error: 'invalid_wallet_amount',
+      message: 'Wallet amount cannot exceed the total amount after discount',
+    };
+  }
+  return { wallet };
+};
+
+/**
+ * Split an amount across lines in proportion to their weights.
+ * Rounding leftovers go to the last line so the parts always add up to the amount.
+ * @param {number} amount - Amount to split
+ * @param {number[]} weights - One weight per line
+ * @returns {number[]}
+ */
+export const allocateAmount = (amount, weights) => {
+  const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+  let remaining = roundMoney(amount);
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) return remaining;
+    const share = totalWeight > 0 ? Math.min(remaining, roundMoney((amount * weight) / totalWeight)) : 0;
+    remaining = roundMoney(remaining - share);
+    return share;
+  });
+};
+
+/**
+ * Price a booking from the catalogue
+ * @param {Object} options
+ * @param {string} options.serviceId - Service ID
+ * @param {Array} options.addons - Selected add-ons (IDs or { addon_id, quantity })
+ * @param {string} options.promoCode - Promo code (optional)
+ * @param {number} options.walletAmount - Amount the customer wants to pay from wallet (optional)
+ * @returns {Promise<{breakdown?: Object, promo?: Object, error?: string, message?: string, status?: number}>}
+ */
+export const calculateBookingPrice = async ({ serviceId, addons, promoCode, walletAmount = 0 }) => {
+  const priced = await priceServiceLine(serviceId, addons);
+  if (!priced.line) return priced;
+  const { line } = priced;
+
+  const discount = await applyPromo(promoCode, line.subtotal);
+  if (discount.error) return discount;
+  const { promo, discountAmount } = discount;
+
+  const subtotalAfterDiscount = roundMoney(Math.max(0, line.subtotal - discountAmount) + PLATFORM_FEE);
+  const walletCheck = checkWalletAmount(walletAmount, subtotalAfterDiscount);
+  if (walletCheck.error) return walletCheck;
+  const { wallet } = walletCheck;
+
+  return {
+    promo,
+    breakdown: {
+      ...line,
+      promo_code: promo ? promo.code : null,
+      discount_amount: discountAmount,
+      platform_fee: PLATFORM_FEE,
+      subtotal_after_discount: subtotalAfterDiscount,
+      wallet_amount: wallet,
+      total_price: roundMoney(subtotalAfterDiscount - wallet),
+    },
+  };
+};
+
+/**
+ * Price a multi-service order from the catalogue.
+ * The promo is validated against the whole order; the discount and wallet amount are then
+ * split across the line items so each booking keeps its own share for invoices and refunds.
+ * @param {Object} options
+ * @param {Array} options.items - [{ service_id, addons }]
+ * @param {string} options.promoCode - Promo code (optional)
+ * @param {number} options.walletAmount - Amount the customer wants to pay from wallet (optional)
+ * @returns {Promise<{breakdown?: Object, promo?: Object, error?: string, message?: string, status?: number}>}
+ */
+export const calculateOrderPrice = async ({ items, promoCode, walletAmount = 0 }) => {
+  const lines = [];
+  for (const item of items) {
+    const priced = await priceServiceLine(item.service_id, item.addons);
+    if (!priced.line) return priced;
+    lines.push(priced.line);
+  }
+
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.subtotal, 0));
+  const discount = await applyPromo(promoCode, subtotal);
+  if (discount.error) return discount;
+  const { promo, discountAmount } = discount;
+
+  const subtotalAfterDiscount = roundMoney(Math.max(0, subtotal - discountAmount) + PLATFORM_FEE);
+  const walletCheck = checkWalletAmount(walletAmount, subtotalAfterDiscount);
+  if (walletCheck.error) return walletCheck;
+  const { wallet } = walletCheck;
+
+  const lineDiscounts = allocateAmount(discountAmount, lines.map((line) => line.subtotal));
+  const lineFees = allocateAmount(PLATFORM_FEE, lines.map((line) => line.subtotal));
+  const linePayable = lines.map((line, i) => roundMoney(line.subtotal - lineDiscounts[i] + lineFees[i]));
+  const lineWallet = allocateAmount(wallet, linePayable);
+
+  return {
+    promo,
+    breakdown: {
+      items: lines.map((line, i) => ({
+        ...line,
+        discount_amount: lineDiscounts[i],
+        platform_fee: lineFees[i],
+        wallet_amount: lineWallet[i],
+        total_price: roundMoney(linePayable[i] - lineWallet[i]),
+      })),
+      subtotal,
+      promo_code: promo ? promo.code : null,
+      discount_amount: discountAmount,
+      platform_fee: PLATFORM_FEE,
+      subtotal_after_discount: subtotalAfterDiscount,
+      wallet_amount: wallet,
+      total_price: roundMoney(subtotalAfterDiscount - wallet),
+    },
+  };
+};
@@ -0,0 +1,278 @@
+/**
+ * Recurring Booking Service
+ *
+ * Turns a BookingSeries (service, address, time and recurrence rule) into real Booking documents.
+ * A scheduler materializes occurrences a few weeks ahead and reserves their slots, so recurring
+ * customers hold their usual time just like one-off bookings do.
+ *
+ * Recurrence rule: { frequency, interval, start_date, end_date, count }
+ * - weekly / biweekly: every 7 / 14 days from start_date
+ * - monthly: same day of the month every `interval` months (default 1; 3 for quarterly)
+ * - every_n_days: every `interval` days
+ * The series ends after `count` occurrences or after `end_date`, whichever comes first.
+ */
+
+import { calculateBookingPrice } from './pricing.js';
+import { createBookingWithReservations } from './bookingCheckout.js';
+import { findBookableSlot } from './slotTemplates.js';
+import { recordBookingEvent } from './bookingEvents.js';
+import { sendBookingStatusUpdate } from './notifications.js';
+
+// Models (passed from index.js, same as the notification service)
+let BookingSeriesModel = null;
+let ServiceModel = null;
+let ProfileModel = null;
+
+export const setRecurringModels = ({ BookingSeries, Service, Profile }) => {
+  BookingSeriesModel = BookingSeries;
+  ServiceModel = Service;
+  ProfileModel = Profile;
+};
+
+export const RECURRENCE_FREQUENCIES = ['weekly', 'biweekly', 'monthly', 'every_n_days'];
+
+// How far ahead occurrences are booked
+const SCHEDULE_AHEAD_DAYS = parseInt(process.env.RECURRING_SCHEDULE_AHEAD_DAYS || '21', 10);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar day of a date (YYYY-MM-DD, UTC) for comparing occurrences
+export const dayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Date of the nth occurrence of a recurrence rule (0 = start_date)
+ * @param {Object} recurrence - Recurrence rule
+ * @param {number} index - Occurrence index
+ * @returns {Date}
+ */
+export const getOccurrenceDate = (recurrence, index) => {
+  const start = new Date(recurrence.start_date);
+  const interval = recurrence.interval || 1;
+
+  if (recurrence.frequency === 'monthly') {
+    // Keep the day of the month, clamped to shorter months (31st → 30th/28th)
+    const target = new Date(start);
+    target.setUTCDate(1);
+    target.setUTCMonth(start.getUTCMonth() + index * interval);
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(start.getUTCDate(), lastDay));
+    return target;
+  }
+
+  const stepDays = { weekly: 7, biweekly: 14, every_n_days: interval }[recurrence.frequency] || 7;
+  return new Date(start.getTime() + index * stepDays * DAY_MS);
+};
+
+/**
+ * Whether an occurrence falls after the end of its series
+ * @param {Object} recurrence - Recurrence rule
+ * @param {number} index - Occurrence index
+ * @param {Date} date - Occurrence date
+ * @returns {boolean}
+ */
+export const isAfterSeriesEnd = (recurrence, index, date) =>
+  (!!recurrence.count && index >= recurrence.count) ||
+  (!!recurrence.end_date && dayKey(date) > dayKey(recurrence.end_date));
+
+/**
+ * Check whether a date is one of a series' occurrences
+ * @param {Object} recurrence - Recurrence rule
+ * @param {Date|string} date - Date to look up
+ * @returns {boolean}
+ */
+export const isOccurrenceDate = (recurrence, date) => {
+  const target = dayKey(date);
+  for (let index = 0; ; index += 1) {
+    const occurrence = getOccurrenceDate(recurrence, index);
+    if (isAfterSeriesEnd(recurrence, index, occurrence)) return false;
+    const key = dayKey(occurrence);
+    if (key === target) return true;
+    if (key > target) return false;
+  }
+};
+
+// Book one occurrence: same pricing and slot reservation as a one-off booking
+const createOccurrence = async (series, date, { customer, serviceName }) => {
+  const pricing = await calculateBookingPrice({ serviceId: series.service_id, addons: series.addons });
+  if (!pricing.breakdown) return { error: pricing.error };
+  const { breakdown } = pricing;
+
+  const { slot, error } = await findBookableSlot(series.service_id, date, series.booking_time);
+  if (error) return { error };
+
+  let checkout;
+  try {
+    checkout = await createBookingWithReservations({
+      bookingData: {
+        customer_id: series.customer_id,
+        service_id: series.service_id,
+        series_id: series._id,
+        booking_date: date,
+        booking_time: series.booking_time,
+        customer_name: series.customer_name,
+        customer_phone: series.customer_phone,
+        address_id: series.address_id,
+        customer_address: series.customer_address,
+        customer_pincode: series.customer_pincode,
+        site_contact: series.site_contact?.phone
+          ? { name: series.site_contact.name, phone: series.site_contact.phone }
+          : undefined,
+        special_instructions: series.special_instructions,
+        addons: breakdown.addons.map(({ addon_id, quantity }) => ({ addon_id, quantity })),
+        base_price: breakdown.base_price,
+        addon_price: breakdown.addon_price,
+        estimated_duration_minutes: breakdown.duration_minutes,
+        platform_fee: breakdown.platform_fee,
+        total_price: breakdown.total_price,
+        payment_method: series.payment_method,
+        status: 'pending',
+      },
+      slotId: slot?._id,
+    });
+  } catch (err) {
+    // Another scheduler run already booked this occurrence (unique series_id + booking_date)
+    if (err.code === 11000) return {};
+    throw err;
+  }
+  if (!checkout.booking) return { error: checkout.error };
+  const { booking } = checkout;
+
+  await recordBookingEvent({
+    bookingId: booking._id,
+    type: 'created',
+    actor: { kind: 'system' },
+    newValue: {
+      status: booking.status,
+      booking_date: booking.booking_date,
+      booking_time: booking.booking_time,
+      total_price: booking.total_price,
+      payment_method: booking.payment_method,
+      series_id: series._id,
+    },
+    note: 'Recurring booking',
+  });
+
+  if (customer) {
+    await sendBookingStatusUpdate({
+      customer,
+      status: 'scheduled',
+      serviceName,
+      bookingId: booking._id,
+      bookingDate: booking.booking_date,
+      seriesId: series._id,
+    });
+  }
+
+  return { booking };
+};
+
+/**
+ * Book every occurrence of a series up to a horizon, skipping the ones the customer skipped
+ * or paused. Occurrences whose slot is full are recorded as skipped and the customer is told.
+ * @param {Object} series - BookingSeries document
+ * @param {Date} until - Horizon (defaults to RECURRING_SCHEDULE_AHEAD_DAYS from now)
+ * @returns {Promise<Array>} Bookings created
+ */
+export const materializeSeries = async (series, until = new Date(Date.now() + SCHEDULE_AHEAD_DAYS * DAY_MS)) => {
+  const created = [];
+  if (!['active', 'paused'].includes(series.status)) return created;
+
+  // A pause with an end date lifts itself
+  if (series.status === 'paused' && series.paused_until && series.paused_until <= new Date()) {
+    series.status = 'active';
+    series.paused_until = undefined;
+  }
+  // Paused without an end date: nothing is booked until the customer resumes
+  if (series.status === 'paused' && !series.paused_until) return created;
+
+  const [customer, service] = await Promise.all([
+    ProfileModel.findById(series.customer_id).select('full_name phone email'),
+    ServiceModel.findById(series.service_id).select('name'),
+  ]);
+  const context = { customer, serviceName: service?.name || 'service' };
+  const today = dayKey(new Date());
+
+  for (;;) {
+    const index = series.next_index;
+    const date = getOccurrenceDate(series.recurrence, index);
+    if (isAfterSeriesEnd(series.recurrence, index, date)) {
+      series.status = 'completed';
+      break;
+    }
+    if (date > until) break;
+
+    const skipped = series.skipped_occurrences.some((s) => dayKey(s.date) === dayKey(date));
+    if (skipped) {
+      // Skipped by the customer in advance
+    } else if (series.status === 'paused' && dayKey(date) < dayKey(series.paused_until)) {
+      series.skipped_occurrences.push({ date, reason: 'paused' });
+    } else if (dayKey(date) < today) {
+      // Date passed while the series was paused
+      series.skipped_occurrences.push({ date, reason: 'missed' });
+    } else {
+      const result = await createOccurrence(series, date, context);
+      if (result.booking) {
+        created.push(result.booking);
+      } else if (result.error) {
+        series.skipped_occurrences.push({ date, reason: result.error });
+        if (result.error === 'slot_unavailable' && customer) {
+          await sendBookingStatusUpdate({
+            customer,
+            status: 'slot_unavailable',
+            serviceName: context.serviceName,
+            bookingDate: date,
+            seriesId: series._id,
+          });
+        }
+      }
+    }
+    series.next_index = index + 1;
+  }
+
+  series.last_materialized_at = new Date();
+  await series.save();
+  return created;
+};
+
+/**
+ * Materialize all active and paused series
+ * @returns {Promise<{series: number, created: number}>}
+ */
+export const runRecurringScheduler = async () => {
+  const seriesList = await BookingSeriesModel.find({ status: { $in: ['active', 'paused'] } });
+  let created = 0;
+  for (const series of seriesList) {
+    try {
+      created += (await materializeSeries(series)).length;
+    } catch (err) {
+      console.error(`Recurring scheduler failed for series ${series._id}:`, err);
+    }
+  }
+  if (created > 0) {
+    console.log(`🔁 Recurring scheduler booked ${created} occurrences across ${seriesList.length} series`);
+  }
+  return { series: seriesList.length, created };
+};
+
+/**
+ * Run the recurring scheduler on an interval
+ * @param {number} intervalMinutes - Minutes between runs
+ * @param {Function} isReady - Returns true when the database is connected
+ * @returns {NodeJS.Timeout}
+ */
+export const startRecurringScheduler = (intervalMinutes, isReady = () => true) => {
+  let running = false;
+  const tick = async () => {
+    if (running || !isReady()) return;
+    running = true;
+    try {
+      await runRecurringScheduler();
+    } catch (err) {
+      console.error('Recurring scheduler error:', err);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,94 @@
+/**
+ * Reschedule Policy Service
+ *
+ * Limits how often and how late a customer can move a booking:
+ * - max_reschedules: reschedules allowed per booking
+ * - cutoff_hours: no reschedules when the current slot starts in less than this many hours
+ * - free_reschedules / fee_amount: reschedules after the free ones cost a flat fee, which is
+ *   added to the booking's extra_charges (like an approved quote)
+ *
+ * Staff reschedules skip the limits and are never charged. Admins can change the policy
+ * (ReschedulePolicy collection).
+ */
+
+import { getSlotStart } from './cancellationPolicy.js';
+
+// ReschedulePolicy model (passed from index.js, same as the notification service)
+let ReschedulePolicyModel = null;
+
+export const setReschedulePolicyModel = (model) => {
+  ReschedulePolicyModel = model;
+};
+
+export const DEFAULT_RESCHEDULE_POLICY = {
+  max_reschedules: 2,
+  cutoff_hours: 2,
+  free_reschedules: 1,
+  fee_amount: 0,
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Active reschedule policy (defaults until an admin saves one)
+ * @returns {Promise<Object>}
+ */
+export const getReschedulePolicy = async () => {
+  const policy = ReschedulePolicyModel ? await ReschedulePolicyModel.findOne({ is_active: true }) : null;
+  if (!policy) return { ...DEFAULT_RESCHEDULE_POLICY };
+  return {
+    max_reschedules: policy.max_reschedules,
+    cutoff_hours: policy.cutoff_hours,
+    free_reschedules: policy.free_reschedules,
+    fee_amount: policy.fee_amount,
+  };
+};
+
+/**
+ * Check whether a customer may reschedule a booking now, and what it costs
+ * @param {Object} booking - Booking document (current schedule)
+ * @param {Object} policy - Reschedule policy
+ * @param {Date} now - Request time
+ * @returns {{allowed: boolean, fee?: number, status?: number, error?: string, message?: string}}
+ */
+export const checkReschedule = (booking, policy, now = new Date()) => {
+  const count = booking.reschedule_count || 0;
+  if (policy.max_reschedules != null && count >= policy.max_reschedules) {
+    return {
+      allowed: false,
+      status: 409,
+      error: 'reschedule_limit_reached',
+      message: `This booking has already been rescheduled ${count} times. Please contact support to change it.`,
+    };
+  }
+
+  const slotStart = getSlotStart(booking);
+  if (policy.cutoff_hours && slotStart && slotStart.getTime() - now.getTime() < policy.cutoff_hours * 60 * 60 * 1000) {
+    return {
+      allowed: false,
+      status: 409,
+      error: 'reschedule_cutoff_passed',
+      message: `Bookings can only be rescheduled up to ${policy.cutoff_hours} hours before the visit`,
+    };
+  }
+
+  const fee = count >= (policy.free_reschedules || 0) ? roundMoney(policy.fee_amount || 0) : 0;
+  return { allowed: true, fee };
+};
+
+/**
+ * Add a reschedule fee to a booking (mutates the booking; the caller saves it)
+ * @param {Object} booking - Booking document
+ * @param {number} fee - Fee amount
+ */
+export const applyRescheduleFee = (booking, fee) => {
+  if (!(fee > 0)) return;
+  // The fee is still owed on bookings paid before the reschedule
+  if (booking.payment_status === 'paid') {
+    if (booking.amount_paid == null) booking.amount_paid = booking.total_price;
+    booking.payment_status = 'partially_paid';
+  }
+  booking.reschedule_fees = roundMoney((booking.reschedule_fees || 0) + fee);
+  booking.extra_charges = roundMoney((booking.extra_charges || 0) + fee);
+  booking.total_price = roundMoney((booking.total_price || 0) + fee);
+};
@@ -0,0 +1,138 @@
+/**
+ * Revised Quote Service
+ *
+ * On-site scope changes: after reaching the customer, the technician can submit a revised quote
+ * with labour and part line items. The customer approves or rejects it through a one-time link
+ * (sent on WhatsApp) or in the app. Only an approved quote changes the booking's price:
+ * - extra_charges and total_price grow by the quote total
+ * - a booking that was already paid becomes 'partially_paid' until the extra amount is paid
+ *
+ * Quotes are stored on the booking (Booking.quotes) so they stay part of its invoice history.
+ */
+
+import crypto from 'crypto';
+
+export const QUOTE_LINE_TYPES = ['labour', 'part'];
+
+// How long the customer has to respond to a quote
+const QUOTE_TTL_HOURS = parseInt(process.env.QUOTE_APPROVAL_TTL_HOURS || '24', 10);
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+export const hashQuoteToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Build a pending quote from the technician's line items
+ * @param {Array} lineItems - [{ type: 'labour' | 'part', description, quantity, unit_price }]
+ * @param {Object} options
+ * @param {number} options.currentTotal - Booking total before the quote
+ * @param {string} options.note - Technician's explanation (optional)
+ * @param {string} options.submittedBy - Profile ID of the technician (optional)
+ * @returns {{quote: Object, token: string}} Quote subdocument and the plain approval token
+ */
+export const buildQuote = (lineItems, { currentTotal, note, submittedBy }) => {
+  const lines = lineItems.map((item) => {
+    const quantity = Math.max(1, parseInt(item.quantity, 10) || 1);
+    const unitPrice = roundMoney(Number(item.unit_price) || 0);
+    return {
+      type: item.type,
+      description: String(item.description).trim(),
+      quantity,
+      unit_price: unitPrice,
+      total: roundMoney(quantity * unitPrice),
+    };
+  });
+  const labourTotal = roundMoney(lines.filter((l) => l.type === 'labour').reduce((sum, l) => sum + l.total, 0));
+  const partsTotal = roundMoney(lines.filter((l) => l.type === 'part').reduce((sum, l) => sum + l.total, 0));
+  const total = roundMoney(labourTotal + partsTotal);
+
+  // The plain token only goes into the customer's link; the booking stores its hash
+  const token = crypto.randomBytes(24).toString('hex');
+
+  return {
+    token,
+    quote: {
+      line_items: lines,
+      labour_total: labourTotal,
+      parts_total: partsTotal,
+      total,
+      previous_total: currentTotal,
+      new_total: roundMoney(currentTotal + total),
+      note,
+      status: 'pending',
+      submitted_by: submittedBy,
+      submitted_at: new Date(),
+      expires_at: new Date(Date.now() + QUOTE_TTL_HOURS * 60 * 60 * 1000),
+      token_hash: hashQuoteToken(token),
+    },
+  };
+};
+
+/**
+ * The booking's quote waiting for the customer, if any
+ * @param {Object} booking - Booking document
+ * @returns {Object|null}
+ */
+export const getPendingQuote = (booking) =>
+  (booking.quotes || []).find((q) => q.status === 'pending' && q.expires_at > new Date()) || null;
+
+/**
+ * Apply the customer's decision to a quote (mutates the booking; the caller saves it)
+ * @param {Object} booking - Booking document
+ * @param {Object} quote - Quote subdocument of that booking
+ * @param {string} decision - 'approved' | 'rejected'
+ * @param {Object} options
+ * @param {string} options.via - 'link' | 'app' | 'staff'
+ * @param {string} options.reason - Rejection reason (optional)
+ * @returns {{quote?: Object, status?: number, error?: string, message?: string}}
+ */
+export const respondToQuote = (booking, quote, decision, { via, reason }) => {
+  if (quote.status !== 'pending') {
+    return { status: 409, error: 'quote_already_answered', message: `This quote was already ${quote.status}` };
+  }
+  if (quote.expires_at <= new Date()) {
+    return { status: 410, error: 'quote_expired', message: 'This quote has expired. Please ask the technician for a new one.' };
+  }
+  if (booking.status !== 'reached') {
+    return { status: 409, error: 'quote_not_open', message: 'This quote can no longer be answered' };
+  }
+
+  quote.status = decision;
+  quote.responded_at = new Date();
+  quote.responded_via = via;
+  quote.token_hash = undefined; // Links are single use
+
+  if (decision === 'rejected') {
+    quote.rejection_reason = reason;
+    return { quote };
+  }
+
+  // The extra amount is still owed on bookings paid before the visit
+  if (booking.payment_status === 'paid' && quote.total > 0) {
+    if (booking.amount_paid == null) booking.amount_paid = booking.total_price;
+    booking.payment_status = 'partially_paid';
+  }
+  booking.extra_charges = roundMoney((booking.extra_charges || 0) + quote.total);
+  booking.total_price = roundMoney((booking.total_price || 0) + quote.total);
+  return { quote };
+};
+
+/**
+ * Amount still to be paid on a booking (total minus what was already collected)
+ * @param {Object} booking - Booking document
+ * @returns {number}
+ */
+export const getAmountDue = (booking) => {
+  if (booking.payment_status === 'paid') return 0;
+  return roundMoney(Math.max(0, (booking.total_price || 0) - (booking.amount_paid || 0)));
+};
+
+/**
+ * Customer-facing view of a quote (no token hash)
+ * @param {Object} quote - Quote subdocument
+ * @returns {Object}
+ */
+export const serializeQuote = (quote) => {
+  const { token_hash, ...rest } = quote.toObject ? quote.toObject() : quote;
+  return rest;
+};
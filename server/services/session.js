@@ -0,0 +1,223 @@
+/**
+ * Session Service
+ *
+ * Issues and verifies signed session tokens:
+ * - Access tokens: short-lived HMAC-SHA256 signed JWTs carrying the profile id and role
+ * - Refresh tokens: opaque random tokens stored hashed in the database and rotated on every use
+ *
+ * Refresh tokens belong to a "family" (one per login). Presenting a refresh token that
+ * was already rotated revokes the whole family, since it means the token was copied.
+ *
+ * Environment Variables:
+ * - SESSION_SECRET: Secret used to sign access tokens (required)
+ * - ACCESS_TOKEN_TTL_SECONDS: Access token lifetime (default: 900 = 15 minutes)
+ * - REFRESH_TOKEN_TTL_DAYS: Refresh token lifetime (default: 30 days)
+ */
+
+import crypto from 'crypto';
+
+// Models (passed from index.js, same as the notification service)
+let ProfileModel = null;
+let RefreshTokenModel = null;
+
+export const setSessionModels = ({ Profile, RefreshToken }) => {
+  ProfileModel = Profile;
+  RefreshTokenModel = RefreshToken;
+};
+
+const getAccessTokenTtl = () => Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+const getRefreshTokenTtlMs = () => (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const getSecret = () => {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret) {
+    throw new Error('SESSION_SECRET not configured');
+  }
+  return secret;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const sign = (data) => crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+
+/**
+ * Sign an access token for a profile
+ * @param {Object} profile - Profile document
+ * @returns {string} Signed access token
+ */
+export const signAccessToken = (profile) => {
+  const now = Math.floor(Date.now() / 1000);
+  const header = Buffer.from(JSON.stringify({ alg: 'HS256', typ: 'JWT' })).toString('base64url');
+  const payload = Buffer.from(
+    JSON.stringify({
+      sub: profile._id.toString(),
+      role: profile.role || 'customer',
+      ver: profile.session_version || 0,
+      typ: 'access',
+      iat: now,
+      exp: now + getAccessTokenTtl(),
+    })
+  ).toString('base64url');
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+};
+
+/**
+ * Verify an access token's signature and expiry
+ * @param {string} token - Access token
+ * @returns {{valid: boolean, payload?: Object, error?: string}}
+ */
+export const verifyAccessToken = (token) => {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) {
+    return { valid: false, error: 'invalid_token' };
+  }
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const provided = Buffer.from(signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return { valid: false, error: 'invalid_token' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (err) {
+    return { valid: false, error: 'invalid_token' };
+  }
+
+  if (claims.typ !== 'access' || !claims.sub) {
+    return { valid: false, error: 'invalid_token' };
+  }
+  if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) {
+    return { valid: false, error: 'token_expired' };
+  }
+
+  return { valid: true, payload: claims };
+};
+
+/**
+ * Resolve the user behind an access token.
+ * The profile is re-read so role changes and revocations take effect immediately.
+ * @param {string} token - Access token
+ * @returns {Promise<{user?: {id: string, role: string}, error?: string}>}
+ */
+export const resolveAccessToken = async (token) => {
+  const result = verifyAccessToken(token);
+  if (!result.valid) return { error: result.error };
+
+  const profile = await ProfileModel.findById(result.payload.sub).select('role session_version');
+  if (!profile) return { error: 'invalid_token' };
+  if ((profile.session_version || 0) !== result.payload.ver) {
+    return { error: 'token_revoked' };
+  }
+
+  return { user: { id: profile._id.toString(), role: profile.role || 'customer' } };
+};
+
+const createRefreshToken = async (profile, familyId, meta = {}) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  await RefreshTokenModel.create({
+    user_id: profile._id,
+    token_hash: hashToken(token),
+    family_id: familyId,
+    expires_at: new Date(Date.now() + getRefreshTokenTtlMs()),
+    user_agent: meta.userAgent,
+    ip: meta.ip,
+  });
+  return token;
+};
+
+/**
+ * Issue a new session (access + refresh token) for a profile
+ * @param {Object} profile - Profile document
+ * @param {Object} meta - Request metadata
+ * @param {string} meta.userAgent - Client user agent (optional)
+ * @param {string} meta.ip - Client IP (optional)
+ * @returns {Promise<{access_token: string, refresh_token: string, token_type: string, expires_in: number}>}
+ */
+export const issueSession = async (profile, meta = {}) => {
+  const familyId = crypto.randomUUID();
+  const refreshToken = await createRefreshToken(profile, familyId, meta);
+  return {
+    access_token: signAccessToken(profile),
+    refresh_token: refreshToken,
+    token_type: 'Bearer',
+    expires_in: getAccessTokenTtl(),
+  };
+};
+
+/**
+ * Exchange a refresh token for a new session, rotating the refresh token
+ * @param {string} token - Refresh token
+ * @param {Object} meta - Request metadata (see issueSession)
+ * @returns {Promise<{session?: Object, error?: string}>}
+ */
+export const rotateRefreshToken = async (token, meta = {}) => {
+  if (!token) return { error: 'invalid_refresh_token' };
+
+  const stored = await RefreshTokenModel.findOne({ token_hash: hashToken(token) });
+  if (!stored) return { error: 'invalid_refresh_token' };
+
+  if (stored.revoked_at) {
+    // A rotated token was presented again: assume it leaked and end the whole login
+    console.warn(`⚠️ Refresh token reuse detected for user ${stored.user_id}, revoking session family ${stored.family_id}`);
+    await RefreshTokenModel.updateMany(
+      { family_id: stored.family_id, revoked_at: null },
+      { revoked_at: new Date() }
+    );
+    return { error: 'refresh_token_reused' };
+  }
+  if (stored.expires_at <= new Date()) {
+    return { error: 'refresh_token_expired' };
+  }
+
+  const profile = await ProfileModel.findById(stored.user_id);
+  if (!profile) return { error: 'invalid_refresh_token' };
+
+  // Revoke only if nobody rotated it concurrently
+  const claimed = await RefreshTokenModel.findOneAndUpdate(
+    { _id: stored._id, revoked_at: null },
+    { revoked_at: new Date() }
+  );
+  if (!claimed) return { error: 'refresh_token_reused' };
+
+  const refreshToken = await createRefreshToken(profile, stored.family_id, meta);
+  claimed.replaced_by = hashToken(refreshToken);
+  await claimed.save();
+
+  return {
+    session: {
+      access_token: signAccessToken(profile),
+      refresh_token: refreshToken,
+      token_type: 'Bearer',
+      expires_in: getAccessTokenTtl(),
+    },
+  };
+};
+
+/**
+ * Revoke the session family a refresh token belongs to (logout)
+ * @param {string} token - Refresh token
+ * @returns {Promise<boolean>} Whether a session was found
+ */
+export const revokeRefreshToken = async (token) => {
+  if (!token) return false;
+  const stored = await RefreshTokenModel.findOne({ token_hash: hashToken(token) });
+  if (!stored) return false;
+  await RefreshTokenModel.updateMany(
+    { family_id: stored.family_id, revoked_at: null },
+    { revoked_at: new Date() }
+  );
+  return true;
+};
+
+/**
+ * Revoke every session of a profile, including access tokens already issued
+ * @param {string} profileId - Profile ID
+ * @returns {Promise<void>}
+ */
+export const revokeAllSessions = async (profileId) => {
+  await ProfileModel.findByIdAndUpdate(profileId, { $inc: { session_version: 1 } });
+  await RefreshTokenModel.updateMany({ user_id: profileId, revoked_at: null }, { revoked_at: new Date() });
+};
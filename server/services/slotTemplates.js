@@ -0,0 +1,234 @@
+/**
+ * Slot Template Service
+ *
+ * Weekly slot templates (per service or per category) generate the Slot documents bookings
+ * reserve, so admins no longer create one slot per service, day and time window by hand:
+ * - days_of_week: 0 (Sunday) to 6 (Saturday)
+ * - windows: [{ time_slot: "09:00-12:00" (or "morning"), capacity }]
+ * A scheduler rolls the templates forward SLOT_GENERATION_DAYS ahead (default 14). Existing slots
+ * are never changed, so capacity edited by hand stays as it is. Blackout dates (holidays) get no
+ * slots, for every service or only for some services or categories; slots that already exist
+ * on a new blackout date are closed to new bookings (blackout_id) until the blackout is deleted.
+ *
+ * Once a service has an active template, a time with no slot is not bookable (closed day,
+ * holiday, or a window the service does not offer). Services without templates keep the old
+ * behaviour: no slot means no capacity limit.
+ */
+
+import { findSlot, resolveTimeSlot } from './bookingCheckout.js';
+import { dayKey } from './recurringBookings.js';
+
+// Models (passed from index.js, same as the notification service)
+let SlotTemplateModel = null;
+let BlackoutDateModel = null;
+let SlotModel = null;
+let ServiceModel = null;
+
+export const setSlotTemplateModels = ({ SlotTemplate, BlackoutDate, Slot, Service }) => {
+  SlotTemplateModel = SlotTemplate;
+  BlackoutDateModel = BlackoutDate;
+  SlotModel = Slot;
+  ServiceModel = Service;
+};
+
+// How many days ahead slots are generated
+export const SLOT_GENERATION_DAYS = parseInt(process.env.SLOT_GENERATION_DAYS || '14', 10);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Midnight (UTC) of a calendar date, the way slot and blackout dates are stored
+ * @param {Date|string} date - Date
+ * @returns {Date}
+ */
+export const startOfDay = (date) => new Date(`${dayKey(date)}T00:00:00.000Z`);
+
+/**
+ * Whether a blackout covers a service
+ * @param {Object} blackout - BlackoutDate
+ * @param {Object} service - Service with _id and category_id
+ * @returns {boolean}
+ */
+export const blackoutCovers = (blackout, service) => {
+  const services = blackout.service_ids || [];
+  const categories = blackout.category_ids || [];
+  if (!services.length && !categories.length) return true;
+  return (
+    services.some((id) => id.equals(service._id)) ||
+    (!!service.category_id && categories.some((id) => id.equals(service.category_id)))
+  );
+};
+
+// Services a template generates slots for
+const templateServices = (template) =>
+  template.service_id
+    ? ServiceModel.find({ _id: template.service_id }).select('category_id')
+    : ServiceModel.find({ category_id: template.category_id, is_active: true }).select('category_id');
+
+/**
+ * Create the missing slots of all active templates for the coming days
+ * @param {Object} options
+ * @param {number} options.days - Days ahead, starting today (default SLOT_GENERATION_DAYS)
+ * @param {Date} options.from - First day (default today)
+ * @returns {Promise<{created: number, skippedBlackouts: number}>}
+ */
+export const generateSlots = async ({ days = SLOT_GENERATION_DAYS, from = new Date() } = {}) => {
+  const templates = await SlotTemplateModel.find({ is_active: true });
+  const start = startOfDay(from);
+  const end = new Date(start.getTime() + days * DAY_MS);
+  const blackouts = await BlackoutDateModel.find({ date: { $gte: start, $lt: end } });
+
+  let created = 0;
+  let skippedBlackouts = 0;
+  for (const template of templates) {
+    const services = await templateServices(template);
+    for (let day = 0; day < days; day += 1) {
+      const date = new Date(start.getTime() + day * DAY_MS);
+      if (!template.days_of_week.includes(date.getUTCDay())) continue;
+      if (template.effective_from && dayKey(date) < dayKey(template.effective_from)) continue;
+      if (template.effective_until && dayKey(date) > dayKey(template.effective_until)) continue;
+
+      const dayBlackouts = blackouts.filter((blackout) => dayKey(blackout.date) === dayKey(date));
+      // Same day range as findSlot, so slots created by hand are found too
+      const localDay = new Date(date);
+      const dayRange = {
+        $gte: new Date(localDay.setHours(0, 0, 0, 0)),
+        $lt: new Date(localDay.setHours(23, 59, 59, 999)),
+      };
+
+      for (const service of services) {
+        if (dayBlackouts.some((blackout) => blackoutCovers(blackout, service))) {
+          skippedBlackouts += 1;
+          continue;
+        }
+        for (const window of template.windows) {
+          const result = await SlotModel.updateOne(
+            { service_id: service._id, date: dayRange, time_slot: resolveTimeSlot(window.time_slot) },
+            {
+              $setOnInsert: {
+                date,
+                total_capacity: window.capacity,
+                booked_count: 0,
+                is_available: true,
+                template_id: template._id,
+              },
+            },
+            { upsert: true }
+          );
+          created += result.upsertedCount || 0;
+        }
+      }
+    }
+  }
+
+  if (created > 0) {
+    console.log(`🗓️ Generated ${created} slots from ${templates.length} templates`);
+  }
+  return { created, skippedBlackouts };
+};
+
+// Slots on a blackout's day, of the services it covers
+const blackoutSlotFilter = async (blackout) => {
+  const filter = { date: { $gte: blackout.date, $lt: new Date(blackout.date.getTime() + DAY_MS) } };
+  const serviceIds = blackout.service_ids || [];
+  const categoryIds = blackout.category_ids || [];
+  if (serviceIds.length || categoryIds.length) {
+    const categoryServices = categoryIds.length
+      ? await ServiceModel.find({ category_id: { $in: categoryIds } }).distinct('_id')
+      : [];
+    filter.service_id = { $in: [...serviceIds, ...categoryServices] };
+  }
+  return filter;
+};
+
+/**
+ * Take a blackout's day off sale: generated slots nobody booked are removed, the others
+ * (booked, or added by hand) stay for their bookings but take no new ones
+ * @param {Object} blackout - BlackoutDate
+ * @returns {Promise<{removed: number, closed: number, withBookings: number}>}
+ */
+export const closeBlackoutSlots = async (blackout) => {
+  const filter = await blackoutSlotFilter(blackout);
+  const { deletedCount } = await SlotModel.deleteMany({ ...filter, template_id: { $exists: true }, booked_count: 0 });
+  const { modifiedCount } = await SlotModel.updateMany(
+    { ...filter, blackout_id: null },
+    { blackout_id: blackout._id, is_available: false }
+  );
+  const withBookings = await SlotModel.countDocuments({ ...filter, booked_count: { $gt: 0 } });
+  return { removed: deletedCount, closed: modifiedCount, withBookings };
+};
+
+/**
+ * Put the slots a deleted blackout closed back on sale, except those another blackout of the
+ * same day still covers
+ * @param {Object} blackout - Deleted BlackoutDate
+ * @returns {Promise<void>}
+ */
+export const reopenBlackoutSlots = async (blackout) => {
+  await SlotModel.updateMany({ blackout_id: blackout._id }, [
+    { $set: { is_available: { $lt: ['$booked_count', '$total_capacity'] } } },
+    { $unset: 'blackout_id' },
+  ]);
+  const others = await BlackoutDateModel.find({ date: blackout.date });
+  for (const other of others) {
+    await closeBlackoutSlots(other);
+  }
+};
+
+/**
+ * Whether a service's capacity is managed by slot templates
+ * @param {string} serviceId - Service ID
+ * @returns {Promise<boolean>}
+ */
+export const isSlotManaged = async (serviceId) => {
+  const service = await ServiceModel.findById(serviceId).select('category_id');
+  if (!service) return false;
+  const conditions = [{ service_id: service._id }];
+  if (service.category_id) conditions.push({ category_id: service.category_id });
+  return !!(await SlotTemplateModel.exists({ is_active: true, $or: conditions }));
+};
+
+/**
+ * Find the slot a booking would reserve. Services on slot templates can only be booked into
+ * an existing slot; other services may be booked without one.
+ * @param {string} serviceId - Service ID
+ * @param {Date|string} date - Booking date
+ * @param {string} time - Booking time
+ * @returns {Promise<{slot?: Object|null, status?: number, error?: string, message?: string}>}
+ */
+export const findBookableSlot = async (serviceId, date, time) => {
+  const slot = await findSlot(serviceId, date, time);
+  if (slot) return { slot };
+  if (await isSlotManaged(serviceId)) {
+    return {
+      status: 400,
+      error: 'slot_unavailable',
+      message: 'There is no booking window at this time. Please choose another time.',
+    };
+  }
+  return { slot: null };
+};
+
+/**
+ * Run slot generation on an interval
+ * @param {number} intervalMinutes - Minutes between runs
+ * @param {Function} isReady - Returns true when the database is connected
+ * @returns {NodeJS.Timeout}
+ */
+export const startSlotGenerator = (intervalMinutes, isReady = () => true) => {
+  let running = false;
+  const tick = async () => {
+    if (running || !isReady()) return;
+    running = true;
+    try {
+      await generateSlots();
+    } catch (err) {
+      console.error('Slot generator error:', err);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
@@ -0,0 +1,256 @@
+/**
+ * Waitlist Service
+ *
+ * Customers can queue for a fully booked slot. When a cancellation or reschedule frees a seat,
+ * the first customer in line gets a WhatsApp offer with a one-time link. The seat is held for
+ * them while the offer is open (WAITLIST_OFFER_MINUTES, default 30):
+ * - accept: the booking is created automatically on the held seat
+ * - decline or no answer: the seat goes to the next customer in line (or back on sale)
+ *
+ * Entry statuses: waiting → offered → booked, or expired / declined / cancelled.
+ */
+
+import crypto from 'crypto';
+import { calculateBookingPrice } from './pricing.js';
+import { createBookingWithReservations, reserveSlot, releaseSlot } from './bookingCheckout.js';
+import { recordBookingEvent } from './bookingEvents.js';
+import { sendNotification } from './notifications.js';
+import { getPaymentHoldUntil } from './paymentExpiry.js';
+
+// Models (passed from index.js, same as the notification service)
+let WaitlistEntryModel = null;
+let ServiceModel = null;
+
+export const setWaitlistModels = ({ WaitlistEntry, Service }) => {
+  WaitlistEntryModel = WaitlistEntry;
+  ServiceModel = Service;
+};
+
+// How long a customer has to accept an offered seat
+export const WAITLIST_OFFER_MINUTES = parseInt(process.env.WAITLIST_OFFER_MINUTES || '30', 10);
+
+// Entries still in the queue
+export const OPEN_WAITLIST_STATUSES = ['waiting', 'offered'];
+
+export const hashWaitlistToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const offerLink = (token) => `${process.env.FRONTEND_URL || 'https://acehomesolutions.in'}/waitlist/${token}`;
+
+/**
+ * Offer a freed seat of a slot to the first customer waiting for it.
+ * The seat is reserved for them until the offer expires.
+ * @param {string} slotId - Slot ID
+ * @returns {Promise<Object|null>} Offered entry, or null if nobody is waiting or the seat is gone
+ */
+export const offerNextInLine = async (slotId) => {
+  for (;;) {
+    const next = await WaitlistEntryModel.findOne({ slot_id: slotId, status: 'waiting' }).sort({ created_at: 1 });
+    if (!next) return null;
+
+    // Someone may have booked the seat directly in the meantime
+    const slot = await reserveSlot(slotId);
+    if (!slot) return null;
+
+    const token = crypto.randomBytes(24).toString('hex');
+    const entry = await WaitlistEntryModel.findOneAndUpdate(
+      { _id: next._id, status: 'waiting' },
+      {
+        status: 'offered',
+        offered_at: new Date(),
+        offer_expires_at: new Date(Date.now() + WAITLIST_OFFER_MINUTES * 60 * 1000),
+        offer_token_hash: hashWaitlistToken(token),
+      },
+      { new: true }
+    );
+    if (!entry) {
+      // Left the waitlist while we were reserving; try the next customer
+      await releaseSlot(slotId);
+      continue;
+    }
+
+    const service = await ServiceModel.findById(entry.service_id).select('name');
+    const visitDate = new Date(entry.date).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
+    const buildMessage = (link) =>
+      `Hello! ${entry.customer_name || 'Customer'}\n\nGood news! A ${service?.name || 'service'} slot opened up on ${visitDate} (${slot.time_slot}).\n\nIt is held for you for ${WAITLIST_OFFER_MINUTES} minutes. Book it here: ${link}\n\nThank you for choosing ACE Home Solutions!`;
+    await sendNotification({
+      to: entry.customer_phone,
+      type: 'whatsapp',
+      message: buildMessage(offerLink(token)),
+      // The link books the held seat, so the stored copy leaves the token out
+      storedMessage: buildMessage(offerLink('[redacted]')),
+      userId: entry.customer_id,
+      metadata: { type: 'waitlist_offer', waitlist_entry_id: entry._id.toString() },
+    });
+
+    console.log(`🎟️ Waitlist seat offered to ${entry.customer_id} for slot ${slotId}`);
+    return entry;
+  }
+};
+
+/**
+ * Give back a held seat (declined or expired offer) and offer it to the next customer
+ * @param {Object} entry - Offered entry
+ * @param {string} status - 'declined' | 'expired' | 'cancelled'
+ * @returns {Promise<boolean>} false if the offer was no longer open
+ */
+export const closeOffer = async (entry, status) => {
+  const closed = await WaitlistEntryModel.findOneAndUpdate(
+    { _id: entry._id, status: 'offered' },
+    { status, closed_at: new Date(), $unset: { offer_token_hash: 1 } },
+    { new: true }
+  );
+  if (!closed) return false;
+  await releaseSlot(closed.slot_id);
+  await offerNextInLine(closed.slot_id);
+  return true;
+};
+
+// Create the booking of a claimed offer on its held seat
+const bookClaimedOffer = async (claimed) => {
+  const pricing = await calculateBookingPrice({ serviceId: claimed.service_id, addons: claimed.addons });
+  if (!pricing.breakdown) return pricing;
+  return createBookingWithReservations({
+    // The seat is already held for this entry, so no slot is reserved again
+    bookingData: {
+      customer_id: claimed.customer_id,
+      service_id: claimed.service_id,
+      booking_date: claimed.date,
+      booking_time: claimed.booking_time,
+      customer_name: claimed.customer_name,
+      customer_phone: claimed.customer_phone,
+      address_id: claimed.address_id,
+      customer_address: claimed.customer_address,
+      customer_pincode: claimed.customer_pincode,
+      special_instructions: claimed.special_instructions,
+      addons: pricing.breakdown.addons.map(({ addon_id, quantity }) => ({ addon_id, quantity })),
+      base_price: pricing.breakdown.base_price,
+      addon_price: pricing.breakdown.addon_price,
+      estimated_duration_minutes: pricing.breakdown.duration_minutes,
+      platform_fee: pricing.breakdown.platform_fee,
+      total_price: pricing.breakdown.total_price,
+      payment_method: claimed.payment_method,
+      ...(claimed.payment_method === 'online' ? { payment_hold_until: getPaymentHoldUntil() } : {}),
+      status: 'pending',
+    },
+  });
+};
+
+/**
+ * Book an offered seat for the customer
+ * @param {Object} entry - Offered entry
+ * @returns {Promise<{booking?: Object, entry?: Object, status?: number, error?: string, message?: string}>}
+ */
+export const acceptOffer = async (entry) => {
+  if (entry.status !== 'offered') {
+    return { status: 409, error: 'offer_not_open', message: `This waitlist offer is ${entry.status}` };
+  }
+  if (entry.offer_expires_at <= new Date()) {
+    return { status: 410, error: 'offer_expired', message: 'This offer has expired' };
+  }
+
+  // Claim the offer so the expiry sweeper cannot give the seat away meanwhile
+  const claimed = await WaitlistEntryModel.findOneAndUpdate(
+    { _id: entry._id, status: 'offered' },
+    { status: 'booking', $unset: { offer_token_hash: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    return { status: 409, error: 'offer_not_open', message: 'This waitlist offer is no longer open' };
+  }
+
+  let checkout;
+  try {
+    checkout = await bookClaimedOffer(claimed);
+  } catch (err) {
+    // Unexpected failure (e.g. the database): reopen the offer so the customer can use the link
+    // again; if they do not, the expiry sweeper passes the held seat on
+    await WaitlistEntryModel.updateOne(
+      { _id: claimed._id, status: 'booking' },
+      { status: 'offered', offer_token_hash: entry.offer_token_hash }
+    );
+    throw err;
+  }
+
+  if (!checkout.booking) {
+    // Could not book (e.g. the service was withdrawn): pass the seat on
+    await WaitlistEntryModel.updateOne({ _id: claimed._id }, { status: 'cancelled', closed_at: new Date() });
+    await releaseSlot(claimed.slot_id);
+    await offerNextInLine(claimed.slot_id);
+    return { status: checkout.status || 400, error: checkout.error, message: checkout.message };
+  }
+
+  const { booking } = checkout;
+  claimed.status = 'booked';
+  claimed.booking_id = booking._id;
+  claimed.closed_at = new Date();
+  await claimed.save();
+
+  await recordBookingEvent({
+    bookingId: booking._id,
+    type: 'created',
+    actor: { id: claimed.customer_id, kind: 'customer' },
+    newValue: {
+      status: booking.status,
+      booking_date: booking.booking_date,
+      booking_time: booking.booking_time,
+      total_price: booking.total_price,
+      payment_method: booking.payment_method,
+      waitlist_entry_id: claimed._id,
+    },
+    note: 'Booked from waitlist',
+  });
+
+  return { booking, entry: claimed };
+};
+
+/**
+ * Close offers nobody answered and drop waiting entries whose date has passed
+ * @returns {Promise<{expiredOffers: number, expiredEntries: number}>}
+ */
+export const expireWaitlist = async () => {
+  const offers = await WaitlistEntryModel.find({ status: 'offered', offer_expires_at: { $lt: new Date() } });
+  let expiredOffers = 0;
+  for (const entry of offers) {
+    try {
+      if (await closeOffer(entry, 'expired')) expiredOffers += 1;
+    } catch (err) {
+      console.error(`Failed to expire waitlist offer ${entry._id}:`, err);
+    }
+  }
+
+  const today = new Date(new Date().toISOString().slice(0, 10));
+  const { modifiedCount } = await WaitlistEntryModel.updateMany(
+    { status: 'waiting', date: { $lt: today } },
+    { status: 'expired', closed_at: new Date() }
+  );
+
+  if (expiredOffers > 0) {
+    console.log(`🎟️ Expired ${expiredOffers} unanswered waitlist offers`);
+  }
+  return { expiredOffers, expiredEntries: modifiedCount };
+};
+
+/**
+ * Run the waitlist expiry on an interval
+ * @param {number} intervalMinutes - Minutes between runs
+ * @param {Function} isReady - Returns true when the database is connected
+ * @returns {NodeJS.Timeout}
+ */
+export const startWaitlistSweeper = (intervalMinutes, isReady = () => true) => {
+  let running = false;
+  const tick = async () => {
+    if (running || !isReady()) return;
+    running = true;
+    try {
+      await expireWaitlist();
+    } catch (err) {
+      console.error('Waitlist sweeper error:', err);
+    } finally {
+      running = false;
+    }
+  };
+  const timer = setInterval(tick, intervalMinutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
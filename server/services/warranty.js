@@ -0,0 +1,54 @@
+/**
+ * Warranty Service
+ *
+ * Every service carries a warranty period (Service.warranty_days, default 30). Within that period
+ * after a booking is completed, the customer can raise a re-service claim: a free child booking
+ * (Booking.warranty_claim.parent_booking_id) that goes to the original technician when they are
+ * free at the requested time. Claims count against the original technician in analytics.
+ */
+
+export const DEFAULT_WARRANTY_DAYS = 30;
+
+// Claims still being worked on; only one may be open per booking
+export const OPEN_CLAIM_STATUSES = ['pending', 'confirmed', 'assigned', 'accepted', 'reached', 'in_progress'];
+
+/**
+ * End of a completed booking's warranty
+ * @param {Object} booking - Booking
+ * @param {number} warrantyDays - Warranty period of the service
+ * @returns {Date|null} null when the booking has no warranty
+ */
+export const getWarrantyEndsAt = (booking, warrantyDays) => {
+  if (booking.status !== 'completed' || !booking.completed_at || !(warrantyDays > 0)) return null;
+  return new Date(new Date(booking.completed_at).getTime() + warrantyDays * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Check that a re-service claim can be raised on a booking
+ * @param {Object} booking - Booking the claim is for
+ * @param {number} warrantyDays - Warranty period of the service
+ * @param {Date} now - Current time
+ * @returns {{allowed: boolean, warranty_ends_at?: Date, status?: number, error?: string, message?: string}}
+ */
+export const checkWarrantyClaim = (booking, warrantyDays, now = new Date()) => {
+  if (booking.warranty_claim?.parent_booking_id) {
+    return { allowed: false, status: 409, error: 'claim_of_claim', message: 'Raise the claim on the original booking' };
+  }
+  if (booking.status !== 'completed') {
+    return { allowed: false, status: 409, error: 'booking_not_completed', message: 'Claims can only be raised on completed bookings' };
+  }
+  const endsAt = getWarrantyEndsAt(booking, warrantyDays);
+  if (!endsAt) {
+    return { allowed: false, status: 409, error: 'no_warranty', message: 'This service has no warranty' };
+  }
+  if (endsAt <= now) {
+    return {
+      allowed: false,
+      status: 409,
+      error: 'warranty_expired',
+      message: `The ${warrantyDays}-day warranty ended on ${endsAt.toLocaleDateString('en-IN')}`,
+      warranty_ends_at: endsAt,
+    };
+  }
+  return { allowed: true, warranty_ends_at: endsAt };
+};
@@ -0,0 +1,282 @@
+/**
+ * Technician Schedule Service
+ *
+ * When a technician can be given work:
+ * - Weekly shifts (Profile.shifts): [{ day_of_week: 0 (Sunday) to 6, start: "09:00", end: "18:00" }].
+ *   A window is on shift when one shift covers all of it. Technicians without shifts work any time.
+ * - Leave (LeaveRequest): whole days, requested by the technician and approved by staff
+ * - Unavailability blocks (UnavailabilityBlock): one-off periods, e.g. a doctor's appointment
+ *
+ * Assignment skips technicians who are off shift, on approved leave or blocked in a booking's window.
+ *
+ * Jobs take time: a booking's estimated duration (service plus add-ons) is placed in the
+ * technician's day at the earliest start within the booking window that leaves
+ * TRAVEL_BUFFER_MINUTES (default 30) to their other jobs and ends within their shift. The planned
+ * interval is stored on the booking (scheduled_start / scheduled_end) and makes up the
+ * technician's schedule, so a 6-hour deep clean blocks the day and 30-minute jobs fit side by side.
+ */
+
+import { resolveTimeSlot } from './bookingCheckout.js';
+import { BUSINESS_UTC_OFFSET } from './cancellationPolicy.js';
+import { dayKey } from './recurringBookings.js';
+
+// Models (passed from index.js, same as the notification service)
+let LeaveRequestModel = null;
+let UnavailabilityBlockModel = null;
+let BookingModel = null;
+
+export const setWorkerScheduleModels = ({ LeaveRequest, UnavailabilityBlock, Booking }) => {
+  LeaveRequestModel = LeaveRequest;
+  UnavailabilityBlockModel = UnavailabilityBlock;
+  BookingModel = Booking;
+};
+
+// Bookings in these statuses hold their technician's time
+export const WORKER_BUSY_STATUSES = ['assigned', 'accepted', 'reached', 'in_progress'];
+
+// Time between two jobs to travel from one address to the next
+export const TRAVEL_BUFFER_MINUTES = parseInt(process.env.TRAVEL_BUFFER_MINUTES || '30', 10);
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+export const LEAVE_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+// Why a technician cannot take a window, for error messages
+export const UNAVAILABLE_REASONS = {
+  off_shift: 'is off shift at this time',
+  on_leave: 'is on leave on this day',
+  blocked: 'has marked this time as unavailable',
+};
+
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+/**
+ * Local start and end of a booking window
+ * @param {Date|string} date - Booking date
+ * @param {string} time - Booking time ("morning" or a range like "09:00-12:00")
+ * @returns {{day: string, from: string, to: string, start: Date, end: Date}}
+ */
+export const getWindowInterval = (date, time) => {
+  const day = dayKey(date);
+  const [from, to] = resolveTimeSlot(time || '').split('-');
+  const startTime = TIME_PATTERN.test(from || '') ? from : '00:00';
+  const endTime = TIME_PATTERN.test(to || '') ? to : '23:59';
+  return {
+    day,
+    from: startTime,
+    to: endTime,
+    start: new Date(`${day}T${startTime}:00${BUSINESS_UTC_OFFSET}`),
+    end: new Date(`${day}T${endTime}:00${BUSINESS_UTC_OFFSET}`),
+  };
+};
+
+/**
+ * Whether a technician's weekly shifts cover a window
+ * @param {Object} worker - Profile with shifts
+ * @param {{day: string, from: string, to: string}} interval - Window
+ * @returns {boolean}
+ */
+export const isOnShift = (worker, interval) => {
+  if (!worker.shifts?.length) return true;
+  const dayOfWeek = new Date(`${interval.day}T00:00:00.000Z`).getUTCDay();
+  return worker.shifts.some(
+    (shift) => shift.day_of_week === dayOfWeek && shift.start <= interval.from && shift.end >= interval.to
+  );
+};
+
+/**
+ * Approved leave and unavailability blocks of technicians in a period
+ * @param {Array} workerIds - Profile IDs
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @returns {Promise<{leaves: Array, blocks: Array}>}
+ */
+export const loadScheduleExceptions = async (workerIds, from, to) => {
+  const [leaves, blocks] = await Promise.all([
+    LeaveRequestModel.find({
+      employee_id: { $in: workerIds },
+      status: 'approved',
+      start_date: { $lte: to },
+      end_date: { $gte: new Date(`${dayKey(from)}T00:00:00.000Z`) },
+    }).select('employee_id start_date end_date'),
+    UnavailabilityBlockModel.find({
+      employee_id: { $in: workerIds },
+      start: { $lt: to },
+      end: { $gt: from },
+    }).select('employee_id start end'),
+  ]);
+  return { leaves, blocks };
+};
+
+/**
+ * Why a technician cannot work a window, from already loaded leave and blocks
+ * @param {Object} worker - Profile with shifts
+ * @param {{leaves: Array, blocks: Array}} exceptions - From loadScheduleExceptions
+ * @param {Object} interval - From getWindowInterval
+ * @returns {string|null} 'off_shift' | 'on_leave' | 'blocked', or null when available
+ */
+export const scheduleConflict = (worker, exceptions, interval) => {
+  const workerId = worker._id.toString();
+  const own = (entry) => entry.employee_id?.toString() === workerId;
+  if (exceptions.leaves.some((leave) => own(leave) && dayKey(leave.start_date) <= interval.day && dayKey(leave.end_date) >= interval.day)) {
+    return 'on_leave';
+  }
+  if (exceptions.blocks.some((block) => own(block) && block.start < interval.end && block.end > interval.start)) {
+    return 'blocked';
+  }
+  if (!isOnShift(worker, interval)) return 'off_shift';
+  return null;
+};
+
+/**
+ * Why a technician cannot work a booking's window
+ * @param {Object} worker - Profile with shifts
+ * @param {Date|string} date - Booking date
+ * @param {string} time - Booking time
+ * @returns {Promise<string|null>} 'off_shift' | 'on_leave' | 'blocked', or null when available
+ */
+export const checkWorkerSchedule = async (worker, date, time) => {
+  const interval = getWindowInterval(date, time);
+  const exceptions = await loadScheduleExceptions([worker._id], interval.start, interval.end);
+  return scheduleConflict(worker, exceptions, interval);
+};
+
+/**
+ * End of the shift that covers a window
+ * @param {Object} worker - Profile with shifts
+ * @param {Object} interval - From getWindowInterval
+ * @returns {Date|null} null when the technician has no shifts
+ */
+export const getShiftEnd = (worker, interval) => {
+  if (!worker.shifts?.length) return null;
+  const dayOfWeek = new Date(`${interval.day}T00:00:00.000Z`).getUTCDay();
+  const ends = worker.shifts
+    .filter((shift) => shift.day_of_week === dayOfWeek && shift.start <= interval.from && shift.end >= interval.to)
+    .map((shift) => shift.end)
+    .sort();
+  return ends.length ? new Date(`${interval.day}T${ends[ends.length - 1]}:00${BUSINESS_UTC_OFFSET}`) : null;
+};
+
+/**
+ * Time a booked job takes in its technician's day
+ * @param {Object} booking - Booking
+ * @returns {{start: Date, end: Date}}
+ */
+export const getJobInterval = (booking) => {
+  const window = getWindowInterval(booking.booking_date, booking.booking_time);
+  // The planned interval, unless the booking has since moved to another window
+  if (booking.scheduled_start && booking.scheduled_end) {
+    const start = new Date(booking.scheduled_start);
+    if (start >= window.start && start <= window.end) return { start, end: new Date(booking.scheduled_end) };
+  }
+  // Older bookings without a duration hold their whole window
+  if (!booking.estimated_duration_minutes) return { start: window.start, end: window.end };
+  return { start: window.start, end: new Date(window.start.getTime() + booking.estimated_duration_minutes * MINUTE_MS) };
+};
+
+/**
+ * Earliest start within a window for a job that keeps the travel buffer to other jobs
+ * @param {Array<{start: Date, end: Date}>} jobs - Technician's booked intervals (and blocks)
+ * @param {Object} interval - Booking window, from getWindowInterval
+ * @param {number} durationMinutes - Job duration
+ * @param {Object} options
+ * @param {number} options.bufferMinutes - Travel time between jobs (default TRAVEL_BUFFER_MINUTES)
+ * @param {Date} options.latestEnd - The job must end by then (end of shift, optional)
+ * @returns {{start: Date, end: Date}|null} null when the job does not fit
+ */
+export const findJobSlot = (jobs, interval, durationMinutes, { bufferMinutes = TRAVEL_BUFFER_MINUTES, latestEnd = null } = {}) => {
+  const duration = durationMinutes * MINUTE_MS;
+  const buffer = bufferMinutes * MINUTE_MS;
+  const windowStart = interval.start.getTime();
+  const windowEnd = interval.end.getTime();
+
+  // The job starts at the window start or right after another job plus travel time
+  const starts = [windowStart, ...jobs.map((job) => job.end.getTime() + buffer)]
+    .filter((start) => start >= windowStart && start < windowEnd)
+    .sort((a, b) => a - b);
+  for (const start of starts) {
+    const end = start + duration;
+    if (latestEnd && end > latestEnd.getTime()) return null;
+    const clash = jobs.some((job) => start < job.end.getTime() + buffer && end + buffer > job.start.getTime());
+    if (!clash) return { start: new Date(start), end: new Date(end) };
+  }
+  return null;
+};
+
+/**
+ * Booked intervals of technicians around a period, per technician
+ * @param {Array} workerIds - Profile IDs
+ * @param {Date} from - Start of the period
+ * @param {Date} to - End of the period
+ * @param {string} excludeBookingId - Booking being scheduled (ignored)
+ * @returns {Promise<Map<string, Array<{start: Date, end: Date}>>>}
+ */
+export const loadWorkerJobs = async (workerIds, from, to, excludeBookingId = null) => {
+  const jobs = await BookingModel.find({
+    _id: { $ne: excludeBookingId },
+    $or: [{ employee_id: { $in: workerIds } }, { partner_id: { $in: workerIds } }],
+    status: { $in: WORKER_BUSY_STATUSES },
+    is_deleted: { $ne: true },
+    // Long jobs of the day before can still be running
+    booking_date: { $gte: new Date(from.getTime() - 2 * DAY_MS), $lt: new Date(to.getTime() + DAY_MS) },
+  }).select('employee_id partner_id booking_date booking_time estimated_duration_minutes scheduled_start scheduled_end');
+
+  const jobsByWorker = new Map(workerIds.map((id) => [id.toString(), []]));
+  for (const job of jobs) {
+    const interval = getJobInterval(job);
+    for (const id of [job.employee_id, job.partner_id]) {
+      jobsByWorker.get(id?.toString())?.push(interval);
+    }
+  }
+  return jobsByWorker;
+};
+
+/**
+ * Plan a job into one technician's day, from already loaded leave, blocks and jobs
+ * @param {Object} worker - Profile with shifts
+ * @param {Object} schedule - { exceptions (from loadScheduleExceptions), jobsByWorker (from loadWorkerJobs) }
+ * @param {Object} interval - Booking window, from getWindowInterval
+ * @param {number} durationMinutes - Job duration (the whole window when not known)
+ * @returns {{start: Date, end: Date}|null}
+ */
+export const planJobFor = (worker, { exceptions, jobsByWorker }, interval, durationMinutes) => {
+  if (scheduleConflict(worker, exceptions, interval)) return null;
+  const workerId = worker._id.toString();
+  // Blocks later in the day stop a long job running into them
+  const blocks = exceptions.blocks
+    .filter((block) => block.employee_id?.toString() === workerId)
+    .map((block) => ({ start: new Date(block.start), end: new Date(block.end) }));
+  const duration = durationMinutes || (interval.end - interval.start) / MINUTE_MS;
+  return findJobSlot([...(jobsByWorker.get(workerId) || []), ...blocks], interval, duration, {
+    latestEnd: getShiftEnd(worker, interval),
+  });
+};
+
+/**
+ * Plan a booking's job for each technician of a list
+ * @param {Array} workers - Profiles with shifts
+ * @param {Object} options
+ * @param {Date|string} options.date - Booking date
+ * @param {string} options.time - Booking time
+ * @param {number} options.durationMinutes - Job duration
+ * @param {string} options.excludeBookingId - Booking being scheduled (ignored in the schedule)
+ * @returns {Promise<Map<string, {start: Date, end: Date}>>} Planned interval of every technician who can take it
+ */
+export const planJobs = async (workers, { date, time, durationMinutes, excludeBookingId = null }) => {
+  const plans = new Map();
+  if (!workers.length) return plans;
+  const interval = getWindowInterval(date, time);
+  const workerIds = workers.map((worker) => worker._id);
+  // Blocks are loaded for the whole day so long jobs see the ones after the window too
+  const dayEnd = new Date(`${interval.day}T23:59:59${BUSINESS_UTC_OFFSET}`);
+  const [exceptions, jobsByWorker] = await Promise.all([
+    loadScheduleExceptions(workerIds, interval.start, dayEnd),
+    loadWorkerJobs(workerIds, interval.start, interval.end, excludeBookingId),
+  ]);
+  for (const worker of workers) {
+    const plan = planJobFor(worker, { exceptions, jobsByWorker }, interval, durationMinutes);
+    if (plan) plans.set(worker._id.toString(), plan);
+  }
+  return plans;
+};
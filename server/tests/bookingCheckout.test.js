@@ -0,0 +1,104 @@
+/**
+ * Concurrent checkouts racing for the last seat of a slot.
+ *
+ * The models are in-memory stand-ins that apply each update to a document in one step, the
+ * way MongoDB does, and yield before every call so parallel requests interleave as they would
+ * against a real server. Run with `npm test`.
+ */
+
+import { after, before, beforeEach, describe, mock, test } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { createBookingWithReservations, reserveSlot, setCheckoutModels } from '../services/bookingCheckout.js';
+
+const slots = new Map();
+const bookings = [];
+
+// A database round trip: lets the other request run before this one's update lands
+const roundTrip = () => new Promise((resolve) => setImmediate(resolve));
+
+// Only the $expr comparison reserveSlot uses: [ '$field', '$field' ] with $lt
+const matchesExpr = (doc, expr) => {
+  if (!expr) return true;
+  const [left, right] = expr.$lt.map((operand) => doc[operand.slice(1)]);
+  return left < right;
+};
+
+const applyUpdate = (doc, update) => {
+  const { $inc = {}, ...set } = update;
+  for (const [field, amount] of Object.entries($inc)) doc[field] += amount;
+  Object.assign(doc, set);
+};
+
+const Slot = {
+  async findOneAndUpdate(filter, update) {
+    await roundTrip();
+    const slot = slots.get(filter._id);
+    if (!slot || !matchesExpr(slot, filter.$expr)) return null;
+    applyUpdate(slot, update);
+    return { ...slot };
+  },
+  async updateOne(filter, update) {
+    await roundTrip();
+    const slot = slots.get(filter._id);
+    if (slot) applyUpdate(slot, update);
+  },
+};
+
+const Booking = {
+  async create(docs) {
+    await roundTrip();
+    const created = docs.map((doc) => ({ _id: `booking-${bookings.length + 1}`, ...doc }));
+    bookings.push(...created);
+    return created;
+  },
+};
+
+const addSlot = (id, { total_capacity, booked_count = 0 }) => {
+  slots.set(id, { _id: id, total_capacity, booked_count, is_available: booked_count < total_capacity });
+};
+
+describe('booking checkout under concurrency', () => {
+  before(() => {
+    setCheckoutModels({ Booking, Slot });
+    // No database here: run the checkout's transaction callback directly
+    mock.method(mongoose, 'startSession', async () => ({
+      withTransaction: async (work) => work(),
+      endSession: async () => {},
+    }));
+  });
+
+  after(() => mock.restoreAll());
+
+  beforeEach(() => {
+    slots.clear();
+    bookings.length = 0;
+  });
+
+  test('two simultaneous reservations cannot both take the last seat', async () => {
+    addSlot('slot-1', { total_capacity: 1 });
+
+    const results = await Promise.all([reserveSlot('slot-1'), reserveSlot('slot-1')]);
+
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal(slots.get('slot-1').booked_count, 1);
+    assert.equal(slots.get('slot-1').is_available, false);
+  });
+
+  test('two simultaneous checkouts for the last seat create one booking', async () => {
+    addSlot('slot-2', { total_capacity: 3, booked_count: 2 });
+    const bookingData = { service_id: 'service-1', booking_time: 'morning', total_price: 499 };
+
+    const results = await Promise.all([
+      createBookingWithReservations({ bookingData: { ...bookingData, customer_id: 'customer-1' }, slotId: 'slot-2' }),
+      createBookingWithReservations({ bookingData: { ...bookingData, customer_id: 'customer-2' }, slotId: 'slot-2' }),
+    ]);
+
+    const booked = results.filter((result) => result.booking);
+    const rejected = results.filter((result) => !result.booking);
+    assert.equal(booked.length, 1);
+    assert.deepEqual(rejected.map(({ status, error }) => ({ status, error })), [{ status: 400, error: 'slot_unavailable' }]);
+    assert.equal(bookings.length, 1);
+    assert.equal(slots.get('slot-2').booked_count, 3);
+  });
+});